@@ -0,0 +1,336 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const SampleUtil = require('./sample_util');
+const Sample = require('./storage_account_sample');
+const CmkLifecycle = require('./cmk_lifecycle');
+const VaultAccess = require('./vault_access');
+const ManagedIdentity = require('./managed_identity');
+
+// Runs one of the sample's per-account steps over many storage accounts: selected by resource group, tags or an
+// explicit list, with a bounded number running at a time, a progress line as each account finishes and a report
+// of every account's outcome at the end.
+//
+// With a checkpoint file the outcome of every account is saved as it finishes. Running the same batch again with
+// the checkpoint skips the accounts that already succeeded and retries the rest, so a long run that stopped can be
+// picked up where it left off.
+
+const STATUS_SUCCEEDED = 'succeeded';
+const STATUS_FAILED = 'failed';
+const STATUS_SKIPPED = 'skipped';
+const STATUS_NOT_RUN = 'not run';
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 32;
+
+// The key name for an account; `{account}` in the name is replaced by the account name, for a key per account.
+function _keyName(template, storageAccount) {
+    return (template || 'key1').replace(/\{account\}/g, storageAccount.name);
+}
+
+function _keyId(vaultUri, keyName) {
+    return util.format('%s/keys/%s', String(vaultUri).toLowerCase().replace(/\/+$/, ''), keyName.toLowerCase());
+}
+
+// Create every key the accounts are attached to once, before the accounts run, so that accounts sharing a key
+// never race to create it. Returns { <account id>: error message } for the accounts whose key failed.
+async function _ensureKeys(accounts, context) {
+    const failures = {};
+    // A cross-tenant key belongs to another tenant and is not created here.
+    if(ManagedIdentity.isCrossTenant(context.cmk && context.cmk.identity)) {
+        return failures;
+    }
+    const failed = {};
+    for(const account of accounts) {
+        const keyName = _keyName(context.keyName, account);
+        if(!(keyName in failed)) {
+            try {
+                await Sample.ensureCustomerManagedKey(context.vault, keyName, Object.assign({}, context.cmk, {
+                    clients: context.clients, log: context.log, ledger: context.ledger
+                }));
+                failed[keyName] = undefined;
+            } catch(e) {
+                failed[keyName] = e.message;
+                context.log(util.format('Failed to create key %s in %s: %s', keyName, context.vault.properties.vaultUri, e.message));
+            }
+        }
+        if(failed[keyName] !== undefined) {
+            failures[account.id] = failed[keyName];
+        }
+    }
+    return failures;
+}
+
+// Rotate every key used by the pinned or auto-following accounts once, however many accounts share it.
+// The new versions are kept in the checkpoint so a resumed batch does not rotate the keys again.
+// Returns { <account id>: error message } for the accounts whose key failed to rotate.
+async function _rotateKeys(accounts, context, checkpoint) {
+    checkpoint.keys = checkpoint.keys || {};
+    const failed = {};
+    const failures = {};
+    for(const account of accounts) {
+        const properties = account.encryption && account.encryption.keyVaultProperties;
+        if(!properties || !/^Microsoft\.Keyvault$/i.test(account.encryption.keySource || '')) {
+            continue;
+        }
+        const id = _keyId(properties.keyVaultUri, properties.keyName);
+        if(!checkpoint.keys[id] && !(id in failed)) {
+            try {
+                const key = await CmkLifecycle.rotateKey(context.clients.keys(properties.keyVaultUri), properties.keyName);
+                checkpoint.keys[id] = key.properties.version;
+                checkpoint.save();
+                context.log(util.format('Rotated key %s in %s to version %s', properties.keyName, properties.keyVaultUri, key.properties.version));
+            } catch(e) {
+                failed[id] = e.message;
+                context.log(util.format('Failed to rotate key %s in %s: %s', properties.keyName, properties.keyVaultUri, e.message));
+            }
+        }
+        if(id in failed) {
+            failures[account.id] = failed[id];
+        }
+    }
+    return failures;
+}
+
+// The batch operations. `prepare` runs once before the accounts and returns { <account id>: error message } for
+// accounts it already failed, which are not run; `run` runs for each account with step options for that account
+// and the batch options as `context`, and returns the step's result.
+const operations = {
+    'attach-cmk': {
+        description: 'switch the accounts to a customer-managed key in one vault',
+        prepare: _ensureKeys,
+        run: (storageAccount, steps, context) => Sample.attachCustomerManagedKey(storageAccount, context.vault,
+            Object.assign({}, context.cmk, steps, { keyName: _keyName(context.keyName, storageAccount) }))
+    },
+    'rotate-cmk': {
+        description: 'rotate the accounts\' customer-managed keys, each key once, and re-point pinned accounts',
+        prepare: _rotateKeys,
+        run: async (storageAccount, steps, context, checkpoint) => {
+            const encryption = storageAccount.encryption || {};
+            const properties = encryption.keyVaultProperties;
+            if(!properties || !/^Microsoft\.Keyvault$/i.test(encryption.keySource || '')) {
+                throw new Error('the account does not use a customer-managed key');
+            }
+            const version = checkpoint.keys[_keyId(properties.keyVaultUri, properties.keyName)];
+            if(!properties.keyVersion) {
+                return { storageAccount: storageAccount.name, keyName: properties.keyName, keyVersion: version, versioning: CmkLifecycle.VERSIONING_AUTO };
+            }
+            const key = await context.clients.keys(properties.keyVaultUri).getKey(properties.keyName, { version: version });
+            return Sample.pinKeyVersion(storageAccount, properties.keyVaultUri, key, steps);
+        }
+    },
+    'regenerate-key': {
+        description: 'regenerate one of the accounts\' access keys',
+        run: (storageAccount, steps, context) => Sample.regenerateStorageAccountKey(storageAccount, Object.assign({}, steps, { keyName: context.keyName }))
+    },
+    'detach-cmk': {
+        description: 'switch the accounts back to Microsoft-managed keys',
+        run: (storageAccount, steps) => Sample.detachCustomerManagedKey(storageAccount, steps)
+    }
+};
+
+// Parse a tag filter "env=prod,team" into { env: 'prod', team: undefined }; a tag without a value only has to exist.
+function parseTagFilter(text) {
+    const tags = {};
+    String(text || '').split(',').map((part) => part.trim()).filter((part) => part).forEach((part) => {
+        const [name, value] = part.split(/=(.*)/s);
+        tags[name.trim()] = value === undefined ? undefined : value.trim();
+    });
+    return tags;
+}
+
+function _matchesTags(storageAccount, tags) {
+    const accountTags = storageAccount.tags || {};
+    return Object.keys(tags).every((name) => accountTags[name] !== undefined && (tags[name] === undefined || accountTags[name] === tags[name]));
+}
+
+async function _collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+// Select the accounts to run on. At least one selector is required, so a batch never runs on every account by accident.
+//
+// selection.groupName  accounts in this resource group
+// selection.tags       accounts with these tags (see parseTagFilter)
+// selection.accounts   explicit account names, as "group/name" or "name" (in selection.groupName, or else in
+//                      selection.defaultGroupName)
+async function selectAccounts(clients, selection) {
+    const tags = selection.tags || {};
+    if(!selection.groupName && Object.keys(tags).length === 0 && !(selection.accounts && selection.accounts.length)) {
+        throw new SampleUtil.ConfigError('select the accounts by resource group, tags or an explicit list');
+    }
+    let accounts;
+    if(selection.accounts && selection.accounts.length) {
+        accounts = [];
+        for(const entry of selection.accounts) {
+            const [groupName, name] = entry.indexOf('/') >= 0 ? entry.split('/') : [selection.groupName || selection.defaultGroupName, entry];
+            accounts.push(await clients.storage.storageAccounts.getProperties(groupName, name));
+        }
+    } else {
+        accounts = await _collect(selection.groupName ?
+            clients.storage.storageAccounts.listByResourceGroup(selection.groupName) : clients.storage.storageAccounts.list());
+    }
+    return accounts.filter((account) => _matchesTags(account, tags));
+}
+
+function _openCheckpoint(checkpointPath, operation) {
+    const data = (checkpointPath && SampleUtil.readJsonFile(checkpointPath, null)) ||
+        { operation: operation, startedAt: new Date().toISOString(), accounts: {} };
+    if(data.operation !== operation) {
+        throw new SampleUtil.ConfigError(util.format('checkpoint %s belongs to a %s batch, not %s', checkpointPath, data.operation, operation));
+    }
+    Object.defineProperty(data, 'save', {
+        value: () => {
+            if(checkpointPath) {
+                data.updatedAt = new Date().toISOString();
+                SampleUtil.writeJsonFile(checkpointPath, data);
+            }
+        }
+    });
+    return data;
+}
+
+// Run `operation` (a key of `operations`) on every account in `storageAccounts`. Returns a report:
+// { operation, total, succeeded, failed, skipped, notRun, stopped, accounts: [{ storageAccount, resourceGroup, status, error }] }.
+//
+// options.clients, options.log, options.ledger  as for the sample's steps
+// options.concurrency      accounts processed at the same time (default 4)
+// options.continueOnError  keep going after an account fails; otherwise no new accounts are started after a failure
+// options.checkpointPath   file saving each account's outcome; accounts that succeeded in an earlier run are skipped
+// options.vault, options.keyName, options.cmk  operation settings: the vault for attach-cmk, the key name
+//                          (attach-cmk, regenerate-key) and the attachCustomerManagedKey options for attach-cmk
+async function runBatch(operation, storageAccounts, options) {
+    options = Sample.resolveOptions(options);
+    const op = operations[operation];
+    if(!op) {
+        throw new SampleUtil.ConfigError(util.format('unknown batch operation "%s", expected one of: %s', operation, Object.keys(operations).join(', ')));
+    }
+    const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : DEFAULT_CONCURRENCY;
+    if(!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+        throw new SampleUtil.ConfigError(util.format('concurrency must be a whole number from 1 to %d', MAX_CONCURRENCY));
+    }
+    const log = options.log;
+    const checkpoint = _openCheckpoint(options.checkpointPath, operation);
+
+    const entries = storageAccounts.map((account) => ({
+        account: account,
+        storageAccount: account.name,
+        resourceGroup: VaultAccess.resourceGroupOf(account),
+        status: STATUS_NOT_RUN
+    }));
+    const pending = entries.filter((entry) => {
+        const previous = checkpoint.accounts[entry.account.id];
+        if(previous && previous.status === STATUS_SUCCEEDED) {
+            entry.status = STATUS_SKIPPED;
+            return false;
+        }
+        return true;
+    });
+    log(util.format('%s on %d storage account(s)%s, %d at a time', operation, pending.length,
+        pending.length < entries.length ? util.format(' (%d already done)', entries.length - pending.length) : '', concurrency));
+
+    const counts = { done: 0, succeeded: 0, failed: 0, running: 0 };
+    let stopped = false;
+    const finish = (entry) => {
+        counts.done++;
+        checkpoint.accounts[entry.account.id] = { status: entry.status, error: entry.error, finishedAt: new Date().toISOString() };
+        checkpoint.save();
+        log(util.format('[%d/%d] %s: %s%s (%d succeeded, %d failed, %d running)', counts.done, pending.length, entry.storageAccount, entry.status,
+            entry.error ? ': ' + entry.error : '', counts.succeeded, counts.failed, counts.running));
+    };
+
+    let runnable = pending;
+    if(op.prepare && pending.length > 0) {
+        const failures = (await op.prepare(pending.map((entry) => entry.account), options, checkpoint)) || {};
+        runnable = pending.filter((entry) => {
+            if(failures[entry.account.id] === undefined) {
+                return true;
+            }
+            entry.status = STATUS_FAILED;
+            entry.error = failures[entry.account.id];
+            counts.failed++;
+            finish(entry);
+            return false;
+        });
+        if(counts.failed > 0 && !options.continueOnError) {
+            stopped = true;
+        }
+    }
+
+    let next = 0;
+    const worker = async () => {
+        while(next < runnable.length && !stopped) {
+            const entry = runnable[next++];
+            counts.running++;
+            const steps = {
+                clients: options.clients,
+                groupName: entry.resourceGroup,
+                log: (message) => log(util.format('  %s: %s', entry.storageAccount, message)),
+                ledger: options.ledger
+            };
+            try {
+                await op.run(entry.account, steps, options, checkpoint);
+                entry.status = STATUS_SUCCEEDED;
+                counts.succeeded++;
+            } catch(e) {
+                entry.status = STATUS_FAILED;
+                entry.error = e.message;
+                counts.failed++;
+                if(!options.continueOnError) {
+                    stopped = true;
+                }
+            }
+            counts.running--;
+            finish(entry);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, runnable.length) }, worker));
+    if(stopped && next < runnable.length) {
+        log(util.format('Stopped after a failure; %d account(s) not run. Use --continue-on-error to keep going.', runnable.length - next));
+    }
+
+    const count = (status) => entries.filter((entry) => entry.status === status).length;
+    return {
+        operation: operation,
+        total: entries.length,
+        succeeded: count(STATUS_SUCCEEDED),
+        failed: count(STATUS_FAILED),
+        skipped: count(STATUS_SKIPPED),
+        notRun: count(STATUS_NOT_RUN),
+        stopped: stopped,
+        accounts: entries.map((entry) => ({
+            storageAccount: entry.storageAccount,
+            resourceGroup: entry.resourceGroup,
+            status: entry.status,
+            error: entry.error
+        }))
+    };
+}
+
+// Render a batch report as a table with one row per account.
+function toTable(report) {
+    const rows = [['ACCOUNT', 'RESOURCE GROUP', 'STATUS', 'ERROR']].concat(report.accounts.map((entry) =>
+        [entry.storageAccount, entry.resourceGroup || '', entry.status, entry.error || '']));
+    const widths = rows[0].map((_, i) => Math.max.apply(null, rows.map((row) => row[i].length)));
+    const lines = rows.map((row) => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ').trimEnd());
+    lines.push('', util.format('%s: %d account(s), %d succeeded, %d failed, %d skipped (done earlier), %d not run',
+        report.operation, report.total, report.succeeded, report.failed, report.skipped, report.notRun));
+    return lines.join('\n');
+}
+
+module.exports = {
+    operations: operations,
+    parseTagFilter: parseTagFilter,
+    selectAccounts: selectAccounts,
+    runBatch: runBatch,
+    toTable: toTable,
+};
@@ -0,0 +1,659 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+const SampleUtil = require('./sample_util');
+const Sample = require('./storage_account_sample');
+const KeyRotation = require('./key_rotation');
+const SasBuilder = require('./sas_builder');
+const CmkLifecycle = require('./cmk_lifecycle');
+const VaultAccess = require('./vault_access');
+const ResourceLedger = require('./resource_ledger');
+const ComplianceScan = require('./compliance_scan');
+const Manifest = require('./manifest');
+const KeyEvents = require('./key_events');
+const Batch = require('./batch');
+
+// Exit codes returned by run()
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_NONCOMPLIANT = 3;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// Flags accepted by every command. `value: false` marks a boolean switch.
+const flags = {
+    'config':                 { value: true,  description: 'JSON or YAML config file (default kv-storage.config.json/.yaml in the working directory)' },
+    'subscription':           { value: true,  description: 'Subscription ID (overrides AZURE_SUBSCRIPTION_ID)' },
+    'tenant':                 { value: true,  description: 'Tenant ID (overrides AZURE_TENANT_ID)' },
+    'credential':             { value: true,  description: 'Credential to use: secret, certificate, managedIdentity, azureCli or workloadIdentity' },
+    'location':               { value: true,  description: 'Region for new resources (overrides AZURE_LOCATION)' },
+    'resource-group':         { alias: 'g', value: true,  description: 'Resource group of the storage account (defaults to AZURE_RESOURCE_GROUP)' },
+    'account':                { alias: 'a', value: true,  description: 'Name of an existing storage account' },
+    'vault':                  { alias: 'v', value: true,  description: 'Name of an existing key vault' },
+    'vault-resource-group':   { value: true,  description: 'Resource group of the key vault (defaults to --resource-group)' },
+    'key-name':               { alias: 'k', value: true,  description: 'Key vault key name, or storage account key name for regenerate-key/issue-sas' },
+    'key-type':               { value: true,  description: 'attach-cmk/add-encryption-scope: type of a new key, RSA or RSA-HSM (default RSA)' },
+    'key-size':               { value: true,  description: 'attach-cmk/add-encryption-scope: size of a new key, 2048, 3072 or 4096 (default 2048)' },
+    'pin-version':            { value: false, description: 'attach-cmk/rotate-cmk and encryption scopes: pin the account or scope to the current key version' },
+    'auto-follow':            { value: false, description: 'attach-cmk/rotate-cmk and encryption scopes: follow the latest key version (default for new ones)' },
+    'expires-in':             { value: true,  description: 'attach-cmk/add-encryption-scope/set-rotation-policy: lifetime of each key version in days (default 90d)' },
+    'rotate-before-expiry':   { value: true,  description: 'attach-cmk/add-encryption-scope/set-rotation-policy: rotate this long before expiry (default 30d)' },
+    'user-assigned-identity': { value: true,  description: 'attach-cmk/add-encryption-scope: resource ID of a user-assigned identity to reach the key with' },
+    'federated-client-id':    { value: true,  description: 'attach-cmk: client ID of the multi-tenant app for a key in another tenant\'s vault' },
+    'vault-uri':              { value: true,  description: 'attach-cmk: URI of a vault in another tenant, instead of --vault' },
+    'key-version':            { value: true,  description: 'attach-cmk: with --vault-uri and --pin-version, the key version to pin' },
+    'skip-rotation-policy':   { value: false, description: 'attach-cmk/add-encryption-scope: do not set a rotation policy on the key' },
+    'grace-period':           { value: true,  description: 'rotate-keys: time to wait between switching consumers and regenerating the old key (e.g. 15m)' },
+    'wait':                   { value: false, description: 'rotate-keys: wait out the grace period instead of resuming on the next run' },
+    'state-file':             { value: true,  description: 'rotate-keys: path of the rotation state file' },
+    'preset':                 { value: true,  description: 'issue-sas: SAS preset, see sas-presets (default blob-read)' },
+    'lifetime':               { value: true,  description: 'issue-sas: how long the SAS is valid, e.g. 1h (default 1h)' },
+    'services':               { value: true,  description: 'issue-sas: override the preset\'s account SAS services (b, f, q, t)' },
+    'resource-types':         { value: true,  description: 'issue-sas: override the preset\'s account SAS resource types (s, c, o)' },
+    'permissions':            { value: true,  description: 'issue-sas: override the preset\'s permission letters' },
+    'container':              { value: true,  description: 'issue-sas: issue a service SAS for this container instead of an account SAS; create-container: the container to create; upload/download-encrypted: the blob\'s container' },
+    'blob':                   { value: true,  description: 'issue-sas: with --container, issue the SAS for this blob; upload/download-encrypted: the blob' },
+    'file':                   { value: true,  description: 'upload-encrypted: file to encrypt and upload; download-encrypted: file to write the decrypted blob to' },
+    'key-id':                 { value: true,  description: 'upload-encrypted: Key Vault key URI to wrap the content key with (default: the account\'s customer-managed key)' },
+    'user-delegation':        { value: false, description: 'issue-sas: with --container, sign with a user delegation key instead of an account key' },
+    'allow-http':             { value: false, description: 'issue-sas: allow http as well as https, if the SAS policy permits it' },
+    'scope':                  { value: true,  description: 'Encryption scope name; create-container: default encryption scope of the container' },
+    'infrastructure-encryption': { value: false, description: 'add-encryption-scope: also encrypt the scope\'s data with platform-managed keys' },
+    'allow-scope-override':   { value: false, description: 'create-container: let writes choose another encryption scope than the container default' },
+    'apply':                  { value: false, description: 'migrate-to-rbac: create the role assignments and switch the vault (default: only show the plan)' },
+    'run':                    { value: true,  description: 'teardown: ID of the run whose resources to remove, see runs' },
+    'purge':                  { value: false, description: 'teardown: also purge deleted keys and vaults unless purge protection prevents it' },
+    'keep-on-failure':        { value: false, description: 'Keep resources created by a failed command instead of rolling them back' },
+    'format':                 { value: true,  description: 'scan: output format, table (default), json or sarif' },
+    'rules':                  { value: true,  description: 'scan: JSON or YAML file of rule levels, e.g. {"shared-key-disabled": "error"}' },
+    'manifest':               { value: true,  description: 'plan/apply: JSON or YAML manifest of the desired storage accounts' },
+    'accounts':               { value: true,  description: 'batch: comma-separated accounts, as name or resource-group/name' },
+    'tags':                   { value: true,  description: 'batch: only accounts with these tags, e.g. env=prod,team (a tag without a value only has to exist)' },
+    'concurrency':            { value: true,  description: 'batch: accounts processed at the same time (default 4)' },
+    'continue-on-error':      { value: false, description: 'batch: keep going after an account fails' },
+    'checkpoint':             { value: true,  description: 'batch: file recording each account\'s outcome; rerun with it to resume' },
+    'port':                   { value: true,  description: 'listen-events: port to listen on (default 8080)' },
+    'insecure':               { value: false, description: 'listen-events: accept deliveries without a shared secret (local testing only)' },
+    'json':                   { value: false, description: 'Write the result as JSON to stdout' },
+    'help':                   { alias: 'h', value: false, description: 'Show help' }
+};
+
+const commands = {
+    'show-config': {
+        description: 'Show the merged configuration and where each value came from',
+        requires: [],
+        run: async () => {
+            const result = {};
+            const described = SampleUtil.describeConfig();
+            Object.keys(described).forEach((name) => {
+                result[name] = util.format('%s (%s)', described[name].value, described[name].origin);
+            });
+            return result;
+        }
+    },
+    'attach-cmk': {
+        description: 'Grant the account access to the vault, create a key and enable customer-managed keys',
+        requires: ['account'],
+        run: async (args, options) => {
+            if(!args.vault === !args['vault-uri']) {
+                throw new UsageError('attach-cmk requires either --vault or --vault-uri');
+            }
+            if(args['vault-uri'] && !args['federated-client-id']) {
+                throw new UsageError('--vault-uri is for cross-tenant keys and requires --federated-client-id');
+            }
+            const account = await _getStorageAccount(args, options);
+            const vault = args.vault ? await _getVault(args, options) : { properties: { vaultUri: args['vault-uri'] } };
+            return Sample.attachCustomerManagedKey(account, vault, Object.assign({
+                keyName: args['key-name'],
+                keyVersion: args['key-version'],
+                identity: {
+                    userAssignedIdentity: args['user-assigned-identity'],
+                    federatedClientId: args['federated-client-id']
+                },
+                key: { keyType: args['key-type'], keySize: args['key-size'] },
+                versioning: _versioning(args),
+                rotationPolicy: args['skip-rotation-policy'] ? false : _rotationPolicy(args)
+            }, options));
+        }
+    },
+    'rotate-cmk': {
+        description: 'Create a new version of the account\'s customer-managed key and re-point pinned accounts at it',
+        requires: ['account', 'vault'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            const vault = await _getVault(args, options);
+            return Sample.rotateCustomerManagedKey(account, vault, Object.assign({
+                keyName: args['key-name'],
+                versioning: _versioning(args)
+            }, options));
+        }
+    },
+    'set-rotation-policy': {
+        description: 'Set the Key Vault rotation policy (expiry and rotate-before-expiry) of a key',
+        requires: ['vault', 'key-name'],
+        run: async (args, options) => {
+            const vault = await _getVault(args, options);
+            const clients = options.clients || Sample.getClients();
+            const policy = await CmkLifecycle.applyRotationPolicy(clients.keys(vault.properties.vaultUri), args['key-name'], _rotationPolicy(args));
+            return {
+                vault: vault.name,
+                keyName: args['key-name'],
+                expiresIn: policy.expiresIn,
+                lifetimeActions: (policy.lifetimeActions || []).map((a) => a.action + ' ' + (a.timeBeforeExpiry || a.timeAfterCreate)).join(', ')
+            };
+        }
+    },
+    'add-encryption-scope': {
+        description: 'Create an encryption scope backed by its own key, creating the key and granting the account access',
+        requires: ['account', 'vault', 'scope'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            const vault = await _getVault(args, options);
+            return Sample.addEncryptionScope(account, vault, args.scope, Object.assign({
+                keyName: args['key-name'],
+                identity: { userAssignedIdentity: args['user-assigned-identity'] },
+                key: { keyType: args['key-type'], keySize: args['key-size'] },
+                versioning: _versioning(args),
+                rotationPolicy: args['skip-rotation-policy'] ? false : _rotationPolicy(args),
+                requireInfrastructureEncryption: args['infrastructure-encryption'] || undefined
+            }, options));
+        }
+    },
+    'rotate-encryption-scope': {
+        description: 'Create a new version of an encryption scope\'s key and re-point a pinned scope at it',
+        requires: ['account', 'scope'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            return Sample.rotateEncryptionScopeKey(account, args.scope, Object.assign({ versioning: _versioning(args) }, options));
+        }
+    },
+    'disable-encryption-scope': {
+        description: 'Disable one encryption scope; data written with it cannot be read or written until it is enabled',
+        requires: ['account', 'scope'],
+        run: async (args, options) => Sample.setEncryptionScopeState(await _getStorageAccount(args, options), args.scope, false, options)
+    },
+    'enable-encryption-scope': {
+        description: 'Enable a disabled encryption scope again',
+        requires: ['account', 'scope'],
+        run: async (args, options) => Sample.setEncryptionScopeState(await _getStorageAccount(args, options), args.scope, true, options)
+    },
+    'encryption-scopes': {
+        description: 'List the encryption scopes of an account with their state and key',
+        requires: ['account'],
+        run: async (args, options) => {
+            const scopes = await Sample.listEncryptionScopes(await _getStorageAccount(args, options), options);
+            if(args.json) {
+                return scopes;
+            }
+            const lines = {};
+            scopes.forEach((scope) => {
+                lines[scope.encryptionScope] = util.format('%s, %s', scope.state, scope.keyUri || scope.source);
+            });
+            return lines;
+        }
+    },
+    'create-container': {
+        description: 'Create a blob container, optionally with a default encryption scope that writes cannot override',
+        requires: ['account', 'container'],
+        run: async (args, options) => {
+            if(args['allow-scope-override'] && !args.scope) {
+                throw new UsageError('--allow-scope-override requires --scope');
+            }
+            const account = await _getStorageAccount(args, options);
+            return Sample.createContainer(account, args.container, Object.assign({
+                encryptionScope: args.scope,
+                allowEncryptionScopeOverride: args['allow-scope-override']
+            }, options));
+        }
+    },
+    'upload-encrypted': {
+        description: 'Encrypt a file in this process (AES-GCM, content key wrapped by a Key Vault key) and upload it as a blob',
+        requires: ['account', 'container', 'blob', 'file'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            return Sample.uploadEncryptedBlob(account, args.container, args.blob, fs.createReadStream(args.file), Object.assign({
+                keyId: args['key-id']
+            }, options));
+        }
+    },
+    'download-encrypted': {
+        description: 'Download a blob uploaded with upload-encrypted and decrypt it to a file',
+        requires: ['account', 'container', 'blob', 'file'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            return Sample.downloadEncryptedBlob(account, args.container, args.blob, Object.assign({ file: args.file }, options));
+        }
+    },
+    'regenerate-key': {
+        description: 'Regenerate one of the storage account access keys (key1 or key2)',
+        requires: ['account'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            return Sample.regenerateStorageAccountKey(account, Object.assign({ keyName: args['key-name'] }, options));
+        }
+    },
+    'rotate-keys': {
+        description: 'Advance a rolling rotation of key1/key2, publishing the active key to Key Vault secrets',
+        requires: ['account', 'vault'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            const vault = await _getVault(args, options);
+            return KeyRotation.rotateStorageAccountKeys(account, vault, Object.assign({
+                gracePeriod: args['grace-period'],
+                wait: args.wait,
+                statePath: args['state-file']
+            }, options));
+        }
+    },
+    'issue-sas': {
+        description: 'Issue an account, service or user delegation SAS from a least-privilege preset',
+        requires: ['account'],
+        run: async (args, options) => {
+            if(args.blob && !args.container) {
+                throw new UsageError('--blob requires --container');
+            }
+            if(args['user-delegation'] && !args.container) {
+                throw new UsageError('--user-delegation requires --container');
+            }
+            const account = await _getStorageAccount(args, options);
+            const sasOptions = Object.assign({
+                keyName: args['key-name'],
+                sas: {
+                    preset: args.preset || (args.permissions ? undefined : 'blob-read'),
+                    lifetime: args.lifetime,
+                    services: args.services,
+                    resourceTypes: args['resource-types'],
+                    permissions: args.permissions,
+                    allowHttp: args['allow-http']
+                }
+            }, options);
+            if(args['user-delegation']) {
+                return Sample.issueUserDelegationSas(account, args.container, args.blob, sasOptions);
+            }
+            if(args.container) {
+                return Sample.issueServiceSas(account, args.container, args.blob, sasOptions);
+            }
+            return Sample.issueAccountSas(account, sasOptions);
+        }
+    },
+    'sas-presets': {
+        description: 'List the SAS presets accepted by issue-sas',
+        requires: [],
+        run: async () => {
+            const result = {};
+            Object.keys(SasBuilder.presets).forEach((name) => {
+                const preset = SasBuilder.presets[name];
+                result[name] = util.format('%s (services %s, resource types %s, permissions %s)', preset.description, preset.services, preset.resourceTypes, preset.permissions);
+            });
+            return result;
+        }
+    },
+    'migrate-to-rbac': {
+        description: 'Map a vault\'s access policies to role assignments and switch it to RBAC authorization',
+        requires: ['vault'],
+        run: async (args, options) => {
+            const vault = await _getVault(args, options);
+            const result = await VaultAccess.migrateToRbac(options.clients || Sample.getClients(), vault, {
+                apply: args.apply,
+                groupName: args['vault-resource-group'] || options.groupName,
+                log: options.log
+            });
+            if(args.json) {
+                return result;
+            }
+            // Flatten the plan into one line per access policy for the text output.
+            const lines = { vault: result.vault, applied: result.applied };
+            result.assignments.forEach((entry) => {
+                const name = entry.principalId + (entry.applicationId ? ' via application ' + entry.applicationId : '');
+                lines[name] = entry.notMigrated ? 'not migrated: ' + entry.notMigrated :
+                    entry.roles.join(', ') + (entry.unmapped.length > 0 ? ' (unmapped: ' + entry.unmapped.join(', ') + ')' : '');
+            });
+            return lines;
+        }
+    },
+    'detach-cmk': {
+        description: 'Switch the account back to Microsoft-managed keys',
+        requires: ['account'],
+        run: async (args, options) => {
+            const account = await _getStorageAccount(args, options);
+            return Sample.detachCustomerManagedKey(account, options);
+        }
+    },
+    'scan': {
+        description: 'Audit the encryption of the storage accounts in --resource-group, or the whole subscription',
+        requires: [],
+        run: async (args, options) => {
+            if(args.format && ['table', 'json', 'sarif'].indexOf(args.format) < 0) {
+                throw new UsageError('--format must be table, json or sarif');
+            }
+            const levels = ComplianceScan.ruleLevels(args.rules ? SampleUtil.readConfigFile(args.rules) : undefined);
+            const report = await ComplianceScan.scan({
+                clients: options.clients,
+                groupName: args['resource-group'],
+                log: options.log
+            });
+            return ComplianceScan.evaluate(report, levels);
+        },
+        // The report is written in the requested format; findings at level "error" fail the command.
+        render: (report, args) => {
+            const format = args.json ? 'json' : (args.format || 'table');
+            if(format === 'sarif') {
+                return JSON.stringify(ComplianceScan.toSarif(report), null, 2);
+            }
+            return format === 'json' ? JSON.stringify(report, null, 2) : ComplianceScan.toTable(report);
+        },
+        exitCode: (report) => (report.failed ? EXIT_NONCOMPLIANT : EXIT_OK)
+    },
+    'plan': {
+        description: 'Show how the live storage accounts, keys and access differ from a manifest',
+        requires: ['manifest'],
+        run: async (args, options) => Manifest.plan(Manifest.loadManifest(args.manifest), options),
+        render: (result, args) => (args.json ? JSON.stringify(result, null, 2) : Manifest.formatPlan(result)),
+        exitCode: () => EXIT_OK
+    },
+    'apply': {
+        description: 'Create or update storage accounts, keys and access until they match a manifest',
+        requires: ['manifest'],
+        run: async (args, options) => {
+            const result = await Manifest.apply(Manifest.loadManifest(args.manifest), options);
+            if(args.json) {
+                return result;
+            }
+            const lines = {};
+            result.accounts.forEach((account) => {
+                lines[account.name] = account.changes.length === 0 ? 'no changes' : util.format('%d change(s) applied', account.changes.length);
+            });
+            return lines;
+        }
+    },
+    'listen-events': {
+        description: 'Serve an Event Grid webhook that rotates and re-points keys on Key Vault expiry and new-version events',
+        requires: [],
+        run: async (args, options) => {
+            const port = parseInt(args.port || '8080', 10);
+            if(!(port > 0 && port < 65536)) {
+                throw new UsageError('--port must be a port number');
+            }
+            const server = KeyEvents.createServer(Object.assign({ insecure: args.insecure }, options));
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, resolve);
+            });
+            options.log(util.format('Listening for Event Grid deliveries on port %d; press Ctrl+C to stop', port));
+            await new Promise((resolve) => {
+                const stop = () => server.close(resolve);
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+            });
+            return { port: port, stopped: true };
+        }
+    },
+    'batch-attach-cmk': _batchCommand('attach-cmk', ['vault'], async (args, options) => {
+        // The flags are checked before the vault is fetched.
+        const cmk = {
+            identity: { userAssignedIdentity: args['user-assigned-identity'] },
+            key: { keyType: args['key-type'], keySize: args['key-size'] },
+            versioning: _versioning(args),
+            rotationPolicy: args['skip-rotation-policy'] ? false : _rotationPolicy(args)
+        };
+        return { vault: await _getVault(args, options), keyName: args['key-name'], cmk: cmk };
+    }),
+    'batch-rotate-cmk': _batchCommand('rotate-cmk', [], () => ({})),
+    'batch-regenerate-key': _batchCommand('regenerate-key', [], (args) => ({ keyName: args['key-name'] })),
+    'batch-detach-cmk': _batchCommand('detach-cmk', [], () => ({})),
+    'runs': {
+        description: 'List the recorded runs and how many of their resources still exist',
+        requires: [],
+        run: async () => {
+            const result = {};
+            ResourceLedger.listLedgers().forEach((run) => {
+                result[run.runId] = util.format('started %s, %d resource(s) remaining', run.startedAt, run.remaining);
+            });
+            return result;
+        }
+    },
+    'teardown': {
+        description: 'Remove the resources recorded for a run, newest first',
+        requires: ['run'],
+        run: async (args, options) => {
+            const summary = await Sample.teardown(args.run, Object.assign({ purge: args.purge }, options));
+            if(summary.failed > 0) {
+                throw new Error(util.format('%d resource(s) of run %s could not be removed; run teardown again to retry', summary.failed, args.run));
+            }
+            return { runId: summary.runId, removed: summary.removed };
+        }
+    }
+};
+
+// A command running a batch operation (see batch.js) on the accounts selected by --resource-group, --tags and --accounts.
+// `settings` returns (or resolves to) the operation's settings.
+function _batchCommand(operation, requires, settings) {
+    return {
+        description: util.format('Batch: %s', Batch.operations[operation].description),
+        requires: requires,
+        run: async (args, options) => {
+            const batchSettings = await settings(args, options);
+            const clients = options.clients || Sample.getClients();
+            const accounts = await Batch.selectAccounts(clients, {
+                groupName: args['resource-group'],
+                tags: Batch.parseTagFilter(args.tags),
+                accounts: args.accounts ? args.accounts.split(',').map((name) => name.trim()).filter((name) => name) : undefined,
+                defaultGroupName: options.groupName
+            });
+            return Batch.runBatch(operation, accounts, Object.assign({
+                concurrency: args.concurrency,
+                continueOnError: args['continue-on-error'],
+                checkpointPath: args.checkpoint
+            }, batchSettings, options));
+        },
+        render: (report, args) => (args.json ? JSON.stringify(report, null, 2) : Batch.toTable(report)),
+        exitCode: (report) => (report.failed > 0 || report.notRun > 0 ? EXIT_FAILURE : EXIT_OK)
+    };
+}
+
+// Parse command line arguments into { command, args }. Throws UsageError on bad input.
+function parseArgs(argv) {
+    const aliases = {};
+    Object.keys(flags).forEach((name) => {
+        if(flags[name].alias) {
+            aliases[flags[name].alias] = name;
+        }
+    });
+
+    const result = { command: undefined, args: {} };
+    for(let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        let name, value;
+
+        if(token.startsWith('--')) {
+            [name, value] = token.slice(2).split(/=(.*)/s);
+        } else if(token.startsWith('-') && token.length > 1) {
+            name = aliases[token.slice(1)];
+            if(!name) {
+                throw new UsageError('unknown option: ' + token);
+            }
+        } else if(!result.command) {
+            result.command = token;
+            continue;
+        } else {
+            throw new UsageError('unexpected argument: ' + token);
+        }
+
+        const flag = flags[name];
+        if(!flag) {
+            throw new UsageError('unknown option: ' + token);
+        }
+        if(!flag.value) {
+            result.args[name] = true;
+            continue;
+        }
+        if(value === undefined) {
+            value = argv[++i];
+            if(value === undefined || value.startsWith('-')) {
+                throw new UsageError(util.format('option --%s requires a value', name));
+            }
+        }
+        result.args[name] = value;
+    }
+    return result;
+}
+
+function usage() {
+    const lines = ['Usage: node cli.js <command> [options]', '', 'Commands:'];
+    Object.keys(commands).forEach((name) => {
+        lines.push(util.format('  %s  %s', name.padEnd(16), commands[name].description));
+    });
+    lines.push('', 'Options:');
+    Object.keys(flags).forEach((name) => {
+        const flag = flags[name];
+        const label = (flag.alias ? '-' + flag.alias + ', ' : '    ') + '--' + name + (flag.value ? ' <value>' : '');
+        lines.push(util.format('  %s  %s', label.padEnd(36), flag.description));
+    });
+    return lines.join('\n');
+}
+
+// Run the CLI with the given arguments and return the process exit code.
+// `options.clients` overrides the Azure SDK clients; `options.stdout`/`options.stderr` override the output streams.
+async function run(argv, options) {
+    options = options || {};
+    const stdout = options.stdout || process.stdout;
+    const stderr = options.stderr || process.stderr;
+
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+        if(parsed.args.help || !parsed.command) {
+            stdout.write(usage() + '\n');
+            return parsed.args.help ? EXIT_OK : EXIT_USAGE;
+        }
+        const command = commands[parsed.command];
+        if(!command) {
+            throw new UsageError('unknown command: ' + parsed.command);
+        }
+        const missing = command.requires.filter((name) => !parsed.args[name]);
+        if(missing.length > 0) {
+            throw new UsageError(util.format('%s requires: %s', parsed.command, missing.map((name) => '--' + name).join(', ')));
+        }
+        // Command line flags take precedence over the config file, .env and the environment.
+        SampleUtil.configure({
+            configFile: parsed.args.config,
+            subscriptionId: parsed.args.subscription,
+            tenantId: parsed.args.tenant,
+            credential: parsed.args.credential,
+            azureLocation: parsed.args.location,
+            groupName: parsed.args['resource-group']
+        });
+    } catch(e) {
+        if(!(e instanceof UsageError || e instanceof SampleUtil.ConfigError)) {
+            throw e;
+        }
+        // Bad command lines get the usage text; configuration problems only need the message.
+        stderr.write('error: ' + e.message + '\n' + (e instanceof UsageError ? '\n' + usage() + '\n' : ''));
+        return EXIT_USAGE;
+    }
+
+    const { command, args } = parsed;
+    // Progress messages go to stderr in JSON (or SARIF) mode so stdout stays machine-readable.
+    const machineReadable = args.json || (args.format && args.format !== 'table');
+    const log = (message) => (machineReadable ? stderr : stdout).write(message + '\n');
+    // Resources the command creates are recorded so a failure can be rolled back and a success torn down later.
+    // The ledger file is only written once something is recorded.
+    const ledger = ResourceLedger.createLedger();
+    const stepOptions = {
+        clients: options.clients,
+        groupName: args['resource-group'] || SampleUtil.config.groupName,
+        log: log,
+        ledger: ledger
+    };
+    const runId = () => (ledger.entries.length > 0 ? ledger.runId : undefined);
+
+    try {
+        const result = await commands[command].run(args, stepOptions);
+        if(commands[command].render) {
+            stdout.write(commands[command].render(result, args) + '\n');
+            return commands[command].exitCode(result);
+        }
+        if(args.json) {
+            stdout.write(JSON.stringify({ command: command, succeeded: true, runId: runId(), result: result }, null, 2) + '\n');
+        } else {
+            Object.keys(result || {}).forEach((key) => stdout.write(util.format('%s: %s\n', key, result[key])));
+            if(runId()) {
+                stdout.write(util.format('runId: %s (remove with: teardown --run %s)\n', runId(), runId()));
+            }
+        }
+        return EXIT_OK;
+    } catch(e) {
+        if(runId() && !args['keep-on-failure']) {
+            log(util.format('Rolling back run %s', runId()));
+            try {
+                await ledger.rollback(options.clients || Sample.getClients(), { log: log });
+            } catch(rollbackError) {
+                // The command's own error is still the one reported below.
+                stderr.write(util.format('error: rolling back run %s failed: %s; retry with: teardown --run %s\n', runId(), rollbackError.message, runId()));
+            }
+        }
+        if(args.json) {
+            stdout.write(JSON.stringify({ command: command, succeeded: false, runId: runId(), error: { code: e.code, message: e.message } }, null, 2) + '\n');
+        } else {
+            stderr.write(util.format('error: %s failed: %s\n', command, e.message));
+        }
+        // Invalid input detected while running the command, e.g. a SAS that breaks the SAS policy.
+        return (e instanceof UsageError || e instanceof SasBuilder.SasPolicyError || e instanceof SampleUtil.ConfigError) ? EXIT_USAGE : EXIT_FAILURE;
+    }
+}
+
+function _versioning(args) {
+    if(args['pin-version'] && args['auto-follow']) {
+        throw new UsageError('--pin-version and --auto-follow cannot be used together');
+    }
+    if(args['pin-version']) {
+        return CmkLifecycle.VERSIONING_PINNED;
+    }
+    return args['auto-follow'] ? CmkLifecycle.VERSIONING_AUTO : undefined;
+}
+
+function _rotationPolicy(args) {
+    const policy = {};
+    if(args['expires-in']) {
+        policy.expiresIn = args['expires-in'];
+    }
+    if(args['rotate-before-expiry']) {
+        policy.rotateBeforeExpiry = args['rotate-before-expiry'];
+    }
+    return policy;
+}
+
+async function _getStorageAccount(args, options) {
+    const clients = options.clients || Sample.getClients();
+    return clients.storage.storageAccounts.getProperties(options.groupName, args.account);
+}
+
+async function _getVault(args, options) {
+    const clients = options.clients || Sample.getClients();
+    return clients.keyVault.vaults.get(args['vault-resource-group'] || options.groupName, args.vault);
+}
+
+module.exports = {
+    commands: commands,
+    parseArgs: parseArgs,
+    run: run,
+    UsageError: UsageError,
+};
+
+if(require.main === module) {
+    run(process.argv.slice(2)).then((code) => { process.exitCode = code; })
+        .catch((e) => { console.error(e.message); process.exitCode = EXIT_FAILURE; });
+}
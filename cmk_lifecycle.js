@@ -0,0 +1,263 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const SampleUtil = require('./sample_util');
+
+// Lifecycle of the Key Vault key used as a storage account's customer-managed key (CMK):
+// creating the key with explicit options, attaching a rotation policy, checking the key can
+// wrap/unwrap before encryption is switched over, and rotating to a new version of the same key.
+//
+// Storage can either pin a specific key version, or auto-follow the latest version of the key
+// (storage picks up new versions within a day). Pinned accounts must be re-pointed after each rotation.
+
+const VERSIONING_PINNED = 'pinned';
+const VERSIONING_AUTO = 'auto';
+
+const DEFAULT_KEY_OPTIONS = {
+    keyType: 'RSA',     // RSA, or RSA-HSM for a premium vault
+    keySize: 2048       // 2048, 3072 or 4096
+};
+
+const DEFAULT_ROTATION_POLICY = {
+    expiresIn: '90d',           // expiry set on every new key version
+    rotateBeforeExpiry: '30d',  // Key Vault creates a new version this long before expiry
+    notifyBeforeExpiry: '30d'   // Event Grid KeyNearExpiry event this long before expiry
+};
+
+const KEY_TYPES = ['RSA', 'RSA-HSM'];
+const KEY_SIZES = [2048, 3072, 4096];
+
+class KeyNotUsableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeyNotUsableError';
+    }
+}
+
+function _isNotFound(e) {
+    return e.statusCode === 404 || e.code === 'KeyNotFound';
+}
+
+// Convert a whole number of days ("90d") into an ISO 8601 duration ("P90D") as used by rotation policies.
+function _isoDays(value, what) {
+    const ms = SampleUtil.parseDuration(value);
+    const days = ms / (24 * 60 * 60 * 1000);
+    if(!Number.isInteger(days) || days <= 0) {
+        throw new Error(util.format('%s must be a whole number of days, got "%s"', what, value));
+    }
+    return 'P' + days + 'D';
+}
+
+function _keyOptions(keyOptions) {
+    const options = Object.assign({}, DEFAULT_KEY_OPTIONS);
+    // Options left undefined (e.g. CLI flags that were not given) keep their defaults.
+    Object.keys(keyOptions || {}).forEach((name) => {
+        if(keyOptions[name] !== undefined) {
+            options[name] = keyOptions[name];
+        }
+    });
+    options.keySize = parseInt(options.keySize, 10);
+    if(KEY_TYPES.indexOf(options.keyType) < 0) {
+        throw new Error(util.format('unsupported key type "%s", expected one of: %s', options.keyType, KEY_TYPES.join(', ')));
+    }
+    if(KEY_SIZES.indexOf(options.keySize) < 0) {
+        throw new Error(util.format('unsupported key size "%s", expected one of: %s', options.keySize, KEY_SIZES.join(', ')));
+    }
+    return options;
+}
+
+// The size in bits of an RSA key's modulus, or undefined when the key does not include it.
+function _rsaKeySize(key) {
+    const modulus = key.key && key.key.n;
+    if(!modulus || !modulus.length) {
+        return undefined;
+    }
+    // The modulus may carry a leading zero byte.
+    let start = 0;
+    while(start < modulus.length - 1 && modulus[start] === 0) {
+        start++;
+    }
+    return (modulus.length - start) * 8;
+}
+
+// How an existing key differs from the requested one, as a list of problems (empty when it matches): it must be
+// an RSA key, of keyOptions.keyType and keyOptions.keySize where they are given. An existing key of another size
+// is fine when no size was asked for.
+function keyMismatches(key, keyOptions) {
+    const requested = keyOptions || {};
+    const options = _keyOptions(requested);
+    const problems = [];
+    if(KEY_TYPES.indexOf(key.keyType) < 0 || (requested.keyType !== undefined && key.keyType !== options.keyType)) {
+        problems.push(util.format('its type is %s, not %s', key.keyType, options.keyType));
+    }
+    const keySize = _rsaKeySize(key);
+    if(requested.keySize !== undefined && keySize !== undefined && keySize !== options.keySize) {
+        problems.push(util.format('its size is %d bits, not %d', keySize, options.keySize));
+    }
+    return problems;
+}
+
+// Return { key, created } with the latest version of `keyName`, creating the key if it does not exist yet.
+// An existing key of another type, or of another size than keyOptions.keySize, throws a KeyNotUsableError.
+async function ensureKey(keyClient, keyName, keyOptions) {
+    const options = _keyOptions(keyOptions);
+    let existing;
+    try {
+        existing = await keyClient.getKey(keyName);
+    } catch(e) {
+        if(!_isNotFound(e)) {
+            throw e;
+        }
+    }
+    if(existing) {
+        const problems = keyMismatches(existing, keyOptions);
+        if(problems.length > 0) {
+            throw new KeyNotUsableError(util.format('existing key %s does not match the requested key: %s', existing.id || existing.name, problems.join('; ')));
+        }
+        return { key: existing, created: false };
+    }
+
+    const createOptions = {
+        keySize: options.keySize,
+        hsm: options.keyType === 'RSA-HSM',
+        keyOps: ['wrapKey', 'unwrapKey']
+    };
+    if(options.expiresIn) {
+        createOptions.expiresOn = new Date(Date.now() + SampleUtil.parseDuration(options.expiresIn));
+    }
+    return { key: await keyClient.createRsaKey(keyName, createOptions), created: true };
+}
+
+// Build the Key Vault rotation policy for the given (relative, in days) settings.
+function toRotationPolicy(policy) {
+    policy = Object.assign({}, DEFAULT_ROTATION_POLICY, policy);
+    const lifetimeActions = [
+        { action: 'Rotate', timeBeforeExpiry: _isoDays(policy.rotateBeforeExpiry, 'rotateBeforeExpiry') }
+    ];
+    if(policy.notifyBeforeExpiry) {
+        lifetimeActions.push({ action: 'Notify', timeBeforeExpiry: _isoDays(policy.notifyBeforeExpiry, 'notifyBeforeExpiry') });
+    }
+    return {
+        expiresIn: _isoDays(policy.expiresIn, 'expiresIn'),
+        lifetimeActions: lifetimeActions
+    };
+}
+
+// Attach a rotation policy to the key so Key Vault rotates it before it expires.
+async function applyRotationPolicy(keyClient, keyName, policy) {
+    return keyClient.updateKeyRotationPolicy(keyName, toRotationPolicy(policy));
+}
+
+// Check that the key can be used by storage to wrap and unwrap its account encryption key.
+function assertKeyUsable(key) {
+    const properties = key.properties || {};
+    const operations = key.keyOperations || [];
+    const problems = [];
+
+    if(KEY_TYPES.indexOf(key.keyType) < 0) {
+        problems.push(util.format('key type %s is not RSA', key.keyType));
+    }
+    if(properties.enabled === false) {
+        problems.push('key is disabled');
+    }
+    if(properties.expiresOn && properties.expiresOn <= new Date()) {
+        problems.push('key expired on ' + properties.expiresOn.toISOString());
+    }
+    if(properties.notBefore && properties.notBefore > new Date()) {
+        problems.push('key is not valid before ' + properties.notBefore.toISOString());
+    }
+    ['wrapKey', 'unwrapKey'].forEach((operation) => {
+        if(operations.indexOf(operation) < 0) {
+            problems.push('key does not allow ' + operation);
+        }
+    });
+
+    if(problems.length > 0) {
+        throw new KeyNotUsableError(util.format('key %s cannot be used for storage encryption: %s', key.id || key.name, problems.join('; ')));
+    }
+    return key;
+}
+
+// Storage account update parameters pointing the account at `key`.
+// With VERSIONING_PINNED the account uses exactly this version, otherwise it follows the latest version.
+// `encryptionIdentity` selects a user-assigned identity (see ManagedIdentity.encryptionIdentity); omit it for the system-assigned identity.
+function encryptionParameters(vaultUri, key, versioning, encryptionIdentity) {
+    const parameters = {
+        encryption: {
+            keySource: "Microsoft.Keyvault",
+            keyVaultProperties: {
+                keyName: key.name,
+                // An empty version switches the account to auto-follow the latest key version.
+                keyVersion: versioning === VERSIONING_PINNED ? key.properties.version : '',
+                keyVaultUri: vaultUri
+            },
+            services: {
+                blob: { enabled: true, keyType: "Account" }
+            }
+        }
+    };
+    if(encryptionIdentity) {
+        parameters.encryption.encryptionIdentity = encryptionIdentity;
+    }
+    return parameters;
+}
+
+// The versioning mode a storage account currently uses for its customer-managed key.
+function versioningOf(storageAccount) {
+    const keyVaultProperties = storageAccount.encryption && storageAccount.encryption.keyVaultProperties;
+    return keyVaultProperties && keyVaultProperties.keyVersion ? VERSIONING_PINNED : VERSIONING_AUTO;
+}
+
+// Encryption scope parameters backed by `key`. A versionless key URI lets the scope follow the latest version of
+// the key; with VERSIONING_PINNED the scope uses exactly this version.
+function encryptionScopeParameters(vaultUri, key, versioning, requireInfrastructureEncryption) {
+    const keyUri = versioning === VERSIONING_PINNED ? key.id : `${vaultUri.replace(/\/$/, '')}/keys/${key.name}`;
+    const parameters = {
+        source: "Microsoft.KeyVault",
+        state: "Enabled",
+        keyVaultProperties: { keyUri: keyUri }
+    };
+    if(requireInfrastructureEncryption !== undefined) {
+        parameters.requireInfrastructureEncryption = requireInfrastructureEncryption;
+    }
+    return parameters;
+}
+
+// Split a Key Vault key URI into { vaultUri, keyName, keyVersion }; keyVersion is empty for a versionless URI.
+function parseKeyUri(keyUri) {
+    const match = /^(https:\/\/[^/]+)\/keys\/([^/]+)(?:\/([^/]*))?\/?$/i.exec(keyUri || '');
+    if(!match) {
+        throw new Error(util.format('"%s" is not a Key Vault key URI', keyUri));
+    }
+    return { vaultUri: match[1] + '/', keyName: match[2], keyVersion: match[3] || '' };
+}
+
+// Create a new version of the key and return it.
+async function rotateKey(keyClient, keyName) {
+    return keyClient.rotateKey(keyName);
+}
+
+module.exports = {
+    VERSIONING_PINNED: VERSIONING_PINNED,
+    VERSIONING_AUTO: VERSIONING_AUTO,
+    DEFAULT_KEY_OPTIONS: DEFAULT_KEY_OPTIONS,
+    DEFAULT_ROTATION_POLICY: DEFAULT_ROTATION_POLICY,
+    KEY_TYPES: KEY_TYPES,
+    KEY_SIZES: KEY_SIZES,
+    ensureKey: ensureKey,
+    keyMismatches: keyMismatches,
+    toRotationPolicy: toRotationPolicy,
+    applyRotationPolicy: applyRotationPolicy,
+    assertKeyUsable: assertKeyUsable,
+    encryptionParameters: encryptionParameters,
+    versioningOf: versioningOf,
+    encryptionScopeParameters: encryptionScopeParameters,
+    parseKeyUri: parseKeyUri,
+    rotateKey: rotateKey,
+    KeyNotUsableError: KeyNotUsableError,
+};
@@ -0,0 +1,294 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const SampleUtil = require('./sample_util');
+const Sample = require('./storage_account_sample');
+const VaultAccess = require('./vault_access');
+
+// Audits the encryption of existing storage accounts instead of provisioning them. For every storage account
+// in a subscription or resource group the scan reports the key source, the vault and key it points at, the
+// key's expiry and rotation policy and whether shared key access is allowed; for every vault referenced,
+// whether soft-delete and purge protection are on. The report is checked against a rule set whose levels
+// can be configured, and can be rendered as JSON, SARIF or a table.
+
+const LEVEL_ERROR = 'error';
+const LEVEL_WARNING = 'warning';
+const LEVEL_NOTE = 'note';
+const LEVEL_OFF = 'off';
+const LEVELS = [LEVEL_ERROR, LEVEL_WARNING, LEVEL_NOTE, LEVEL_OFF];
+
+// The rules and their default levels. Accounts that fail a rule at level "error" make the scan fail.
+const rules = {
+    'cmk-required':           { level: LEVEL_ERROR,   description: 'Storage account is encrypted with a customer-managed key' },
+    'key-readable':           { level: LEVEL_WARNING, description: 'The customer-managed key and its rotation policy can be read by the scanner' },
+    'key-expiry-set':         { level: LEVEL_WARNING, description: 'The customer-managed key version in use has an expiry date' },
+    'key-not-expired':        { level: LEVEL_ERROR,   description: 'The customer-managed key version in use has not expired' },
+    'key-rotation-policy':    { level: LEVEL_WARNING, description: 'The customer-managed key has a rotation policy that rotates it automatically' },
+    'shared-key-disabled':    { level: LEVEL_WARNING, description: 'Shared key (account key) access is disabled' },
+    'vault-found':            { level: LEVEL_WARNING, description: 'The vault holding the customer-managed key is in the scanned subscription' },
+    'vault-soft-delete':      { level: LEVEL_ERROR,   description: 'The vault holding the customer-managed key has soft-delete enabled' },
+    'vault-purge-protection': { level: LEVEL_ERROR,   description: 'The vault holding the customer-managed key has purge protection enabled' }
+};
+
+// Merge rule level overrides ({ "<rule id>": "error" | "warning" | "note" | "off" }) into the defaults.
+function ruleLevels(overrides) {
+    const levels = {};
+    Object.keys(rules).forEach((id) => { levels[id] = rules[id].level; });
+    Object.keys(overrides || {}).forEach((id) => {
+        if(!rules[id]) {
+            throw new SampleUtil.ConfigError(util.format('unknown rule "%s", expected one of: %s', id, Object.keys(rules).join(', ')));
+        }
+        if(LEVELS.indexOf(overrides[id]) < 0) {
+            throw new SampleUtil.ConfigError(util.format('invalid level "%s" for rule %s, expected one of: %s', overrides[id], id, LEVELS.join(', ')));
+        }
+        levels[id] = overrides[id];
+    });
+    return levels;
+}
+
+async function _collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+function _vaultUriKey(uri) {
+    return String(uri || '').toLowerCase().replace(/\/+$/, '');
+}
+
+// Read the key version an account uses and the key's rotation policy. A key that cannot be read gets `error`;
+// a rotation policy that cannot be read (e.g. without the rotation policy permission) only `rotationPolicyError`.
+async function _inspectKey(clients, keyVaultProperties) {
+    const keyClient = clients.keys(keyVaultProperties.keyVaultUri);
+    const result = { keyName: keyVaultProperties.keyName, keyVersion: keyVaultProperties.keyVersion || null, autoFollow: !keyVaultProperties.keyVersion };
+    try {
+        const key = await keyClient.getKey(keyVaultProperties.keyName, keyVaultProperties.keyVersion ? { version: keyVaultProperties.keyVersion } : undefined);
+        result.keyVersion = key.properties.version;
+        result.expiresOn = key.properties.expiresOn ? key.properties.expiresOn.toISOString() : null;
+    } catch(e) {
+        result.error = e.message;
+        return result;
+    }
+    try {
+        const policy = await keyClient.getKeyRotationPolicy(keyVaultProperties.keyName);
+        const rotate = ((policy && policy.lifetimeActions) || []).find((action) => String(action.action).toLowerCase() === 'rotate');
+        result.rotationPolicy = rotate ? { rotate: rotate.timeBeforeExpiry || rotate.timeAfterCreate, expiresIn: policy.expiresIn || null } : null;
+    } catch(e) {
+        result.rotationPolicyError = e.message;
+    }
+    return result;
+}
+
+function _vaultSummary(vault) {
+    return {
+        id: vault.id,
+        name: vault.name,
+        vaultUri: vault.properties.vaultUri,
+        // Soft-delete is on unless explicitly disabled; it can no longer be turned off on new vaults.
+        softDelete: vault.properties.enableSoftDelete !== false,
+        purgeProtection: vault.properties.enablePurgeProtection === true
+    };
+}
+
+// Scan the storage accounts of a resource group, or of the whole subscription when `groupName` is not given.
+// Returns { scope, scannedAt, accounts: [...], vaults: [...] } with no rules applied yet (see evaluate()).
+//
+// options.clients    Azure SDK clients (default: Sample.getClients())
+// options.groupName  resource group to scan
+// options.log        progress messages
+async function scan(options) {
+    options = options || {};
+    const clients = options.clients || Sample.getClients();
+    const log = options.log || console.log;
+    const groupName = options.groupName;
+
+    const storageAccounts = await _collect(groupName ?
+        clients.storage.storageAccounts.listByResourceGroup(groupName) : clients.storage.storageAccounts.list());
+    log(util.format('Scanning %d storage account(s) in %s', storageAccounts.length, groupName ? 'resource group ' + groupName : 'the subscription'));
+
+    // Vaults are matched to accounts by URI; only vaults referenced by an account are reported.
+    let vaultsByUri = null;
+    const referenced = {};
+    const accounts = [];
+    for(const account of storageAccounts) {
+        const encryption = account.encryption || {};
+        const entry = {
+            id: account.id,
+            name: account.name,
+            resourceGroup: VaultAccess.resourceGroupOf(account),
+            keySource: encryption.keySource || 'Microsoft.Storage',
+            // Shared key access is allowed unless explicitly disabled.
+            allowSharedKeyAccess: account.allowSharedKeyAccess !== false
+        };
+        const keyVaultProperties = encryption.keyVaultProperties;
+        if(/^Microsoft\.Keyvault$/i.test(entry.keySource) && keyVaultProperties) {
+            entry.vaultUri = keyVaultProperties.keyVaultUri;
+            entry.key = await _inspectKey(clients, keyVaultProperties);
+            if(encryption.encryptionIdentity && encryption.encryptionIdentity.encryptionUserAssignedIdentity) {
+                entry.encryptionIdentity = encryption.encryptionIdentity.encryptionUserAssignedIdentity;
+            }
+
+            if(!vaultsByUri) {
+                vaultsByUri = {};
+                (await _collect(clients.keyVault.vaults.listBySubscription())).forEach((vault) => {
+                    vaultsByUri[_vaultUriKey(vault.properties.vaultUri)] = vault;
+                });
+            }
+            const vault = vaultsByUri[_vaultUriKey(entry.vaultUri)];
+            if(vault) {
+                referenced[vault.id] = _vaultSummary(vault);
+                entry.vault = vault.name;
+            }
+        }
+        accounts.push(entry);
+    }
+
+    return {
+        scope: groupName ? { resourceGroup: groupName } : { subscription: SampleUtil.config.subscriptionId },
+        scannedAt: new Date().toISOString(),
+        accounts: accounts,
+        vaults: Object.keys(referenced).map((id) => referenced[id])
+    };
+}
+
+// Apply the rules to a scan report. Adds `findings` ({ ruleId, level, resourceId, resource, message }) and
+// `failed` (whether any finding is at level "error") to the report and returns it.
+function evaluate(report, levels, now) {
+    levels = levels || ruleLevels();
+    now = (now || Date.now)();
+    const findings = [];
+    const fail = (ruleId, resource, message) => {
+        if(levels[ruleId] !== LEVEL_OFF) {
+            findings.push({ ruleId: ruleId, level: levels[ruleId], resourceId: resource.id, resource: resource.name, message: message });
+        }
+    };
+    const vaultsByUri = {};
+    report.vaults.forEach((vault) => { vaultsByUri[_vaultUriKey(vault.vaultUri)] = vault; });
+
+    report.accounts.forEach((account) => {
+        if(account.allowSharedKeyAccess) {
+            fail('shared-key-disabled', account, util.format('storage account %s allows shared key access', account.name));
+        }
+        if(!account.key) {
+            fail('cmk-required', account, util.format('storage account %s uses %s keys', account.name, account.keySource));
+            return;
+        }
+        const key = account.key;
+        if(key.error) {
+            fail('key-readable', account, util.format('could not read key %s in %s: %s', key.keyName, account.vaultUri, key.error));
+        } else {
+            if(!key.expiresOn) {
+                fail('key-expiry-set', account, util.format('key %s (version %s) used by %s has no expiry date', key.keyName, key.keyVersion, account.name));
+            } else if(Date.parse(key.expiresOn) <= now) {
+                fail('key-not-expired', account, util.format('key %s (version %s) used by %s expired on %s', key.keyName, key.keyVersion, account.name, key.expiresOn));
+            }
+            if(key.rotationPolicyError) {
+                fail('key-readable', account, util.format('could not read the rotation policy of key %s in %s: %s', key.keyName, account.vaultUri, key.rotationPolicyError));
+            } else if(!key.rotationPolicy) {
+                fail('key-rotation-policy', account, util.format('key %s used by %s has no automatic rotation policy', key.keyName, account.name));
+            }
+        }
+        if(!vaultsByUri[_vaultUriKey(account.vaultUri)]) {
+            fail('vault-found', account, util.format('vault %s used by %s is not in the scanned subscription, or not visible to the scanner', account.vaultUri, account.name));
+        }
+    });
+
+    report.vaults.forEach((vault) => {
+        if(!vault.softDelete) {
+            fail('vault-soft-delete', vault, util.format('vault %s does not have soft-delete enabled', vault.name));
+        }
+        if(!vault.purgeProtection) {
+            fail('vault-purge-protection', vault, util.format('vault %s does not have purge protection enabled', vault.name));
+        }
+    });
+
+    report.rules = levels;
+    report.findings = findings;
+    report.failed = findings.some((finding) => finding.level === LEVEL_ERROR);
+    return report;
+}
+
+// Render an evaluated report as SARIF 2.1.0, with resources as logical locations.
+function toSarif(report) {
+    const ruleIds = Object.keys(rules);
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'kv-storage-scan',
+                    informationUri: 'https://github.com/Azure-Samples/key-vault-node-storage-accounts',
+                    rules: ruleIds.map((id) => ({
+                        id: id,
+                        shortDescription: { text: rules[id].description },
+                        defaultConfiguration: { level: report.rules[id] === LEVEL_OFF ? 'none' : report.rules[id] }
+                    }))
+                }
+            },
+            invocations: [{ executionSuccessful: true, endTimeUtc: report.scannedAt }],
+            results: report.findings.map((finding) => ({
+                ruleId: finding.ruleId,
+                ruleIndex: ruleIds.indexOf(finding.ruleId),
+                level: finding.level,
+                message: { text: finding.message },
+                locations: [{ logicalLocations: [{ name: finding.resource, fullyQualifiedName: finding.resourceId, kind: 'resource' }] }]
+            }))
+        }]
+    };
+}
+
+function _table(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => String(row[i]).length)));
+    const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    return [line(headers), line(widths.map((width) => '-'.repeat(width)))].concat(rows.map(line)).join('\n');
+}
+
+function _yesNo(value) {
+    return value ? 'yes' : 'no';
+}
+
+// Render an evaluated report as human-readable tables followed by the findings.
+function toTable(report) {
+    const lines = [];
+    lines.push(_table(['Storage account', 'Resource group', 'Key source', 'Vault', 'Key', 'Expires', 'Rotation', 'Shared key'],
+        report.accounts.map((account) => {
+            const key = account.key;
+            return [
+                account.name,
+                account.resourceGroup || '',
+                account.keySource,
+                account.vault || account.vaultUri || '-',
+                key ? key.keyName + (key.autoFollow ? ' (latest)' : ' @' + key.keyVersion) : '-',
+                !key ? '-' : key.error ? 'unknown' : (key.expiresOn || 'never'),
+                !key ? '-' : (key.error || key.rotationPolicyError) ? 'unknown' : (key.rotationPolicy ? key.rotationPolicy.rotate + ' before expiry' : 'none'),
+                account.allowSharedKeyAccess ? 'allowed' : 'disabled'
+            ];
+        })));
+    if(report.vaults.length > 0) {
+        lines.push('', _table(['Vault', 'Soft-delete', 'Purge protection'],
+            report.vaults.map((vault) => [vault.name, _yesNo(vault.softDelete), _yesNo(vault.purgeProtection)])));
+    }
+    lines.push('');
+    report.findings.forEach((finding) => lines.push(util.format('%s  %s  %s', finding.level.toUpperCase().padEnd(7), finding.ruleId.padEnd(22), finding.message)));
+    const errors = report.findings.filter((finding) => finding.level === LEVEL_ERROR).length;
+    lines.push(util.format('%d account(s), %d vault(s), %d finding(s), %d error(s): %s',
+        report.accounts.length, report.vaults.length, report.findings.length, errors, report.failed ? 'FAILED' : 'passed'));
+    return lines.join('\n');
+}
+
+module.exports = {
+    rules: rules,
+    ruleLevels: ruleLevels,
+    scan: scan,
+    evaluate: evaluate,
+    toSarif: toSarif,
+    toTable: toTable,
+};
@@ -0,0 +1,257 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+
+// Client-side envelope encryption of blobs: the data is encrypted in this process before it is uploaded, so storage
+// only ever holds ciphertext, whatever its own (server-side) encryption.
+//
+// Every blob gets a fresh 256-bit content key. The content is split into segments that are each sealed with
+// AES-256-GCM under that key, so large blobs are encrypted and decrypted as they stream, one segment in memory at a
+// time. The content key itself is wrapped (RSA-OAEP-256) by a Key Vault key through a CryptographyClient, and only
+// the wrapped key is stored, in the blob's metadata, together with the algorithms and the versioned ID of the key
+// that wrapped it. Decryption unwraps with exactly that key version, so blobs stay readable after the key rotates
+// as long as the old version is enabled.
+//
+// Each encrypted segment is nonce (12 bytes) || ciphertext || tag (16 bytes). The segment's index and whether it is
+// the last one are authenticated as additional data, so reordered, dropped or truncated segments fail to decrypt.
+
+const ENVELOPE_VERSION = '1';
+const CONTENT_ALGORITHM = 'AES-256-GCM';
+const WRAP_ALGORITHM = 'RSA-OAEP-256';
+
+const DEFAULT_SEGMENT_SIZE = 4 * 1024 * 1024;
+const MIN_SEGMENT_SIZE = 16 * 1024;
+const MAX_SEGMENT_SIZE = 64 * 1024 * 1024;
+
+// A block blob has at most this many blocks; every segment is uploaded as one block.
+const MAX_BLOCKS = 50000;
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Blob metadata names of the envelope.
+const METADATA = {
+    version: 'cse_version',
+    algorithm: 'cse_algorithm',
+    segmentSize: 'cse_segment_size',
+    wrapAlgorithm: 'cse_wrap_algorithm',
+    wrappedKey: 'cse_wrapped_key',
+    keyId: 'cse_key_id'
+};
+
+class EnvelopeError extends Error {
+    // A blob that is not (or no longer) a valid envelope: missing or unsupported metadata, or content that fails authentication.
+    constructor(message) {
+        super(message);
+        this.name = 'EnvelopeError';
+    }
+}
+
+function _segmentSize(value) {
+    const size = value === undefined ? DEFAULT_SEGMENT_SIZE : Number(value);
+    if(!Number.isInteger(size) || size < MIN_SEGMENT_SIZE || size > MAX_SEGMENT_SIZE) {
+        throw new EnvelopeError(util.format('segment size must be a whole number of bytes from %d to %d', MIN_SEGMENT_SIZE, MAX_SEGMENT_SIZE));
+    }
+    return size;
+}
+
+// The additional authenticated data of a segment: its index and whether it is the last one.
+function _segmentAad(index, final) {
+    const aad = Buffer.alloc(5);
+    aad.writeUInt32BE(index, 0);
+    aad.writeUInt8(final ? 1 : 0, 4);
+    return aad;
+}
+
+// Split a stream into pieces of `size` bytes, holding back the last piece until the stream ends so it can be
+// handled as the final one. `handle(piece, final)` returns the transformed piece. With `discrete` every transformed
+// piece is read as one chunk, instead of being merged with the next.
+function _segmenter(size, handle, discrete) {
+    let chunks = [];
+    let length = 0;
+    const take = (count) => {
+        const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, length);
+        const piece = all.subarray(0, count);
+        chunks = count < all.length ? [all.subarray(count)] : [];
+        length = all.length - count;
+        return piece;
+    };
+    return new Transform({
+        readableObjectMode: !!discrete,
+        readableHighWaterMark: discrete ? 1 : undefined,
+        transform(chunk, encoding, callback) {
+            chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+            chunks.push(chunk);
+            length += chunk.length;
+            try {
+                // Keep at least one byte back: a piece is only final once the stream has ended.
+                while(length > size) {
+                    this.push(handle(take(size), false));
+                }
+                callback();
+            } catch(e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                this.push(handle(take(length), true));
+                callback();
+            } catch(e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+// A transform stream that encrypts plaintext into sealed segments of `segmentSize` plaintext bytes each, read one
+// segment per chunk.
+function createEncryptStream(contentKey, segmentSize) {
+    let index = 0;
+    return _segmenter(_segmentSize(segmentSize), (plaintext, final) => {
+        const nonce = crypto.randomBytes(NONCE_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, nonce, { authTagLength: TAG_LENGTH });
+        cipher.setAAD(_segmentAad(index++, final));
+        return Buffer.concat([nonce, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    }, true);
+}
+
+// A transform stream that decrypts the output of createEncryptStream. Plaintext is only passed on once its segment
+// has been authenticated; a modified, reordered or truncated blob fails with an EnvelopeError.
+function createDecryptStream(contentKey, segmentSize) {
+    let index = 0;
+    return _segmenter(_segmentSize(segmentSize) + NONCE_LENGTH + TAG_LENGTH, (segment, final) => {
+        if(segment.length < NONCE_LENGTH + TAG_LENGTH) {
+            throw new EnvelopeError(util.format('encrypted segment %d is truncated', index));
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, segment.subarray(0, NONCE_LENGTH), { authTagLength: TAG_LENGTH });
+        decipher.setAAD(_segmentAad(index, final));
+        decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+        try {
+            const plaintext = Buffer.concat([decipher.update(segment.subarray(NONCE_LENGTH, segment.length - TAG_LENGTH)), decipher.final()]);
+            index++;
+            return plaintext;
+        } catch(e) {
+            throw new EnvelopeError(util.format('encrypted segment %d failed authentication: the blob was modified, reordered or truncated', index));
+        }
+    });
+}
+
+// The envelope metadata of a blob, or undefined for a blob that is not client-side encrypted.
+// Throws an EnvelopeError for an envelope this version cannot decrypt.
+function readEnvelope(metadata) {
+    metadata = metadata || {};
+    if(metadata[METADATA.wrappedKey] === undefined) {
+        return undefined;
+    }
+    const envelope = {
+        version: metadata[METADATA.version],
+        algorithm: metadata[METADATA.algorithm],
+        segmentSize: Number(metadata[METADATA.segmentSize]),
+        wrapAlgorithm: metadata[METADATA.wrapAlgorithm],
+        wrappedKey: metadata[METADATA.wrappedKey],
+        keyId: metadata[METADATA.keyId]
+    };
+    if(envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== CONTENT_ALGORITHM) {
+        throw new EnvelopeError(util.format('unsupported envelope: version %s, algorithm %s', envelope.version, envelope.algorithm));
+    }
+    if(!envelope.keyId || !envelope.wrapAlgorithm) {
+        throw new EnvelopeError('the envelope does not name the key that wrapped its content key');
+    }
+    _segmentSize(envelope.segmentSize);
+    return envelope;
+}
+
+function _source(data) {
+    if(typeof data === 'string' || Buffer.isBuffer(data) || data instanceof Uint8Array) {
+        return Readable.from([Buffer.from(data)]);
+    }
+    if(data && typeof data.pipe === 'function') {
+        return data;
+    }
+    throw new TypeError('data must be a string, a Buffer or a readable stream');
+}
+
+// Encrypt `data` (a string, Buffer or readable stream) and upload it to `blockBlobClient`, one block per segment.
+// `cryptographyClient` wraps the content key; use one for a versioned key ID so the metadata names that version.
+//
+// options.segmentSize  plaintext bytes per segment (default 4 MiB)
+// options.metadata     other metadata to store on the blob
+//
+// Returns { keyId, algorithm, wrapAlgorithm, segments, size } with the plaintext size in bytes.
+async function uploadEncrypted(blockBlobClient, cryptographyClient, data, options) {
+    options = options || {};
+    const segmentSize = _segmentSize(options.segmentSize);
+    const contentKey = crypto.randomBytes(KEY_LENGTH);
+    const wrapped = await cryptographyClient.wrapKey(WRAP_ALGORITHM, contentKey);
+
+    const encrypted = pipeline(_source(data), createEncryptStream(contentKey, segmentSize), () => {});
+    const blockIds = [];
+    let size = 0;
+    for await (const segment of encrypted) {
+        if(blockIds.length >= MAX_BLOCKS) {
+            encrypted.destroy();
+            throw new EnvelopeError(util.format('the data needs more than %d segments of %d bytes; use a larger segment size', MAX_BLOCKS, segmentSize));
+        }
+        const blockId = Buffer.from(String(blockIds.length).padStart(8, '0')).toString('base64');
+        await blockBlobClient.stageBlock(blockId, segment, segment.length);
+        blockIds.push(blockId);
+        size += segment.length - NONCE_LENGTH - TAG_LENGTH;
+    }
+
+    const envelope = {};
+    envelope[METADATA.version] = ENVELOPE_VERSION;
+    envelope[METADATA.algorithm] = CONTENT_ALGORITHM;
+    envelope[METADATA.segmentSize] = String(segmentSize);
+    envelope[METADATA.wrapAlgorithm] = WRAP_ALGORITHM;
+    envelope[METADATA.wrappedKey] = Buffer.from(wrapped.result).toString('base64');
+    envelope[METADATA.keyId] = wrapped.keyID;
+    await blockBlobClient.commitBlockList(blockIds, { metadata: Object.assign({}, options.metadata, envelope) });
+
+    return { keyId: wrapped.keyID, algorithm: CONTENT_ALGORITHM, wrapAlgorithm: WRAP_ALGORITHM, segments: blockIds.length, size: size };
+}
+
+// Download a blob uploaded by uploadEncrypted and decrypt it as it streams.
+// `cryptographyClientFor(keyId)` returns a CryptographyClient for the versioned key ID stored in the blob's metadata.
+//
+// Returns { keyId, metadata, stream } where `stream` yields the plaintext and `metadata` holds the blob's other metadata.
+// The download is pinned to the blob's ETag, so a blob overwritten in the meantime fails instead of mixing versions.
+async function downloadDecrypted(blobClient, cryptographyClientFor) {
+    const properties = await blobClient.getProperties();
+    const envelope = readEnvelope(properties.metadata);
+    if(!envelope) {
+        throw new EnvelopeError('the blob is not client-side encrypted: it has no wrapped content key in its metadata');
+    }
+    const unwrapped = await cryptographyClientFor(envelope.keyId).unwrapKey(envelope.wrapAlgorithm, Buffer.from(envelope.wrappedKey, 'base64'));
+    const response = await blobClient.download(0, undefined, { conditions: { ifMatch: properties.etag } });
+
+    const metadata = Object.assign({}, properties.metadata);
+    Object.keys(METADATA).forEach((name) => delete metadata[METADATA[name]]);
+    return {
+        keyId: envelope.keyId,
+        metadata: metadata,
+        stream: pipeline(response.readableStreamBody, createDecryptStream(Buffer.from(unwrapped.result), envelope.segmentSize), () => {})
+    };
+}
+
+module.exports = {
+    ENVELOPE_VERSION: ENVELOPE_VERSION,
+    CONTENT_ALGORITHM: CONTENT_ALGORITHM,
+    WRAP_ALGORITHM: WRAP_ALGORITHM,
+    DEFAULT_SEGMENT_SIZE: DEFAULT_SEGMENT_SIZE,
+    METADATA: METADATA,
+    createEncryptStream: createEncryptStream,
+    createDecryptStream: createDecryptStream,
+    readEnvelope: readEnvelope,
+    uploadEncrypted: uploadEncrypted,
+    downloadDecrypted: downloadDecrypted,
+    EnvelopeError: EnvelopeError,
+};
@@ -0,0 +1,266 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const SampleUtil = require('./sample_util');
+const Sample = require('./storage_account_sample');
+const CmkLifecycle = require('./cmk_lifecycle');
+const VaultAccess = require('./vault_access');
+
+// A webhook for Event Grid subscriptions on a key vault, so storage accounts follow key rotations without anyone
+// running rotate-cmk:
+//   KeyNearExpiry          the version in use expires soon: rotate the key unless a newer version already exists,
+//                          then re-point the accounts pinned to the key at the latest version
+//   KeyNewVersionCreated   the key was rotated (by hand or by its rotation policy): re-point the pinned accounts
+// Accounts that auto-follow the latest key version pick new versions up by themselves and are left alone.
+//
+// Event Grid delivers at least once, so every handled event is recorded under an idempotency key (the event type and
+// the versioned key ID) in <stateDir>/key-events.json, and a repeated delivery is acknowledged without acting again.
+// Deliveries are handled one at a time.
+
+const SUBSCRIPTION_VALIDATION = 'Microsoft.EventGrid.SubscriptionValidationEvent';
+const KEY_NEAR_EXPIRY = 'Microsoft.KeyVault.KeyNearExpiry';
+const KEY_NEW_VERSION_CREATED = 'Microsoft.KeyVault.KeyNewVersionCreated';
+
+// How many handled events to remember for deduplication.
+const MAX_PROCESSED = 1000;
+
+// Largest request body accepted; Event Grid batches are at most 1 MB.
+const MAX_BODY = 1024 * 1024;
+
+function _statePath(options) {
+    return options.statePath || path.join(SampleUtil.config.stateDir, 'key-events.json');
+}
+
+// The key an event is deduplicated by. Key Vault sends one event per key version and event type.
+function idempotencyKey(event) {
+    const data = event.data || {};
+    return util.format('%s:%s', event.eventType || event.type, String(data.Id || event.subject || event.id).toLowerCase());
+}
+
+async function _collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+function _sameVault(a, b) {
+    return String(a || '').toLowerCase().replace(/\/+$/, '') === String(b || '').toLowerCase().replace(/\/+$/, '');
+}
+
+// Re-point every account pinned to an older version of `key` at it. Returns one result per account using the key.
+async function _followKey(clients, vaultUri, key, log) {
+    const results = [];
+    for(const account of await _collect(clients.storage.storageAccounts.list())) {
+        const encryption = account.encryption || {};
+        const properties = encryption.keyVaultProperties;
+        if(!/^Microsoft\.Keyvault$/i.test(encryption.keySource || '') || !properties ||
+            !_sameVault(properties.keyVaultUri, vaultUri) || String(properties.keyName).toLowerCase() !== key.name.toLowerCase()) {
+            continue;
+        }
+        if(!properties.keyVersion) {
+            results.push({ storageAccount: account.name, action: 'auto-follows' });
+        } else if(properties.keyVersion === key.properties.version) {
+            results.push({ storageAccount: account.name, action: 'up to date' });
+        } else {
+            await Sample.pinKeyVersion(account, properties.keyVaultUri, key, {
+                clients: clients,
+                groupName: VaultAccess.resourceGroupOf(account),
+                log: log
+            });
+            results.push({ storageAccount: account.name, action: util.format('re-pointed from %s', properties.keyVersion) });
+        }
+    }
+    return results;
+}
+
+// Why a key event cannot be acted on, or undefined when it can: key events must name a versioned key in data.Id.
+function invalidKeyEvent(event) {
+    const data = event.data;
+    if(!data || typeof data !== 'object' || typeof data.Id !== 'string') {
+        return 'the event has no data.Id';
+    }
+    let key;
+    try {
+        key = CmkLifecycle.parseKeyUri(data.Id);
+    } catch(e) {
+        return e.message;
+    }
+    return key.keyVersion ? undefined : util.format('"%s" does not name a key version', data.Id);
+}
+
+// Act on one Key Vault event. Returns { eventType, keyName, keyVersion, rotated, accounts }, or undefined for events
+// this handler ignores. Malformed key events (see invalidKeyEvent) throw a ConfigError.
+async function handleKeyEvent(event, options) {
+    const { clients, log } = Sample.resolveOptions(options);
+    const eventType = event.eventType || event.type;
+    if(eventType !== KEY_NEAR_EXPIRY && eventType !== KEY_NEW_VERSION_CREATED) {
+        return undefined;
+    }
+    const problem = invalidKeyEvent(event);
+    if(problem) {
+        throw new SampleUtil.ConfigError(util.format('malformed %s event: %s', eventType, problem));
+    }
+    const { vaultUri, keyName, keyVersion } = CmkLifecycle.parseKeyUri(event.data.Id);
+    const keyClient = clients.keys(vaultUri);
+    let latest = await keyClient.getKey(keyName);
+    let rotated = false;
+
+    // Several deliveries, or Key Vault's own rotation policy, may already have replaced the expiring version.
+    if(eventType === KEY_NEAR_EXPIRY && latest.properties.version === keyVersion) {
+        latest = await CmkLifecycle.rotateKey(keyClient, keyName);
+        rotated = true;
+        log(util.format('Rotated key %s in %s before version %s expires; new version %s', keyName, vaultUri, keyVersion, latest.properties.version));
+    }
+
+    return {
+        eventType: eventType,
+        keyName: keyName,
+        keyVersion: latest.properties.version,
+        rotated: rotated,
+        accounts: await _followKey(clients, vaultUri, latest, log)
+    };
+}
+
+// Handle one Event Grid delivery (the parsed request body). Returns { status, body } for the HTTP response:
+// the validation handshake is answered, and a failure returns 500 so that Event Grid delivers the batch again.
+// Events that were already handled are skipped, so the retry only repeats the failed ones. Malformed events are
+// acknowledged and ignored, since delivering them again cannot help.
+//
+// options.clients, options.log  as for the sample's steps
+// options.statePath             file recording handled events (default <stateDir>/key-events.json)
+async function handleDelivery(events, options) {
+    options = Sample.resolveOptions(options);
+    const log = options.log;
+    if(!Array.isArray(events)) {
+        events = [events];
+    }
+    if(events.some((event) => !event || typeof event !== 'object')) {
+        return { status: 400, body: { error: 'expected an Event Grid event or an array of events' } };
+    }
+
+    const validation = events.find((event) => event.eventType === SUBSCRIPTION_VALIDATION);
+    if(validation) {
+        log(util.format('Validated Event Grid subscription for %s', validation.topic || 'this webhook'));
+        return { status: 200, body: { validationResponse: validation.data && validation.data.validationCode } };
+    }
+
+    const statePath = _statePath(options);
+    const results = [];
+    let failed = false;
+    for(const event of events) {
+        const key = idempotencyKey(event);
+        const state = SampleUtil.readJsonFile(statePath, { processed: {} });
+        if(state.processed[key]) {
+            results.push({ id: event.id, idempotencyKey: key, duplicate: true });
+            log(util.format('Skipping %s: already handled at %s', key, state.processed[key].handledAt));
+            continue;
+        }
+        const eventType = event.eventType || event.type;
+        const problem = (eventType === KEY_NEAR_EXPIRY || eventType === KEY_NEW_VERSION_CREATED) && invalidKeyEvent(event);
+        if(problem) {
+            log(util.format('Ignoring malformed %s event %s: %s', eventType, event.id, problem));
+            results.push({ id: event.id, idempotencyKey: key, ignored: true, error: problem });
+            continue;
+        }
+        try {
+            const result = await handleKeyEvent(event, options);
+            if(result) {
+                state.processed[key] = { eventId: event.id, handledAt: new Date().toISOString() };
+                // Forget the oldest events so the file does not grow forever.
+                Object.keys(state.processed).slice(0, Math.max(0, Object.keys(state.processed).length - MAX_PROCESSED))
+                    .forEach((old) => { delete state.processed[old]; });
+                SampleUtil.writeJsonFile(statePath, state);
+            }
+            results.push(Object.assign({ id: event.id, idempotencyKey: key, ignored: !result }, result));
+        } catch(e) {
+            failed = true;
+            log(util.format('Failed to handle %s: %s', key, e.message));
+            results.push({ id: event.id, idempotencyKey: key, error: e.message });
+        }
+    }
+    return { status: failed ? 500 : 200, body: { results: results } };
+}
+
+function _send(response, status, body, headers) {
+    response.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Compare the secret a request carries with the configured one in constant time. Both are hashed first, so the
+// buffers compared have the same length whatever was sent.
+function _secretMatches(given, secret) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return typeof given === 'string' && crypto.timingSafeEqual(digest(given), digest(secret));
+}
+
+// An HTTP server that passes Event Grid deliveries to handleDelivery(). Call listen() on it to start it.
+// Requests must carry ?code=<eventsSecret>. Without the eventsSecret setting (or options.secret) the server is only
+// created with options.insecure, for local testing, because anyone who can reach it could rotate keys.
+// The CloudEvents webhook handshake (an OPTIONS request) is answered as well.
+function createServer(options) {
+    options = Sample.resolveOptions(options);
+    const secret = options.secret !== undefined ? options.secret : SampleUtil.config.eventsSecret;
+    if(!secret && !options.insecure) {
+        throw new SampleUtil.ConfigError('the key event webhook needs a shared secret: set eventsSecret (AZURE_EVENTS_SECRET), ' +
+            'or pass --insecure to accept unauthenticated deliveries for local testing');
+    }
+    let queue = Promise.resolve();
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if(secret && !_secretMatches(url.searchParams.get('code'), secret)) {
+            return _send(response, 401, { error: 'missing or wrong code' });
+        }
+        if(request.method === 'OPTIONS') {
+            return _send(response, 200, undefined, { 'WebHook-Allowed-Origin': request.headers['webhook-request-origin'] || '*' });
+        }
+        if(request.method !== 'POST') {
+            return _send(response, 405, { error: 'only POST is supported' }, { 'Allow': 'POST, OPTIONS' });
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if(size > MAX_BODY) {
+                _send(response, 413, { error: 'request body too large' });
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            let events;
+            try {
+                events = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch(e) {
+                return _send(response, 400, { error: 'invalid JSON: ' + e.message });
+            }
+            // One delivery at a time, so concurrent deliveries for the same key do not rotate it twice.
+            queue = queue.then(() => handleDelivery(events, options))
+                .then((result) => _send(response, result.status, result.body))
+                .catch((e) => _send(response, 500, { error: e.message }));
+        });
+    });
+}
+
+module.exports = {
+    SUBSCRIPTION_VALIDATION: SUBSCRIPTION_VALIDATION,
+    KEY_NEAR_EXPIRY: KEY_NEAR_EXPIRY,
+    KEY_NEW_VERSION_CREATED: KEY_NEW_VERSION_CREATED,
+    idempotencyKey: idempotencyKey,
+    invalidKeyEvent: invalidKeyEvent,
+    handleKeyEvent: handleKeyEvent,
+    handleDelivery: handleDelivery,
+    createServer: createServer,
+};
@@ -0,0 +1,173 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const path = require('path');
+const SampleUtil = require('./sample_util');
+const Sample = require('./storage_account_sample');
+
+// Rolling rotation of the two storage account access keys.
+//
+// Each rotation runs in two phases so consumers never hold a regenerated key:
+//   1. "switch": publish the idle key to Key Vault as the current key and connection string,
+//      so consumers that read the secrets move over to it.
+//   2. "regenerate": once the grace period has passed, regenerate the previously active key,
+//      which no consumer should be using any more.
+// The next rotation starts from the other key, so key1 and key2 alternate.
+//
+// Progress is recorded in a state file after every step. Every step can be safely repeated,
+// so an interrupted rotation resumes from the last recorded phase.
+
+const PHASE_IDLE = 'idle';
+const PHASE_SWITCHED = 'switched';
+
+const DEFAULT_GRACE_PERIOD = '15m';
+
+// Longest delay a Node.js timer supports; longer ones fire after 1 ms instead.
+const MAX_TIMER_DELAY = 2147483647;
+
+function _otherKey(keyName) {
+    return keyName === 'key1' ? 'key2' : 'key1';
+}
+
+// Every account has its own state file by default, so rotations of different accounts never write the same file.
+function _statePath(options, storageAccount) {
+    return options.statePath ||
+        path.join(SampleUtil.config.stateDir, 'rotation-state', `${options.groupName}.${storageAccount.name}.json`);
+}
+
+function _loadState(statePath, stateKey) {
+    return SampleUtil.readJsonFile(statePath, {})[stateKey];
+}
+
+function _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function _saveState(statePath, stateKey, state) {
+    const states = SampleUtil.readJsonFile(statePath, {});
+    states[stateKey] = state;
+    SampleUtil.writeJsonFile(statePath, states);
+}
+
+// Names of the Key Vault secrets holding the current key and connection string for an account.
+function secretNames(accountName) {
+    return {
+        key: accountName + '-key',
+        connectionString: accountName + '-connection-string'
+    };
+}
+
+function _connectionString(accountName, keyValue) {
+    return `DefaultEndpointsProtocol=https;AccountName=${accountName};AccountKey=${keyValue};EndpointSuffix=core.windows.net`;
+}
+
+// Write the given access key and its connection string to Key Vault as the account's current secrets.
+async function publishCurrentKey(storageAccount, vault, keyName, options) {
+    const { clients, groupName, log } = Sample.resolveOptions(options);
+
+    const keys = await clients.storage.storageAccounts.listKeys(groupName, storageAccount.name);
+    const key = (keys.keys || []).find((k) => k.keyName === keyName);
+    if(!key) {
+        throw new Error(`storage account ${storageAccount.name} has no access key named ${keyName}`);
+    }
+
+    const secretClient = clients.secrets(vault.properties.vaultUri);
+    const names = secretNames(storageAccount.name);
+    const tags = { storageAccount: storageAccount.name, keyName: keyName };
+    await secretClient.setSecret(names.key, key.value, { contentType: 'text/plain', tags: tags });
+    await secretClient.setSecret(names.connectionString, _connectionString(storageAccount.name, key.value), {
+        contentType: 'application/x-azure-storage-connection-string',
+        tags: tags
+    });
+    log(`Published ${keyName} of ${storageAccount.name} to secrets ${names.key} and ${names.connectionString}`);
+}
+
+// Advance the rolling rotation for a storage account as far as the grace period allows.
+//
+// options.gracePeriod  time between switching consumers and regenerating the old key (default 15m)
+// options.wait         wait out the grace period in-process instead of returning and resuming on the next run
+// options.statePath    rotation state file (default <stateDir>/rotation-state/<group>.<account>.json)
+// options.now          clock override, returns the current time in milliseconds
+// options.sleep        timer override, e.g. in tests
+async function rotateStorageAccountKeys(storageAccount, vault, options) {
+    const opts = Sample.resolveOptions(options);
+    const gracePeriod = SampleUtil.parseDuration(opts.gracePeriod || DEFAULT_GRACE_PERIOD);
+    const now = opts.now || Date.now;
+    const sleep = opts.sleep || _sleep;
+    const statePath = _statePath(opts, storageAccount);
+    const stateKey = `${opts.groupName}/${storageAccount.name}`;
+
+    let state = _loadState(statePath, stateKey);
+    if(!state) {
+        // First run: assume consumers are on key1 and make sure Key Vault says so.
+        await publishCurrentKey(storageAccount, vault, 'key1', opts);
+        state = { activeKey: 'key1', phase: PHASE_IDLE, rotations: 0 };
+        _saveState(statePath, stateKey, state);
+    }
+
+    if(state.phase === PHASE_IDLE) {
+        const nextKey = _otherKey(state.activeKey);
+        opts.log(`Switching consumers of ${storageAccount.name} from ${state.activeKey} to ${nextKey}`);
+        await publishCurrentKey(storageAccount, vault, nextKey, opts);
+        state = Object.assign({}, state, {
+            activeKey: nextKey,
+            retiringKey: state.activeKey,
+            phase: PHASE_SWITCHED,
+            switchedAt: new Date(now()).toISOString()
+        });
+        _saveState(statePath, stateKey, state);
+    }
+
+    // state.phase is now PHASE_SWITCHED
+    const regenerateAt = Date.parse(state.switchedAt) + gracePeriod;
+    if(now() < regenerateAt) {
+        if(!opts.wait) {
+            opts.log(`Waiting for grace period; ${state.retiringKey} can be regenerated after ${new Date(regenerateAt).toISOString()}`);
+            return _result(storageAccount, state, 'waiting', regenerateAt);
+        }
+        opts.log(`Waiting ${Math.ceil((regenerateAt - now()) / 1000)}s for consumers to pick up ${state.activeKey}`);
+        // Sleep in steps a timer can hold, so grace periods of weeks are waited out in full.
+        while(now() < regenerateAt) {
+            await sleep(Math.min(regenerateAt - now(), MAX_TIMER_DELAY));
+        }
+    }
+
+    await Sample.regenerateStorageAccountKey(storageAccount, Object.assign({}, opts, { keyName: state.retiringKey }));
+    // Republish the active key so the secrets are known good after the regeneration.
+    await publishCurrentKey(storageAccount, vault, state.activeKey, opts);
+    state = {
+        activeKey: state.activeKey,
+        phase: PHASE_IDLE,
+        rotations: (state.rotations || 0) + 1,
+        lastRegeneratedKey: state.retiringKey,
+        lastRotatedAt: new Date(now()).toISOString()
+    };
+    _saveState(statePath, stateKey, state);
+    return _result(storageAccount, state, 'completed');
+}
+
+function _result(storageAccount, state, status, regenerateAt) {
+    const result = {
+        storageAccount: storageAccount.name,
+        status: status,
+        activeKey: state.activeKey,
+        phase: state.phase
+    };
+    if(regenerateAt) {
+        result.retiringKey = state.retiringKey;
+        result.regenerateAfter = new Date(regenerateAt).toISOString();
+    } else {
+        result.regeneratedKey = state.lastRegeneratedKey;
+    }
+    return result;
+}
+
+module.exports = {
+    rotateStorageAccountKeys: rotateStorageAccountKeys,
+    publishCurrentKey: publishCurrentKey,
+    secretNames: secretNames,
+};
@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+
+// Helpers for the managed identity a storage account uses to reach its customer-managed key.
+//
+// By default the sample uses the account's system-assigned identity. A user-assigned identity
+// can be used instead: it exists before the account, survives its deletion, and can be granted
+// access to the key ahead of time. For a key held in another tenant's vault, the user-assigned
+// identity is federated with a multi-tenant application whose client ID is passed as
+// `federatedClientId`; the key owner grants that application access in their own tenant.
+
+const USER_ASSIGNED_IDENTITY_ID = /^\/subscriptions\/[^/]+\/resourceGroups\/[^/]+\/providers\/Microsoft\.ManagedIdentity\/userAssignedIdentities\/[^/]+$/i;
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Validate identity options: { userAssignedIdentity: <resource ID>, federatedClientId: <GUID> }.
+function validateIdentityOptions(identity) {
+    identity = identity || {};
+    if(identity.userAssignedIdentity && !USER_ASSIGNED_IDENTITY_ID.test(identity.userAssignedIdentity)) {
+        throw new Error(util.format('"%s" is not a user-assigned identity resource ID', identity.userAssignedIdentity));
+    }
+    if(identity.federatedClientId) {
+        if(!identity.userAssignedIdentity) {
+            throw new Error('a federated client ID requires a user-assigned identity');
+        }
+        if(!GUID.test(identity.federatedClientId)) {
+            throw new Error(util.format('federated client ID "%s" is not a GUID', identity.federatedClientId));
+        }
+    }
+    return identity;
+}
+
+// The `identity` property for creating a storage account with the given identity options.
+function accountIdentity(identity) {
+    if(identity && identity.userAssignedIdentity) {
+        const userAssignedIdentities = {};
+        userAssignedIdentities[identity.userAssignedIdentity] = {};
+        return { type: 'UserAssigned', userAssignedIdentities: userAssignedIdentities };
+    }
+    return { type: 'SystemAssigned' };
+}
+
+// Find a user-assigned identity on the account. ARM may return the resource ID with different casing.
+function _findUserAssigned(storageAccount, resourceId) {
+    const assigned = (storageAccount.identity && storageAccount.identity.userAssignedIdentities) || {};
+    const key = Object.keys(assigned).find((id) => id.toLowerCase() === resourceId.toLowerCase());
+    return key ? assigned[key] : undefined;
+}
+
+// The identity update needed so the account has the requested identity, or undefined if it already has it.
+// Identities already on the account are kept.
+function identityUpdate(storageAccount, identity) {
+    const current = storageAccount.identity || { type: 'None' };
+    const hasSystem = /SystemAssigned/i.test(current.type);
+    const userAssignedIdentities = {};
+    Object.keys(current.userAssignedIdentities || {}).forEach((id) => { userAssignedIdentities[id] = {}; });
+
+    if(!identity || !identity.userAssignedIdentity) {
+        if(hasSystem && current.principalId) {
+            return undefined;
+        }
+        if(Object.keys(userAssignedIdentities).length === 0) {
+            return { type: 'SystemAssigned' };
+        }
+        return { type: 'SystemAssigned,UserAssigned', userAssignedIdentities: userAssignedIdentities };
+    }
+
+    if(_findUserAssigned(storageAccount, identity.userAssignedIdentity)) {
+        return undefined;
+    }
+    userAssignedIdentities[identity.userAssignedIdentity] = {};
+    return { type: hasSystem ? 'SystemAssigned,UserAssigned' : 'UserAssigned', userAssignedIdentities: userAssignedIdentities };
+}
+
+// The principal (object) ID that needs access to the key for the given identity options.
+function principalIdFor(storageAccount, identity) {
+    if(identity && identity.userAssignedIdentity) {
+        const assigned = _findUserAssigned(storageAccount, identity.userAssignedIdentity);
+        if(!assigned || !assigned.principalId) {
+            throw new Error(util.format('user-assigned identity %s is not assigned to storage account %s', identity.userAssignedIdentity, storageAccount.name));
+        }
+        return assigned.principalId;
+    }
+    if(!storageAccount.identity || !storageAccount.identity.principalId) {
+        throw new Error(util.format('storage account %s has no system-assigned identity', storageAccount.name));
+    }
+    return storageAccount.identity.principalId;
+}
+
+// The `encryption.encryptionIdentity` for the given identity options, or undefined for the system-assigned identity.
+function encryptionIdentity(identity) {
+    if(!identity || !identity.userAssignedIdentity) {
+        return undefined;
+    }
+    const result = { encryptionUserAssignedIdentity: identity.userAssignedIdentity };
+    if(identity.federatedClientId) {
+        result.encryptionFederatedIdentityClientId = identity.federatedClientId;
+    }
+    return result;
+}
+
+// Whether the identity options point at a key in another tenant, which this sample cannot grant access to.
+function isCrossTenant(identity) {
+    return !!(identity && identity.federatedClientId);
+}
+
+module.exports = {
+    validateIdentityOptions: validateIdentityOptions,
+    accountIdentity: accountIdentity,
+    identityUpdate: identityUpdate,
+    principalIdFor: principalIdFor,
+    encryptionIdentity: encryptionIdentity,
+    isCrossTenant: isCrossTenant,
+};
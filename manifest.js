@@ -0,0 +1,510 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const SampleUtil = require('./sample_util');
+const Sample = require('./storage_account_sample');
+const CmkLifecycle = require('./cmk_lifecycle');
+const ManagedIdentity = require('./managed_identity');
+const VaultAccess = require('./vault_access');
+const SasBuilder = require('./sas_builder');
+const Naming = require('./naming');
+
+// Desired state for storage accounts, described in a JSON or YAML manifest instead of a sequence of steps:
+//
+//   resourceGroup: kv-storage-sample      # default for every account (default: the configured groupName)
+//   location: westus2                     # default for every account (default: the configured azureLocation)
+//   storageAccounts:
+//     - name: contosocmk01
+//       sku: Standard_ZRS                 # default Standard_RAGRS
+//       kind: StorageV2                   # default StorageV2
+//       allowSharedKeyAccess: false       # left as it is when not given
+//       identity:                         # default: the system-assigned identity
+//         type: userAssigned
+//         userAssignedIdentity: /subscriptions/.../userAssignedIdentities/storage-cmk
+//       sasPresets: [blob-read]           # presets SAS may be issued from; any preset when not given
+//       encryption:
+//         vault: contoso-keys             # an existing vault; vaultResourceGroup defaults to the account's
+//         keyName: storage-cmk            # created if missing (default key1), with keyType and keySize
+//         versioning: auto                # or pinned
+//         rotationPolicy: { expiresIn: 90d, rotateBeforeExpiry: 30d }   # or false to leave it alone
+//
+// plan() compares the manifest with the live accounts, identities, keys, rotation policies, access policies or
+// role assignments and encryption settings; apply() converges the differences with the sample's steps, so
+// applying a manifest a second time changes nothing. Vaults are not managed, and removing an account from the
+// manifest does not delete it.
+
+// Plan actions, as shown by formatPlan().
+const CREATE = '+';
+const UPDATE = '~';
+const UNSUPPORTED = '!';
+
+// SKU changes storage makes in place: between the redundancy options of the same performance tier and zone setup.
+// Others, such as moving to zone-redundant storage or to premium, need a migration.
+const SKU_CONVERSIONS = [
+    ['Standard_LRS', 'Standard_GRS', 'Standard_RAGRS'],
+    ['Standard_ZRS', 'Standard_GZRS', 'Standard_RAGZRS']
+];
+
+// Account kinds that can be upgraded in place to the given kind.
+const KIND_UPGRADES = { StorageV2: ['Storage', 'BlobStorage'] };
+
+const MANIFEST_FIELDS = ['resourceGroup', 'location', 'storageAccounts'];
+const ACCOUNT_FIELDS = ['name', 'resourceGroup', 'location', 'sku', 'kind', 'allowSharedKeyAccess', 'identity', 'sasPresets', 'encryption'];
+const IDENTITY_FIELDS = ['type', 'userAssignedIdentity'];
+const ENCRYPTION_FIELDS = ['vault', 'vaultResourceGroup', 'keyName', 'keyType', 'keySize', 'versioning', 'rotationPolicy'];
+const ROTATION_POLICY_FIELDS = ['expiresIn', 'rotateBeforeExpiry', 'notifyBeforeExpiry'];
+
+function _fail(where, format) {
+    const args = Array.prototype.slice.call(arguments, 2);
+    return new SampleUtil.ConfigError(where + ': ' + util.format.apply(util, [format].concat(args)));
+}
+
+function _checkFields(value, allowed, where) {
+    if(!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw _fail(where, 'expected an object');
+    }
+    Object.keys(value).forEach((name) => {
+        if(allowed.indexOf(name) < 0) {
+            throw _fail(where, 'unknown field "%s", expected one of: %s', name, allowed.join(', '));
+        }
+    });
+}
+
+function _identity(identity, where) {
+    if(identity === undefined || identity === 'systemAssigned') {
+        return {};
+    }
+    if(typeof identity === 'string') {
+        identity = { type: identity };
+    }
+    _checkFields(identity, IDENTITY_FIELDS, where);
+    if(identity.type === 'userAssigned' || (identity.type === undefined && identity.userAssignedIdentity)) {
+        if(!identity.userAssignedIdentity) {
+            throw _fail(where, 'a userAssigned identity requires userAssignedIdentity');
+        }
+        try {
+            return ManagedIdentity.validateIdentityOptions({ userAssignedIdentity: identity.userAssignedIdentity });
+        } catch(e) {
+            throw _fail(where, e.message);
+        }
+    }
+    if(identity.type !== 'systemAssigned' || identity.userAssignedIdentity) {
+        throw _fail(where, 'expected type systemAssigned, or userAssigned with userAssignedIdentity');
+    }
+    return {};
+}
+
+function _encryption(encryption, account, where) {
+    _checkFields(encryption, ENCRYPTION_FIELDS, where);
+    if(!encryption.vault) {
+        throw _fail(where, 'vault is required');
+    }
+    const result = {
+        vault: encryption.vault,
+        vaultResourceGroup: encryption.vaultResourceGroup || account.resourceGroup,
+        keyName: encryption.keyName || 'key1',
+        // Only the key settings the manifest gives: an existing key is checked against those alone.
+        key: {
+            keyType: encryption.keyType,
+            keySize: encryption.keySize
+        },
+        versioning: encryption.versioning || CmkLifecycle.VERSIONING_AUTO,
+        rotationPolicy: encryption.rotationPolicy === false ? false : Object.assign({}, CmkLifecycle.DEFAULT_ROTATION_POLICY, encryption.rotationPolicy)
+    };
+    try {
+        Naming.validateName('key', result.keyName);
+    } catch(e) {
+        throw _fail(where, e.message);
+    }
+    if(result.key.keyType !== undefined && CmkLifecycle.KEY_TYPES.indexOf(result.key.keyType) < 0) {
+        throw _fail(where, 'unsupported keyType "%s", expected one of: %s', result.key.keyType, CmkLifecycle.KEY_TYPES.join(', '));
+    }
+    if(result.key.keySize !== undefined && CmkLifecycle.KEY_SIZES.indexOf(result.key.keySize) < 0) {
+        throw _fail(where, 'unsupported keySize "%s", expected one of: %s', result.key.keySize, CmkLifecycle.KEY_SIZES.join(', '));
+    }
+    if([CmkLifecycle.VERSIONING_AUTO, CmkLifecycle.VERSIONING_PINNED].indexOf(result.versioning) < 0) {
+        throw _fail(where, 'versioning must be %s or %s', CmkLifecycle.VERSIONING_AUTO, CmkLifecycle.VERSIONING_PINNED);
+    }
+    if(result.rotationPolicy) {
+        _checkFields(encryption.rotationPolicy || {}, ROTATION_POLICY_FIELDS, where + '.rotationPolicy');
+        try {
+            CmkLifecycle.toRotationPolicy(result.rotationPolicy);
+        } catch(e) {
+            throw _fail(where + '.rotationPolicy', e.message);
+        }
+    }
+    return result;
+}
+
+// Validate a manifest and fill in its defaults. Throws a ConfigError naming the offending field.
+// `defaults` supplies { groupName, location } for manifests that do not set them.
+function validateManifest(manifest, defaults) {
+    defaults = defaults || {};
+    _checkFields(manifest, MANIFEST_FIELDS, 'manifest');
+    if(!Array.isArray(manifest.storageAccounts) || manifest.storageAccounts.length === 0) {
+        throw _fail('manifest', 'storageAccounts must list at least one storage account');
+    }
+    const seen = {};
+    const accounts = manifest.storageAccounts.map((spec, i) => {
+        const where = util.format('storageAccounts[%d]', i);
+        _checkFields(spec, ACCOUNT_FIELDS, where);
+        try {
+            Naming.validateName('storageAccount', spec.name);
+        } catch(e) {
+            throw _fail(where, e.message);
+        }
+        if(seen[spec.name]) {
+            throw _fail(where, 'storage account %s is listed twice', spec.name);
+        }
+        seen[spec.name] = true;
+
+        const account = {
+            name: spec.name,
+            resourceGroup: spec.resourceGroup || manifest.resourceGroup || defaults.groupName,
+            location: spec.location || manifest.location || defaults.location,
+            sku: spec.sku || 'Standard_RAGRS',
+            kind: spec.kind || 'StorageV2',
+            allowSharedKeyAccess: spec.allowSharedKeyAccess,
+            identity: _identity(spec.identity, where + '.identity'),
+            sasPresets: spec.sasPresets
+        };
+        if(!account.resourceGroup || !account.location) {
+            throw _fail(where, 'no resourceGroup or location given, and none configured');
+        }
+        if(account.allowSharedKeyAccess !== undefined && typeof account.allowSharedKeyAccess !== 'boolean') {
+            throw _fail(where, 'allowSharedKeyAccess must be true or false');
+        }
+        if(account.sasPresets !== undefined) {
+            if(!Array.isArray(account.sasPresets)) {
+                throw _fail(where, 'sasPresets must be a list of preset names');
+            }
+            account.sasPresets.forEach((name) => {
+                if(!SasBuilder.presets[name]) {
+                    throw _fail(where, 'unknown SAS preset "%s", expected one of: %s', name, Object.keys(SasBuilder.presets).join(', '));
+                }
+            });
+        }
+        if(!spec.encryption) {
+            throw _fail(where, 'encryption is required');
+        }
+        account.encryption = _encryption(spec.encryption, account, where + '.encryption');
+        return account;
+    });
+    return { storageAccounts: accounts };
+}
+
+// Read and validate a JSON or YAML manifest file.
+function loadManifest(filePath, defaults) {
+    return validateManifest(SampleUtil.readConfigFile(filePath), defaults || {
+        groupName: SampleUtil.config.groupName,
+        location: SampleUtil.config.azureLocation
+    });
+}
+
+function _isNotFound(e) {
+    return e.statusCode === 404 || e.code === 'KeyNotFound' || e.code === 'ResourceNotFound';
+}
+
+async function _getOrNull(promise) {
+    try {
+        return await promise;
+    } catch(e) {
+        if(_isNotFound(e)) {
+            return null;
+        }
+        throw e;
+    }
+}
+
+function _sameText(a, b) {
+    return String(a || '').toLowerCase().replace(/\/+$/, '') === String(b || '').toLowerCase().replace(/\/+$/, '');
+}
+
+// A rotation policy as one comparable line, e.g. "expires P90D, Rotate P30D, Notify P30D".
+function _describePolicy(policy) {
+    if(!policy || (!policy.expiresIn && !(policy.lifetimeActions || []).length)) {
+        return '(none)';
+    }
+    const actions = (policy.lifetimeActions || []).map((action) =>
+        util.format('%s %s', action.action, action.timeBeforeExpiry || ('after ' + action.timeAfterCreate))).sort();
+    return ['expires ' + (policy.expiresIn || 'never')].concat(actions).join(', ');
+}
+
+function _describeEncryption(storageAccount, vaultNames) {
+    const encryption = storageAccount.encryption || {};
+    const properties = encryption.keyVaultProperties;
+    if(!/^Microsoft\.Keyvault$/i.test(encryption.keySource || '') || !properties) {
+        return 'Microsoft-managed keys';
+    }
+    return util.format('key %s in %s (%s)', properties.keyName, vaultNames[String(properties.keyVaultUri).toLowerCase().replace(/\/+$/, '')] || properties.keyVaultUri,
+        properties.keyVersion ? 'pinned to ' + properties.keyVersion : CmkLifecycle.VERSIONING_AUTO);
+}
+
+function _encryptionMatches(storageAccount, spec, vault) {
+    const encryption = storageAccount.encryption || {};
+    const properties = encryption.keyVaultProperties || {};
+    const userAssigned = (encryption.encryptionIdentity && encryption.encryptionIdentity.encryptionUserAssignedIdentity) || '';
+    return /^Microsoft\.Keyvault$/i.test(encryption.keySource || '') &&
+        properties.keyName === spec.encryption.keyName &&
+        _sameText(properties.keyVaultUri, vault.properties.vaultUri) &&
+        CmkLifecycle.versioningOf(storageAccount) === spec.encryption.versioning &&
+        _sameText(userAssigned, spec.identity.userAssignedIdentity);
+}
+
+function _canChangeSku(from, to) {
+    return SKU_CONVERSIONS.some((group) => group.indexOf(from) >= 0 && group.indexOf(to) >= 0);
+}
+
+function _canChangeKind(from, to) {
+    return (KIND_UPGRADES[to] || []).indexOf(from) >= 0;
+}
+
+// The tags the account should have for the manifest's SAS presets, or undefined if its tags already match.
+function _tagsUpdate(storageAccount, spec) {
+    const tags = Object.assign({}, storageAccount && storageAccount.tags);
+    const current = tags[SasBuilder.PRESETS_TAG];
+    if(spec.sasPresets === undefined) {
+        delete tags[SasBuilder.PRESETS_TAG];
+    } else {
+        tags[SasBuilder.PRESETS_TAG] = spec.sasPresets.join(',');
+    }
+    return tags[SasBuilder.PRESETS_TAG] === current ? undefined : tags;
+}
+
+// Read the live state of one manifest account and work out the changes it needs.
+async function _inspect(clients, spec, vaults) {
+    const state = { spec: spec, changes: [] };
+    const change = function(action, resource, format) {
+        const args = Array.prototype.slice.call(arguments, 3);
+        state.changes.push({ action: action, resource: resource, description: util.format.apply(util, [format].concat(args)) });
+    };
+
+    const vaultId = (spec.encryption.vaultResourceGroup + '/' + spec.encryption.vault).toLowerCase();
+    if(!vaults[vaultId]) {
+        vaults[vaultId] = await _getOrNull(clients.keyVault.vaults.get(spec.encryption.vaultResourceGroup, spec.encryption.vault));
+        if(!vaults[vaultId]) {
+            throw new Error(util.format('vault %s not found in resource group %s; the manifest does not create vaults', spec.encryption.vault, spec.encryption.vaultResourceGroup));
+        }
+    }
+    const vault = state.vault = vaults[vaultId];
+    const vaultNames = {};
+    Object.keys(vaults).forEach((id) => { vaultNames[vaults[id].properties.vaultUri.toLowerCase().replace(/\/+$/, '')] = vaults[id].name; });
+
+    const account = state.account = await _getOrNull(clients.storage.storageAccounts.getProperties(spec.resourceGroup, spec.name));
+    if(!account) {
+        change(CREATE, 'storage account', '%s in %s (%s, %s, %s)', spec.name, spec.resourceGroup, spec.sku, spec.kind, spec.location);
+    } else {
+        if(!_sameText(account.location.replace(/\s/g, ''), spec.location.replace(/\s/g, ''))) {
+            change(UNSUPPORTED, 'storage account', '%s: location %s -> %s cannot be changed in place', spec.name, account.location, spec.location);
+        }
+        if(account.sku && account.sku.name !== spec.sku) {
+            if(_canChangeSku(account.sku.name, spec.sku)) {
+                change(UPDATE, 'storage account', '%s: sku %s -> %s', spec.name, account.sku.name, spec.sku);
+            } else {
+                change(UNSUPPORTED, 'storage account', '%s: sku %s -> %s cannot be changed in place', spec.name, account.sku.name, spec.sku);
+            }
+        }
+        if(account.kind !== spec.kind) {
+            if(_canChangeKind(account.kind, spec.kind)) {
+                change(UPDATE, 'storage account', '%s: kind %s -> %s', spec.name, account.kind, spec.kind);
+            } else {
+                change(UNSUPPORTED, 'storage account', '%s: kind %s -> %s cannot be changed in place', spec.name, account.kind, spec.kind);
+            }
+        }
+        // Shared key access is allowed unless explicitly disabled.
+        if(spec.allowSharedKeyAccess !== undefined && (account.allowSharedKeyAccess !== false) !== spec.allowSharedKeyAccess) {
+            change(UPDATE, 'storage account', '%s: allowSharedKeyAccess %s -> %s', spec.name, account.allowSharedKeyAccess !== false, spec.allowSharedKeyAccess);
+        }
+    }
+    const tags = _tagsUpdate(account, spec);
+    if(tags) {
+        const current = account ? SasBuilder.allowedPresets(account) : undefined;
+        change(account ? UPDATE : CREATE, 'SAS presets', '%s: %s -> %s', spec.name, current ? current.join(', ') || '(none)' : 'any',
+            spec.sasPresets ? spec.sasPresets.join(', ') || '(none)' : 'any');
+    }
+
+    const needsIdentity = !account || !!ManagedIdentity.identityUpdate(account, spec.identity);
+    if(account && needsIdentity) {
+        change(UPDATE, 'identity', '%s: assign %s', spec.name, spec.identity.userAssignedIdentity ? 'user-assigned identity ' + spec.identity.userAssignedIdentity : 'a system-assigned identity');
+    }
+
+    const keyClient = clients.keys(vault.properties.vaultUri);
+    const keyName = spec.encryption.keyName;
+    const key = state.key = await _getOrNull(keyClient.getKey(keyName));
+    if(!key) {
+        change(CREATE, 'key', '%s in vault %s (%s %d)', keyName, vault.name, spec.encryption.key.keyType || CmkLifecycle.DEFAULT_KEY_OPTIONS.keyType,
+            spec.encryption.key.keySize || CmkLifecycle.DEFAULT_KEY_OPTIONS.keySize);
+    } else {
+        const problems = CmkLifecycle.keyMismatches(key, spec.encryption.key);
+        if(problems.length > 0) {
+            change(UNSUPPORTED, 'key', '%s in vault %s does not match the manifest: %s', keyName, vault.name, problems.join('; '));
+        }
+    }
+    if(spec.encryption.rotationPolicy) {
+        const current = key ? _describePolicy(await _getOrNull(keyClient.getKeyRotationPolicy(keyName))) : '(none)';
+        const desired = _describePolicy(CmkLifecycle.toRotationPolicy(spec.encryption.rotationPolicy));
+        if(current !== desired) {
+            change(UPDATE, 'rotation policy', '%s: %s -> %s', keyName, current, desired);
+        }
+    }
+
+    // The identity has no principal to check until it exists.
+    const principalId = needsIdentity ? undefined : ManagedIdentity.principalIdFor(account, spec.identity);
+    if(!principalId || !await VaultAccess.hasStorageKeyAccess(clients, vault, principalId, keyName)) {
+        change(CREATE, 'key access', '%s identity -> key %s in vault %s (%s)', spec.name, keyName, vault.name,
+            VaultAccess.isRbacVault(vault) ? VaultAccess.ROLES.cryptoServiceEncryptionUser : 'access policy');
+    }
+
+    if(!account || !_encryptionMatches(account, spec, vault)) {
+        change(UPDATE, 'encryption', '%s: %s -> key %s in %s (%s)', spec.name, account ? _describeEncryption(account, vaultNames) : 'Microsoft-managed keys',
+            keyName, vault.name, spec.encryption.versioning);
+    }
+    return state;
+}
+
+async function _inspectAll(manifest, options) {
+    const clients = options.clients || Sample.getClients();
+    const vaults = {};
+    const states = [];
+    for(const spec of manifest.storageAccounts) {
+        states.push(await _inspect(clients, spec, vaults));
+    }
+    return states;
+}
+
+function _summary(states) {
+    const accounts = states.map((state) => ({
+        name: state.spec.name,
+        resourceGroup: state.spec.resourceGroup,
+        exists: !!state.account,
+        changes: state.changes
+    }));
+    const count = (action) => states.reduce((n, state) => n + state.changes.filter((c) => c.action === action).length, 0);
+    return {
+        accounts: accounts,
+        create: count(CREATE),
+        update: count(UPDATE),
+        unsupported: count(UNSUPPORTED)
+    };
+}
+
+// Compare the manifest with the live state. Returns { accounts: [{ name, resourceGroup, exists, changes }],
+// create, update, unsupported }, where each change is { action: '+' | '~' | '!', resource, description }.
+//
+// options.clients  Azure SDK clients (default: Sample.getClients())
+async function plan(manifest, options) {
+    return _summary(await _inspectAll(manifest, options || {}));
+}
+
+// Bring one account to its manifest state with the sample's steps.
+async function _converge(state, options) {
+    const { clients, log } = options;
+    const spec = state.spec;
+    const steps = Object.assign({}, options, {
+        groupName: spec.resourceGroup,
+        accountName: spec.name,
+        identity: spec.identity,
+        keyName: spec.encryption.keyName,
+        key: spec.encryption.key,
+        versioning: spec.encryption.versioning,
+        rotationPolicy: spec.encryption.rotationPolicy
+    });
+
+    if(!state.account) {
+        await Sample.addStorageAccount(state.vault, Object.assign(steps, {
+            location: spec.location,
+            sku: spec.sku,
+            kind: spec.kind,
+            allowSharedKeyAccess: spec.allowSharedKeyAccess,
+            tags: _tagsUpdate(null, spec) || {}
+        }));
+        return;
+    }
+
+    let account = state.account;
+    const update = {};
+    if(account.sku && account.sku.name !== spec.sku) {
+        update.sku = { name: spec.sku };
+    }
+    if(account.kind !== spec.kind) {
+        update.kind = spec.kind;
+    }
+    if(spec.allowSharedKeyAccess !== undefined && (account.allowSharedKeyAccess !== false) !== spec.allowSharedKeyAccess) {
+        update.allowSharedKeyAccess = spec.allowSharedKeyAccess;
+    }
+    const tags = _tagsUpdate(account, spec);
+    if(tags) {
+        update.tags = tags;
+    }
+    if(Object.keys(update).length > 0) {
+        account = await clients.storage.storageAccounts.update(spec.resourceGroup, spec.name, update);
+        log(util.format('Updated storage account %s: %s', spec.name, Object.keys(update).join(', ')));
+    }
+
+    // Attaching the key also sets its rotation policy; a policy that differs on its own is only updated.
+    const cmkResources = ['identity', 'key', 'key access', 'encryption'];
+    if(state.changes.some((c) => cmkResources.indexOf(c.resource) >= 0)) {
+        await Sample.attachCustomerManagedKey(account, state.vault, steps);
+    } else if(state.changes.some((c) => c.resource === 'rotation policy')) {
+        await CmkLifecycle.applyRotationPolicy(clients.keys(state.vault.properties.vaultUri), spec.encryption.keyName, spec.encryption.rotationPolicy);
+        log(util.format('Updated the rotation policy of key %s', spec.encryption.keyName));
+    }
+}
+
+// Converge the live state to the manifest: only accounts whose plan shows changes are touched, so applying the
+// same manifest again does nothing. Nothing is changed if any account needs a change that cannot be made in place.
+// Returns the plan that was applied.
+//
+// options.clients, options.log, options.ledger  as for the sample's steps; created resources are recorded in the ledger
+async function apply(manifest, options) {
+    options = Sample.resolveOptions(options);
+    const states = await _inspectAll(manifest, options);
+    const summary = _summary(states);
+    if(summary.unsupported > 0) {
+        throw new SampleUtil.ConfigError(util.format('the manifest needs %d change(s) that cannot be applied in place:\n%s', summary.unsupported,
+            formatPlan(summary).split('\n').filter((line) => line.trim().startsWith(UNSUPPORTED)).join('\n')));
+    }
+    if(summary.create + summary.update > 0) {
+        options.log(formatPlan(summary));
+    }
+    for(const state of states) {
+        if(state.changes.length === 0) {
+            continue;
+        }
+        options.log(util.format('Applying %d change(s) to storage account %s', state.changes.length, state.spec.name));
+        await _converge(state, options);
+    }
+    return summary;
+}
+
+// Render a plan as text, one line per change.
+function formatPlan(result) {
+    const lines = [];
+    result.accounts.forEach((account) => {
+        lines.push(util.format('storage account %s (resource group %s)%s', account.name, account.resourceGroup, account.changes.length === 0 ? ': no changes' : ''));
+        account.changes.forEach((c) => lines.push(util.format('  %s %s: %s', c.action, c.resource, c.description)));
+    });
+    lines.push('');
+    if(result.create + result.update + result.unsupported === 0) {
+        lines.push('No changes. The live state matches the manifest.');
+    } else {
+        lines.push(util.format('Plan: %d to create, %d to change, %d that cannot be applied in place.', result.create, result.update, result.unsupported));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    CREATE: CREATE,
+    UPDATE: UPDATE,
+    UNSUPPORTED: UNSUPPORTED,
+    validateManifest: validateManifest,
+    loadManifest: loadManifest,
+    plan: plan,
+    apply: apply,
+    formatPlan: formatPlan,
+};
@@ -5,6 +5,13 @@
  */
 'use strict';
 
+const util = require('util');
+
+// Generates resource names that are valid for the Azure resource type they are for: an optional prefix
+// (e.g. an environment tag), a random adjective and noun, and two digits, e.g. "dev-bravecat42".
+// With a seed the names are deterministic, so tests and repeated runs can reproduce them.
+// Storage account and vault names are global; availableName() also checks they are free.
+
 const adjectives = ['able', 'acid', 'adept', 'aged', 'agile', 'ajar', 'alert', 'alive', 'all', 'ample',
               'angry', 'antsy', 'any', 'apt', 'arid', 'awake', 'aware', 'back', 'bad', 'baggy',
               'bare', 'basic', 'batty', 'beefy', 'bent', 'best', 'big', 'black', 'bland', 'blank',
@@ -144,7 +151,166 @@ const nouns = ['abroad', 'abuse', 'access', 'act', 'action', 'active', 'actor',
          'world', 'worry', 'worth', 'wrap', 'writer', 'yard', 'year', 'yellow', 'you', 'young',
          'youth', 'zone'];
 
+// Naming rules per resource type. `separator` joins the prefix to the generated part.
+const rules = {
+    storageAccount:       { min: 3, max: 24,  allowed: /[a-z0-9]/, lowercase: true, separator: '', prefix: 'sa',
+                            pattern: /^[a-z0-9]+$/, description: '3-24 lowercase letters and digits' },
+    vault:                { min: 3, max: 24,  allowed: /[a-zA-Z0-9-]/, separator: '-',
+                            pattern: /^[a-zA-Z](?!.*--)[a-zA-Z0-9-]*[a-zA-Z0-9]$/,
+                            description: '3-24 letters, digits and hyphens, starting with a letter, ending with a letter or digit, without consecutive hyphens' },
+    resourceGroup:        { min: 1, max: 90,  allowed: /[\w.()-]/, separator: '-',
+                            pattern: /^[\w.()-]*[\w()-]$/, description: '1-90 letters, digits, underscores, hyphens, periods and parentheses, not ending with a period' },
+    container:            { min: 3, max: 63,  allowed: /[a-z0-9-]/, lowercase: true, separator: '-',
+                            pattern: /^[a-z0-9](?!.*--)[a-z0-9-]*[a-z0-9]$/,
+                            description: '3-63 lowercase letters, digits and hyphens, starting and ending with a letter or digit, without consecutive hyphens' },
+    encryptionScope:      { min: 3, max: 63,  allowed: /[a-z0-9-]/, lowercase: true, separator: '-',
+                            pattern: /^[a-z0-9](?!.*--)[a-z0-9-]*[a-z0-9]$/,
+                            description: '3-63 lowercase letters, digits and hyphens, starting and ending with a letter or digit, without consecutive hyphens' },
+    key:                  { min: 1, max: 127, allowed: /[a-zA-Z0-9-]/, separator: '-',
+                            pattern: /^[a-zA-Z0-9-]+$/, description: '1-127 letters, digits and hyphens' },
+    secret:               { min: 1, max: 127, allowed: /[a-zA-Z0-9-]/, separator: '-',
+                            pattern: /^[a-zA-Z0-9-]+$/, description: '1-127 letters, digits and hyphens' },
+    userAssignedIdentity: { min: 3, max: 128, allowed: /[a-zA-Z0-9_-]/, separator: '-',
+                            pattern: /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/, description: '3-128 letters, digits, hyphens and underscores, starting with a letter or digit' }
+};
+
+// Global names the management plane can check before a create.
+const availability = {
+    storageAccount: (clients, name) => clients.storage.storageAccounts.checkNameAvailability({ name: name, type: 'Microsoft.Storage/storageAccounts' }),
+    vault:          (clients, name) => clients.keyVault.vaults.checkNameAvailability({ name: name, type: 'Microsoft.KeyVault/vaults' })
+};
+
+class NamingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NamingError';
+    }
+}
+
+function _rule(type) {
+    const rule = rules[type];
+    if(!rule) {
+        throw new NamingError(util.format('unknown resource type "%s", expected one of: %s', type, Object.keys(rules).join(', ')));
+    }
+    return rule;
+}
+
+// A deterministic random number generator (mulberry32) seeded from a string (FNV-1a hash).
+function _seededRandom(seed) {
+    let state = 2166136261;
+    for(let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick a random element; Math.floor keeps the index within the array.
+function _pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// Reduce a prefix to the characters the type allows, lowercasing where required.
+function _sanitize(rule, value) {
+    let result = String(value);
+    if(rule.lowercase) {
+        result = result.toLowerCase();
+    }
+    result = result.split('').map((c) => (rule.allowed.test(c) ? c : rule.separator)).join('');
+    if(rule.separator) {
+        result = result.split(rule.separator).filter((part) => part).join(rule.separator);
+    }
+    return result;
+}
+
+// Check `name` against the rules for `type`; returns the name or throws a NamingError explaining the rule.
+function validateName(type, name) {
+    const rule = _rule(type);
+    if(typeof name !== 'string' || name.length < rule.min || name.length > rule.max || !rule.pattern.test(name)) {
+        throw new NamingError(util.format('"%s" is not a valid %s name: expected %s', name, type, rule.description));
+    }
+    return name;
+}
+
+function isValidName(type, name) {
+    try {
+        validateName(type, name);
+        return true;
+    } catch(e) {
+        return false;
+    }
+}
+
+// Return a function producing a new name for `type` on every call.
+//
+// options.prefix  prefix or environment tag, e.g. "dev"; characters the type does not allow become hyphens, or are dropped where hyphens are not allowed
+//                 (default "sa" for storage accounts, none for other types)
+// options.seed    makes the sequence of names deterministic; the same seed gives different names per type
+function createNameGenerator(type, options) {
+    options = options || {};
+    const rule = _rule(type);
+    const random = options.seed !== undefined && options.seed !== null ? _seededRandom(String(options.seed) + ':' + type) : Math.random;
+    const prefix = _sanitize(rule, options.prefix !== undefined ? options.prefix : (rule.prefix || ''));
+    const lead = prefix ? prefix + rule.separator : '';
+    if(lead.length + 4 > rule.max) {
+        throw new NamingError(util.format('prefix "%s" leaves no room for a unique %s name (at most %d characters)', options.prefix, type, rule.max));
+    }
+    // Check the prefix now with stand-in words and digits, rather than on every generated name.
+    if(!isValidName(type, lead + 'aa10')) {
+        throw new NamingError(util.format('prefix "%s" cannot start a %s name: expected %s', options.prefix, type, rule.description));
+    }
+
+    return () => {
+        const digits = String(Math.floor(random() * 90 + 10));
+        let words = _pick(random, adjectives) + _pick(random, nouns);
+        if(rule.lowercase) {
+            words = words.toLowerCase();
+        }
+        // Shorten the words, never the prefix or the digits, to fit the maximum length.
+        words = words.slice(0, rule.max - lead.length - digits.length);
+        return validateName(type, lead + words + digits);
+    };
+}
+
+// Generate one name for `type`; see createNameGenerator for the options.
+function generateName(type, options) {
+    return createNameGenerator(type, options)();
+}
+
+// Generate a name for a storage account or vault that is not taken yet, asking the management plane and
+// trying again on a collision. Other types are only generated.
+//
+// options.attempts  how many names to try (default 5)
+async function availableName(type, clients, options) {
+    options = options || {};
+    const next = createNameGenerator(type, options);
+    const check = availability[type];
+    if(!check) {
+        return next();
+    }
+    const attempts = options.attempts || 5;
+    const taken = [];
+    for(let i = 0; i < attempts; i++) {
+        const name = next();
+        const result = await check(clients, name);
+        if(result.nameAvailable) {
+            return name;
+        }
+        taken.push(util.format('%s (%s)', name, result.reason || result.message || 'unavailable'));
+    }
+    throw new NamingError(util.format('no available %s name after %d attempts: %s', type, attempts, taken.join(', ')));
+}
 
-module.exports = () => {
-    return adjectives[Math.round(Math.random() * adjectives.length)] + nouns[Math.round(Math.random() * nouns.length)] + Math.floor(Math.random() * 90 + 10);
+module.exports = {
+    rules: rules,
+    validateName: validateName,
+    isValidName: isValidName,
+    createNameGenerator: createNameGenerator,
+    generateName: generateName,
+    availableName: availableName,
+    NamingError: NamingError,
 };
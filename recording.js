@@ -0,0 +1,270 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { Readable } = require('stream');
+const { createDefaultHttpClient, createHttpHeaders, createPipelineRequest } = require('@azure/core-rest-pipeline');
+
+// Record and replay the HTTP traffic of the Azure SDK clients the sample builds (see createClients), so a flow run
+// once against Azure can be run again offline:
+//   record   requests go to Azure as usual; every exchange is appended to the recording file
+//   replay   nothing is sent; each request is answered with the next recorded response for the same method and URL
+//
+// Recordings are meant to be committed, so secrets are redacted before anything is written: SAS signatures,
+// account keys and connection strings, Key Vault secret values, user delegation keys and tokens. Request headers,
+// including Authorization, are never recorded.
+//
+// The recorder plugs in as the `httpClient` of each client. The storage, Key Vault and ARM resource clients use the
+// current pipeline (@azure/core-rest-pipeline); the authorization and blob clients take the older WebResource-style
+// HTTP client, which `legacyHttpClient` adapts to the same recorder.
+
+const MODE_RECORD = 'record';
+const MODE_REPLAY = 'replay';
+const MODES = [MODE_RECORD, MODE_REPLAY];
+
+const REDACTED = 'REDACTED';
+
+// JSON properties whose string values are secrets: Key Vault secret values, account keys and tokens.
+const SECRET_PROPERTIES = ['value', 'primaryKey', 'secondaryKey', 'connectionString', 'access_token', 'refresh_token', 'id_token', 'client_secret'];
+
+// Response headers left out of recordings: cookies, and headers that change on every call.
+const DROPPED_HEADERS = ['set-cookie', 'date', 'x-ms-request-id', 'x-ms-correlation-request-id', 'x-ms-routing-request-id', 'x-ms-client-request-id', 'request-id'];
+
+const GUID = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+class RecordingMismatchError extends Error {
+    // A request in replay mode that the recording has no (more) responses for.
+    constructor(message) {
+        super(message);
+        this.name = 'RecordingMismatchError';
+    }
+}
+
+// Remove secrets from a URL, header value or body.
+function redact(text) {
+    if(typeof text !== 'string') {
+        return text;
+    }
+    const properties = SECRET_PROPERTIES.join('|');
+    return text
+        // SAS signatures, in URLs and in SAS tokens returned by the resource provider
+        .replace(/([?&]|\\u0026|^)sig=[^&"\s\\]+/g, '$1sig=' + REDACTED)
+        // storage connection strings
+        .replace(/(AccountKey|SharedAccessSignature)=[^;"\s\\]+/g, '$1=' + REDACTED)
+        // user delegation keys
+        .replace(/<Value>[^<]*<\/Value>/g, '<Value>' + REDACTED + '</Value>')
+        .replace(new RegExp('"(' + properties + ')"(\\s*):(\\s*)"(?:[^"\\\\]|\\\\.)*"', 'g'), '"$1"$2:$3"' + REDACTED + '"');
+}
+
+// What a request is matched on in replay mode: the method and the redacted URL, with GUIDs (such as the names of new
+// role assignments) and SAS timestamps left out because they differ from run to run.
+function _matchKey(method, url) {
+    return util.format('%s %s', method.toUpperCase(), redact(url).replace(GUID, '<guid>').replace(/([?&](?:st|se|skt|ske)=)[^&]*/g, '$1<time>'));
+}
+
+function _bodyText(body) {
+    if(typeof body === 'string') {
+        return body;
+    }
+    if(Buffer.isBuffer(body)) {
+        return body.toString('utf8');
+    }
+    return undefined;
+}
+
+async function _readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function _recordedHeaders(headers) {
+    const recorded = {};
+    for(const [name, value] of headers) {
+        if(DROPPED_HEADERS.indexOf(name.toLowerCase()) < 0) {
+            recorded[name.toLowerCase()] = redact(value);
+        }
+    }
+    return recorded;
+}
+
+function _isStreamed(request, status) {
+    const codes = request.streamResponseStatusCodes;
+    return !!codes && (codes.has(status) || codes.has(Number.POSITIVE_INFINITY));
+}
+
+function _writeRecording(filePath, recording) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(recording, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+function _readRecording(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch(e) {
+        throw new RecordingMismatchError(util.format('cannot read recording %s: %s', filePath, e.message));
+    }
+    const recording = JSON.parse(text);
+    if(!recording || !Array.isArray(recording.entries)) {
+        throw new RecordingMismatchError(util.format('%s is not a recording: it has no entries', filePath));
+    }
+    return recording;
+}
+
+// Headers in the shape the older (WebResource) pipelines expect.
+class LegacyHeaders {
+    constructor(raw) {
+        this._headers = {};
+        Object.keys(raw || {}).forEach((name) => this.set(name, raw[name]));
+    }
+    set(name, value) { this._headers[name.toLowerCase()] = { name: name, value: String(value) }; }
+    get(name) { const header = this._headers[name.toLowerCase()]; return header && header.value; }
+    contains(name) { return !!this._headers[name.toLowerCase()]; }
+    remove(name) { const had = this.contains(name); delete this._headers[name.toLowerCase()]; return had; }
+    headersArray() { return Object.keys(this._headers).map((key) => this._headers[key]); }
+    headerNames() { return this.headersArray().map((header) => header.name); }
+    headerValues() { return this.headersArray().map((header) => header.value); }
+    rawHeaders() { const raw = {}; this.headersArray().forEach((header) => { raw[header.name.toLowerCase()] = header.value; }); return raw; }
+    toJson() { return this.rawHeaders(); }
+    toString() { return JSON.stringify(this.toJson()); }
+    clone() { return new LegacyHeaders(this.rawHeaders()); }
+}
+
+// Create a recorder.
+//
+// options.mode        MODE_RECORD or MODE_REPLAY
+// options.file        the recording; written after every exchange when recording, read once when replaying
+// options.httpClient  the client requests are sent with when recording (default: the SDK's default HTTP client)
+//
+// Returns { mode, file, entries, httpClient, legacyHttpClient, pending() }: pass `httpClient` or `legacyHttpClient`
+// as the `httpClient` option of an SDK client. `pending()` lists the recorded exchanges a replay has not used.
+function createRecorder(options) {
+    const mode = options && options.mode;
+    if(MODES.indexOf(mode) < 0) {
+        throw new Error(util.format('unknown recording mode "%s", expected one of: %s', mode, MODES.join(', ')));
+    }
+    const file = path.resolve(options.file);
+    const recording = mode === MODE_REPLAY ? _readRecording(file) : { entries: [] };
+    const used = new Set();
+    let live = options.httpClient;
+
+    async function record(request) {
+        live = live || createDefaultHttpClient();
+        const response = await live.sendRequest(request);
+        const entry = {
+            method: request.method,
+            url: redact(request.url),
+            requestBody: redact(_bodyText(request.body)),
+            status: response.status,
+            headers: _recordedHeaders(response.headers)
+        };
+        if(response.readableStreamBody) {
+            // Streamed (download) responses are buffered so they can be both recorded and handed on.
+            const body = await _readAll(response.readableStreamBody);
+            entry.bodyBase64 = body.toString('base64');
+            response.readableStreamBody = Readable.from([body]);
+        } else {
+            entry.body = redact(response.bodyAsText);
+        }
+        recording.entries.push(entry);
+        _writeRecording(file, recording);
+        return response;
+    }
+
+    async function replay(request) {
+        const key = _matchKey(request.method, request.url);
+        const index = recording.entries.findIndex((entry, i) => !used.has(i) && _matchKey(entry.method, entry.url) === key);
+        if(index < 0) {
+            throw new RecordingMismatchError(util.format('no recorded response left in %s for %s', file, redact(request.method + ' ' + request.url)));
+        }
+        used.add(index);
+        const entry = recording.entries[index];
+        const headers = Object.assign({}, entry.headers);
+        // A replay never needs to wait for the service, e.g. while polling a long-running operation.
+        ['retry-after', 'retry-after-ms', 'x-ms-retry-after-ms'].forEach((name) => {
+            if(headers[name] !== undefined) {
+                headers[name] = '0';
+            }
+        });
+        const response = { request: request, status: entry.status, headers: createHttpHeaders(headers) };
+        const body = entry.bodyBase64 !== undefined ? Buffer.from(entry.bodyBase64, 'base64') : entry.body;
+        if(body !== undefined && _isStreamed(request, entry.status)) {
+            response.readableStreamBody = Readable.from([Buffer.from(body)]);
+        } else if(body !== undefined) {
+            response.bodyAsText = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+        }
+        return response;
+    }
+
+    const httpClient = {
+        sendRequest: (request) => (mode === MODE_REPLAY ? replay(request) : record(request))
+    };
+
+    const legacyHttpClient = {
+        sendRequest: async (webResource) => {
+            const request = createPipelineRequest({
+                url: webResource.url,
+                method: webResource.method,
+                headers: createHttpHeaders(webResource.headers ? webResource.headers.rawHeaders() : {}),
+                body: webResource.body,
+                timeout: webResource.timeout,
+                abortSignal: webResource.abortSignal,
+                streamResponseStatusCodes: webResource.streamResponseStatusCodes ||
+                    (webResource.streamResponseBody ? new Set([Number.POSITIVE_INFINITY]) : undefined)
+            });
+            const response = await httpClient.sendRequest(request);
+            return {
+                request: webResource,
+                status: response.status,
+                headers: new LegacyHeaders(response.headers.toJSON()),
+                bodyAsText: response.bodyAsText,
+                readableStreamBody: response.readableStreamBody
+            };
+        }
+    };
+
+    return {
+        mode: mode,
+        file: file,
+        entries: recording.entries,
+        httpClient: httpClient,
+        legacyHttpClient: legacyHttpClient,
+        pending: () => recording.entries.filter((entry, i) => !used.has(i)).map((entry) => entry.method + ' ' + entry.url)
+    };
+}
+
+// A credential for replaying: the recording already holds the responses, so no real token is needed. The token is
+// an unsigned JWT whose `oid` and `tid` claims identify a placeholder operator (see SampleUtil.getOperator).
+function replayCredential(claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const token = [
+        encode({ alg: 'none', typ: 'JWT' }),
+        encode(Object.assign({ oid: '00000000-0000-0000-0000-000000000000', tid: '00000000-0000-0000-0000-000000000000' }, claims)),
+        ''
+    ].join('.');
+    return {
+        getToken: async () => ({ token: token, expiresOnTimestamp: Date.now() + 60 * 60 * 1000 })
+    };
+}
+
+module.exports = {
+    MODE_RECORD: MODE_RECORD,
+    MODE_REPLAY: MODE_REPLAY,
+    MODES: MODES,
+    REDACTED: REDACTED,
+    redact: redact,
+    createRecorder: createRecorder,
+    replayCredential: replayCredential,
+    RecordingMismatchError: RecordingMismatchError,
+};
@@ -0,0 +1,327 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+
+// Retries and readiness polling for management and data-plane calls.
+//
+// Every failure is sorted into one of the error classes below, and each class has its own retry policy:
+//   transient            network errors, timeouts and 5xx responses: retried with exponential backoff
+//   throttled            429 responses: retried after the service's Retry-After, or a longer backoff
+//   propagationPending   403s and missing principals right after a role assignment, access policy or
+//                        new identity: retried only where a caller expects propagation (see waitUntilReady)
+//   conflict             the resource or assignment already exists: never retried, callers decide
+//   fatal                everything else: never retried
+//
+// The SDK pipelines already retry a few times on their own; these policies sit on top of them.
+
+const TRANSIENT = 'transient';
+const THROTTLED = 'throttled';
+const PROPAGATION_PENDING = 'propagationPending';
+const CONFLICT = 'conflict';
+const FATAL = 'fatal';
+
+// Retry policy for each error class. Delays are in milliseconds.
+const policies = {
+    [TRANSIENT]:           { maxAttempts: 4, baseDelay: 1000, maxDelay: 30 * 1000 },
+    [THROTTLED]:           { maxAttempts: 6, baseDelay: 5000, maxDelay: 60 * 1000 },
+    [PROPAGATION_PENDING]: { maxAttempts: 1, baseDelay: 5000, maxDelay: 30 * 1000 },
+    [CONFLICT]:            { maxAttempts: 1 },
+    [FATAL]:               { maxAttempts: 1 }
+};
+
+const TRANSIENT_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'REQUEST_SEND_ERROR',
+    'AnotherOperationInProgress', 'InternalServerError', 'ServiceUnavailable', 'GatewayTimeout', 'ServerTimeout'
+];
+const THROTTLED_CODES = ['TooManyRequests', 'Throttled', 'SubscriptionRequestsThrottled', 'ServerBusy'];
+const CONFLICT_CODES = [
+    'RoleAssignmentExists', 'Conflict', 'ConflictError', 'ContainerAlreadyExists', 'BlobAlreadyExists',
+    'VaultAlreadyExists', 'StorageAccountAlreadyTaken', 'StorageAccountAlreadyExists', 'EncryptionScopeAlreadyExists'
+];
+// Codes returned while a new principal, role assignment or access policy has not reached every replica yet.
+const PROPAGATION_CODES = [
+    'PrincipalNotFound', 'Forbidden', 'AuthorizationFailed', 'ForbiddenByRbac', 'ForbiddenByPolicy',
+    'KeyVaultAuthenticationFailure', 'KeyVaultAccessForbidden'
+];
+
+// The client methods resilientClient retries: reads, PUT/PATCH of a whole named resource, deletes, and key operations
+// that only compute. Sending one of these twice has the same effect as sending it once. Anything else, such as
+// creating or rotating a key, regenerating an account key or starting a create, is sent once, because a retry after
+// a failure the service had already acted on would repeat the change.
+const IDEMPOTENT_OPERATIONS = [
+    // reads
+    'get', 'getProperties', 'getKey', 'getSecret', 'getDeletedKey', 'getKeyRotationPolicy', 'getUserDelegationKey',
+    'list', 'listBySubscription', 'listByResourceGroup', 'listForScope', 'listKeys', 'listAccountSAS', 'listServiceSAS',
+    'checkNameAvailability', 'download', 'exists',
+    // PUT and PATCH
+    'createOrUpdate', 'update', 'updateAccessPolicy', 'put', 'patch', 'updateKeyRotationPolicy', 'stageBlock', 'commitBlockList', 'upload',
+    // deletes
+    'delete', 'deleteById', 'beginDeleteAndWait', 'beginDeleteKey', 'purgeDeletedKey', 'beginPurgeDeletedAndWait',
+    // key operations
+    'wrapKey', 'unwrapKey'
+];
+
+class OperationError extends Error {
+    // An operation that failed for good: either a non-retryable error or one that ran out of attempts.
+    constructor(operation, kind, cause, attempts) {
+        super(util.format('%s failed (%s, %d attempt%s): %s', operation, kind, attempts, attempts === 1 ? '' : 's', cause.message));
+        this.name = 'OperationError';
+        this.operation = operation;
+        this.kind = kind;
+        this.cause = cause;
+        this.attempts = attempts;
+        this.code = cause.code;
+        this.statusCode = cause.statusCode;
+    }
+}
+
+class ReadinessTimeoutError extends Error {
+    constructor(description, elapsed, attempts, lastError) {
+        super(util.format('timed out after %ds (%d checks) waiting until %s%s', Math.round(elapsed / 1000), attempts, description,
+            lastError ? ': last error: ' + lastError.message : ''));
+        this.name = 'ReadinessTimeoutError';
+        this.description = description;
+        this.elapsed = elapsed;
+        this.attempts = attempts;
+        this.cause = lastError;
+    }
+}
+
+function _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Read a response header from a RestError of either generation of the Azure SDK.
+function _header(e, name) {
+    if(e instanceof OperationError) {
+        e = e.cause;
+    }
+    const headers = e.response && e.response.headers;
+    if(!headers) {
+        return undefined;
+    }
+    if(typeof headers.get === 'function') {
+        return headers.get(name);
+    }
+    return headers[name] || headers[name.toLowerCase()];
+}
+
+// The error code, looking inside the service error body where the SDK did not lift it onto the error.
+function errorCode(e) {
+    if(e instanceof OperationError) {
+        e = e.cause;
+    }
+    const details = e.details || (e.body && e.body.error) || {};
+    const inner = (details.error && details.error.innererror) || details.innererror || {};
+    return inner.code || e.code || (details.error && details.error.code) || details.code;
+}
+
+// Sort an error into one of the error classes.
+function classifyError(e) {
+    if(!e) {
+        return FATAL;
+    }
+    if(e instanceof OperationError) {
+        return e.kind;
+    }
+    const code = errorCode(e);
+    const status = e.statusCode || (e.response && e.response.status);
+
+    if(status === 429 || THROTTLED_CODES.indexOf(code) >= 0 || THROTTLED_CODES.indexOf(e.code) >= 0) {
+        return THROTTLED;
+    }
+    if(TRANSIENT_CODES.indexOf(code) >= 0 || TRANSIENT_CODES.indexOf(e.code) >= 0 || status === 408 || status >= 500) {
+        return TRANSIENT;
+    }
+    if(status === 409 || CONFLICT_CODES.indexOf(code) >= 0 || CONFLICT_CODES.indexOf(e.code) >= 0) {
+        return CONFLICT;
+    }
+    if(status === 403 || PROPAGATION_CODES.indexOf(code) >= 0 || PROPAGATION_CODES.indexOf(e.code) >= 0) {
+        return PROPAGATION_PENDING;
+    }
+    return FATAL;
+}
+
+// The delay the service asked for through Retry-After (seconds or an HTTP date) or retry-after-ms, if any.
+function retryAfter(e, now) {
+    const ms = _header(e, 'retry-after-ms') || _header(e, 'x-ms-retry-after-ms');
+    if(ms && !isNaN(ms)) {
+        return Number(ms);
+    }
+    const value = _header(e, 'retry-after');
+    if(!value) {
+        return undefined;
+    }
+    if(!isNaN(value)) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - (now || Date.now)());
+}
+
+// Exponential backoff with jitter for the given (1-based) attempt.
+function _backoff(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Run `fn` and retry it according to the policy for each error class it fails with.
+//
+// options.retry     error classes to retry (default transient and throttled)
+// options.classify  replaces classifyError, e.g. to treat only some 403s as propagation delays
+// options.policies  overrides for `policies`
+// options.log       receives a line for every retry
+// options.sleep     replaces the timer, e.g. in tests
+//
+// Errors that are not retried, or run out of attempts, are rethrown as an OperationError carrying the class.
+async function execute(operation, fn, options) {
+    options = options || {};
+    const retry = options.retry || [TRANSIENT, THROTTLED];
+    const classify = options.classify || classifyError;
+    const sleep = options.sleep || _sleep;
+    const attempts = {};
+    let total = 0;
+
+    for(;;) {
+        total++;
+        try {
+            return await fn(total);
+        } catch(e) {
+            const kind = classify(e);
+            const policy = Object.assign({}, policies[kind], options.policies && options.policies[kind]);
+            attempts[kind] = (attempts[kind] || 0) + 1;
+            if(retry.indexOf(kind) < 0 || attempts[kind] >= policy.maxAttempts) {
+                throw e instanceof OperationError ? e : new OperationError(operation, kind, e, total);
+            }
+            const requested = retryAfter(e);
+            const delay = requested !== undefined ? requested : _backoff(policy, attempts[kind]);
+            if(options.log) {
+                options.log(util.format('%s: %s error (%s), retrying in %ds', operation, kind, errorCode(e) || e.message, Math.round(delay / 1000)));
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+// Poll `check` until it returns a truthy value, which is returned. A check that returns a falsy value or fails with a
+// transient, throttled or propagation-pending error is tried again; conflicts and fatal errors stop the wait at once.
+// A ReadinessTimeoutError describing the last failure is thrown once `options.timeout` (default 5m) has passed.
+//
+// options.timeout, options.interval  durations in milliseconds (default 5 minutes and 10 seconds)
+// options.classify, options.log, options.sleep  as for execute(); options.now replaces the clock
+async function waitUntilReady(description, check, options) {
+    options = options || {};
+    const classify = options.classify || classifyError;
+    const sleep = options.sleep || _sleep;
+    const now = options.now || Date.now;
+    const timeout = options.timeout !== undefined ? options.timeout : 5 * 60 * 1000;
+    const interval = options.interval !== undefined ? options.interval : 10 * 1000;
+    const started = now();
+    let attempts = 0;
+    let lastError;
+
+    for(;;) {
+        attempts++;
+        try {
+            const result = await check(attempts);
+            if(result) {
+                if(attempts > 1 && options.log) {
+                    options.log(util.format('Ready after %ds: %s', Math.round((now() - started) / 1000), description));
+                }
+                return result;
+            }
+            lastError = undefined;
+        } catch(e) {
+            const kind = classify(e);
+            if(kind === CONFLICT || kind === FATAL) {
+                throw e;
+            }
+            lastError = e;
+        }
+
+        const elapsed = now() - started;
+        if(elapsed >= timeout) {
+            throw new ReadinessTimeoutError(description, elapsed, attempts, lastError);
+        }
+        if(attempts === 1 && options.log) {
+            options.log(util.format('Waiting until %s (up to %ds)', description, Math.round(timeout / 1000)));
+        }
+        const delay = lastError && retryAfter(lastError) !== undefined ? retryAfter(lastError) : interval;
+        await sleep(Math.min(delay, Math.max(0, timeout - elapsed)));
+    }
+}
+
+// A stream body, or a function producing one, can only be sent once.
+function _hasStreamBody(args) {
+    return Array.prototype.some.call(args, (arg) => typeof arg === 'function' || (arg && typeof arg.pipe === 'function'));
+}
+
+// Wrap an SDK client so every call that returns a promise is run through execute(), including calls on its
+// operation groups (e.g. client.storageAccounts.update). Only IDEMPOTENT_OPERATIONS without a stream body are
+// retried; other calls are sent once, and their errors are reported the same way. Sub-clients returned by a call
+// (e.g. getContainerClient) are wrapped as well; anything else, such as paged iterators, is passed through unchanged.
+function resilientClient(client, options, name) {
+    const cache = new WeakMap();
+
+    function wrap(target, path) {
+        if(cache.has(target)) {
+            return cache.get(target);
+        }
+        const proxy = new Proxy(target, {
+            get(obj, prop) {
+                const value = obj[prop];
+                if(typeof prop === 'symbol' || prop.startsWith('_') || prop === 'pipeline') {
+                    return value;
+                }
+                if(typeof value === 'function') {
+                    const operation = path + '.' + prop;
+                    return function() {
+                        const args = arguments;
+                        const first = value.apply(obj, args);
+                        if(first && typeof first === 'object' && /Client$/.test(first.constructor && first.constructor.name)) {
+                            return wrap(first, first.constructor.name);
+                        }
+                        if(!first || typeof first.then !== 'function') {
+                            return first;
+                        }
+                        const retryable = IDEMPOTENT_OPERATIONS.indexOf(prop) >= 0 && !_hasStreamBody(args);
+                        return execute(operation, (attempt) => (attempt === 1 ? first : value.apply(obj, args)),
+                            retryable ? options : Object.assign({}, options, { retry: [] }));
+                    };
+                }
+                if(value && typeof value === 'object' && Object.getPrototypeOf(value) !== Object.prototype) {
+                    // Operation groups are class instances; plain data objects are returned as they are.
+                    return wrap(value, path + '.' + prop);
+                }
+                return value;
+            }
+        });
+        cache.set(target, proxy);
+        return proxy;
+    }
+
+    return wrap(client, name || (client.constructor && client.constructor.name) || 'client');
+}
+
+module.exports = {
+    TRANSIENT: TRANSIENT,
+    THROTTLED: THROTTLED,
+    PROPAGATION_PENDING: PROPAGATION_PENDING,
+    CONFLICT: CONFLICT,
+    FATAL: FATAL,
+    policies: policies,
+    IDEMPOTENT_OPERATIONS: IDEMPOTENT_OPERATIONS,
+    errorCode: errorCode,
+    classifyError: classifyError,
+    retryAfter: retryAfter,
+    execute: execute,
+    waitUntilReady: waitUntilReady,
+    resilientClient: resilientClient,
+    OperationError: OperationError,
+    ReadinessTimeoutError: ReadinessTimeoutError,
+};
@@ -0,0 +1,275 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const SampleUtil = require('./sample_util');
+
+// A persisted record of every resource a run of the sample creates, so a failed run can be rolled
+// back and a finished run can be torn down later. Each run gets its own ledger file in
+// <stateDir>/ledgers/<runId>.json. Entries are removed in reverse order of creation.
+//
+// Entry types and the fields they record:
+//   resourceGroup   name
+//   vault           groupName, name, location, purgeProtection
+//   storageAccount  groupName, name
+//   roleAssignment  id
+//   accessPolicy    groupName, vaultName, tenantId, objectId, permissions
+//   key             vaultUri, name, purgeProtection
+//   container       groupName, accountName, name
+//   encryption      groupName, accountName, previous (the account's encryption before the change)
+//   encryptionScope groupName, accountName, name, previous (the scope's settings before the change, null if new)
+
+const STATUS_CREATED = 'created';
+const STATUS_REMOVED = 'removed';
+const STATUS_FAILED = 'failed';
+
+function _isNotFound(e) {
+    return e.statusCode === 404;
+}
+
+function _usesKey(keyUri, vaultUri, keyName) {
+    const base = util.format('%s/keys/%s', String(vaultUri).toLowerCase().replace(/\/+$/, ''), String(keyName).toLowerCase());
+    const uri = String(keyUri || '').toLowerCase();
+    return uri === base || uri.startsWith(base + '/');
+}
+
+function _vaultOf(keyUri) {
+    return String(keyUri || '').toLowerCase().replace(/\/keys\/.*$/, '').replace(/\/+$/, '');
+}
+
+// The storage accounts and encryption scopes that still use the key of a ledger entry. Each account's own encryption
+// comes with the one subscription-wide listing. Encryption scopes are only listed on the accounts the ledger touched
+// and on accounts encrypted with a key of the same vault, so the check does not grow with every account in the
+// subscription; if listing fails on one of the latter, it is taken to have no scope on the key. Encryption scopes the
+// same run created are left out: they cannot be deleted, only disabled, so they never let go of the key.
+async function _keyUsers(clients, entry, entries) {
+    const ownScopes = entries.filter((other) => other.type === 'encryptionScope' && !other.previous)
+        .map((other) => util.format('%s/%s/%s', other.groupName, other.accountName, other.name).toLowerCase());
+    const touched = entries.filter((other) => other.accountName || other.type === 'storageAccount')
+        .map((other) => util.format('%s/%s', other.groupName, other.accountName || other.name).toLowerCase());
+    const users = [];
+    for await (const account of clients.storage.storageAccounts.list()) {
+        const encryption = account.encryption || {};
+        const properties = encryption.keyVaultProperties;
+        const keyUri = /^Microsoft\.Keyvault$/i.test(encryption.keySource || '') && properties ?
+            util.format('%s/keys/%s', String(properties.keyVaultUri).replace(/\/+$/, ''), properties.keyName) : undefined;
+        if(_usesKey(keyUri, entry.vaultUri, entry.name)) {
+            users.push('storage account ' + account.name);
+        }
+
+        const groupName = (/\/resourceGroups\/([^/]+)/i.exec(account.id) || [])[1];
+        const ours = touched.indexOf(util.format('%s/%s', groupName, account.name).toLowerCase()) >= 0;
+        if(!ours && (!keyUri || _vaultOf(keyUri) !== _vaultOf(entry.vaultUri))) {
+            continue;
+        }
+        try {
+            for await (const scope of clients.storage.encryptionScopes.list(groupName, account.name)) {
+                const own = ownScopes.indexOf(util.format('%s/%s/%s', groupName, account.name, scope.name).toLowerCase()) >= 0;
+                if(!own && scope.keyVaultProperties && _usesKey(scope.keyVaultProperties.keyUri, entry.vaultUri, entry.name)) {
+                    users.push(util.format('encryption scope %s on %s', scope.name, account.name));
+                }
+            }
+        } catch(e) {
+            if(ours) {
+                throw e;
+            }
+        }
+    }
+    return users;
+}
+
+// How to remove each type of entry. `options.purge` also purges soft-deleted keys and vaults,
+// unless purge protection (which the sample vault enables) forbids it. `entries` are all of the ledger's entries.
+const removers = {
+    resourceGroup: async (clients, entry) => {
+        await clients.resources.resourceGroups.beginDeleteAndWait(entry.name);
+    },
+    vault: async (clients, entry, options) => {
+        await clients.keyVault.vaults.delete(entry.groupName, entry.name);
+        if(options.purge) {
+            if(entry.purgeProtection) {
+                return 'deleted; purge protection prevents purging';
+            }
+            await clients.keyVault.vaults.beginPurgeDeletedAndWait(entry.name, entry.location);
+            return 'deleted and purged';
+        }
+    },
+    storageAccount: async (clients, entry) => {
+        await clients.storage.storageAccounts.delete(entry.groupName, entry.name);
+    },
+    roleAssignment: async (clients, entry) => {
+        await clients.authorization.roleAssignments.deleteById(entry.id);
+    },
+    accessPolicy: async (clients, entry) => {
+        await clients.keyVault.vaults.updateAccessPolicy(entry.groupName, entry.vaultName, 'remove', {
+            properties: {
+                accessPolicies: [{ tenantId: entry.tenantId, objectId: entry.objectId, permissions: entry.permissions }]
+            }
+        });
+    },
+    key: async (clients, entry, options, entries) => {
+        // Another account or scope may have been attached to the key since; deleting it would lock their data away.
+        const users = await _keyUsers(clients, entry, entries);
+        if(users.length > 0) {
+            throw new Error(util.format('the key is still used by %s', users.join(', ')));
+        }
+        const keyClient = clients.keys(entry.vaultUri);
+        const poller = await keyClient.beginDeleteKey(entry.name);
+        await poller.pollUntilDone();
+        if(options.purge) {
+            if(entry.purgeProtection) {
+                return 'deleted; purge protection prevents purging';
+            }
+            await keyClient.purgeDeletedKey(entry.name);
+            return 'deleted and purged';
+        }
+    },
+    container: async (clients, entry) => {
+        await clients.storage.blobContainers.delete(entry.groupName, entry.accountName, entry.name);
+    },
+    encryption: async (clients, entry) => {
+        await clients.storage.storageAccounts.update(entry.groupName, entry.accountName, { encryption: entry.previous });
+    },
+    encryptionScope: async (clients, entry) => {
+        // Encryption scopes cannot be deleted: a new scope is disabled, a changed one gets its previous settings back.
+        await clients.storage.encryptionScopes.patch(entry.groupName, entry.accountName, entry.name, entry.previous || { state: 'Disabled' });
+        return entry.previous ? undefined : 'disabled; encryption scopes cannot be deleted';
+    }
+};
+
+function _describe(entry) {
+    switch(entry.type) {
+        case 'roleAssignment': return 'role assignment ' + entry.id;
+        case 'accessPolicy':   return util.format('access policy for %s on vault %s', entry.objectId, entry.vaultName);
+        case 'key':            return util.format('key %s in %s', entry.name, entry.vaultUri);
+        case 'container':      return util.format('container %s in %s', entry.name, entry.accountName);
+        case 'encryption':     return util.format('encryption change on %s', entry.accountName);
+        case 'encryptionScope': return util.format('encryption scope %s on %s', entry.name, entry.accountName);
+        default:               return entry.type + ' ' + entry.name;
+    }
+}
+
+class ResourceLedger {
+    // A ledger without a file records nothing; it is used when no ledger is wanted.
+    constructor(filePath, data) {
+        this.filePath = filePath;
+        this.data = data || { runId: null, startedAt: new Date().toISOString(), entries: [] };
+    }
+
+    get runId() {
+        return this.data.runId;
+    }
+
+    get entries() {
+        return this.data.entries;
+    }
+
+    // Record a created resource and persist the ledger straight away.
+    record(entry) {
+        if(!this.filePath) {
+            return;
+        }
+        this.data.entries.push(Object.assign({}, entry, { status: STATUS_CREATED, recordedAt: new Date().toISOString() }));
+        this._save();
+    }
+
+    _save() {
+        SampleUtil.writeJsonFile(this.filePath, this.data);
+    }
+
+    // Remove every recorded resource that still exists, newest first. Failures are recorded and
+    // skipped so one stuck resource does not block the rest; running again retries them.
+    async rollback(clients, options) {
+        options = options || {};
+        const log = options.log || console.log;
+        const summary = { runId: this.runId, removed: 0, failed: 0, results: [] };
+
+        for(const entry of this.data.entries.slice().reverse()) {
+            if(entry.status === STATUS_REMOVED) {
+                continue;
+            }
+            const remover = removers[entry.type];
+            let note;
+            try {
+                if(!remover) {
+                    throw new Error('unknown ledger entry type ' + entry.type);
+                }
+                note = await remover(clients, entry, options, this.data.entries);
+                entry.status = STATUS_REMOVED;
+            } catch(e) {
+                if(_isNotFound(e)) {
+                    note = 'already gone';
+                    entry.status = STATUS_REMOVED;
+                } else {
+                    note = e.message;
+                    entry.status = STATUS_FAILED;
+                }
+            }
+            if(this.filePath) {
+                this._save();
+            }
+
+            const removed = entry.status === STATUS_REMOVED;
+            summary[removed ? 'removed' : 'failed']++;
+            summary.results.push({ resource: _describe(entry), status: entry.status, note: note });
+            log(util.format('%s %s%s', removed ? 'Removed' : 'Failed to remove', _describe(entry), note ? ' (' + note + ')' : ''));
+        }
+        return summary;
+    }
+}
+
+function _ledgerDir(options) {
+    return (options && options.ledgerDir) || path.join(SampleUtil.config.stateDir, 'ledgers');
+}
+
+// Start a new ledger for a run. The run ID names the ledger for a later teardown.
+function createLedger(options) {
+    const runId = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '') + '-' + Math.random().toString(36).slice(2, 8);
+    return new ResourceLedger(path.join(_ledgerDir(options), runId + '.json'), {
+        runId: runId,
+        startedAt: new Date().toISOString(),
+        entries: []
+    });
+}
+
+// Open the ledger of an earlier run.
+function openLedger(runId, options) {
+    const filePath = path.join(_ledgerDir(options), runId + '.json');
+    const data = SampleUtil.readJsonFile(filePath, null);
+    if(!data) {
+        throw new Error(util.format('no ledger found for run %s in %s', runId, _ledgerDir(options)));
+    }
+    return new ResourceLedger(filePath, data);
+}
+
+// List the runs that have ledgers, with how many of their resources still exist.
+function listLedgers(options) {
+    const dir = _ledgerDir(options);
+    if(!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir).filter((name) => name.endsWith('.json')).map((name) => {
+        const data = SampleUtil.readJsonFile(path.join(dir, name), { entries: [] });
+        return {
+            runId: data.runId,
+            startedAt: data.startedAt,
+            remaining: data.entries.filter((e) => e.status !== STATUS_REMOVED).length
+        };
+    }).sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : 0));
+}
+
+// A ledger that records nothing, for callers that do not track resources.
+const noLedger = new ResourceLedger(null);
+
+module.exports = {
+    createLedger: createLedger,
+    openLedger: openLedger,
+    listLedgers: listLedgers,
+    noLedger: noLedger,
+};
@@ -5,59 +5,354 @@
  */
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const util = require('util');
+const dotenv = require('dotenv');
 const { KeyVaultManagementClient } = require('@azure/arm-keyvault');
 const { ResourceManagementClient } = require('@azure/arm-resources');
-const random_id = require('./random_id');
-const adal = require('adal-node');
-const { DefaultAzureCredential } = require('@azure/identity');
-// const request = require('request-promise-native');
-
-// Validate env variables
-var envs = [];
-if (!process.env['AZURE_SUBSCRIPTION_ID']) envs.push('AZURE_SUBSCRIPTION_ID');
-if (!process.env['AZURE_TENANT_ID']) envs.push('AZURE_TENANT_ID');
-if (!process.env['AZURE_CLIENT_ID']) envs.push('AZURE_CLIENT_ID');
-if (!process.env['AZURE_CLIENT_OID']) envs.push('AZURE_CLIENT_OID');
-if (!process.env['AZURE_CLIENT_SECRET']) envs.push('AZURE_CLIENT_SECRET');
-
-if (envs.length > 0) {
-    throw new Error(util.format('please set/export the following environment variables: %s', envs.toString()));
-}
-
-// Set up our config object
-const config = {
-    // Service principal details for running the sample.
-    subscriptionId: process.env['AZURE_SUBSCRIPTION_ID'],
-    tenantId:       process.env['AZURE_TENANT_ID'],
-    clientId:       process.env['AZURE_CLIENT_ID'],
-    objectId:       process.env['AZURE_CLIENT_OID'],
-    secret:         process.env['AZURE_CLIENT_SECRET'],
-    azureLocation:  process.env['AZURE_LOCATION'] || 'westus',
-    groupName:      process.env['AZURE_RESOURCE_GROUP'] || 'azure-sample-group',
-    tokenCache:     new adal.MemoryCache(),
-    storageAccName: "sa" + random_id() // random ID for newly generated storage acc
+const { AuthorizationManagementClient } = require('@azure/arm-authorization');
+const VaultAccess = require('./vault_access');
+const Resilience = require('./resilience');
+const Naming = require('./naming');
+const Recording = require('./recording');
+const {
+    AzureCliCredential,
+    ClientAssertionCredential,
+    ClientCertificateCredential,
+    ClientSecretCredential,
+    ManagedIdentityCredential
+} = require('@azure/identity');
+
+// Configuration is merged from these sources, each overriding the ones before it:
+//   1. the defaults in `settings`
+//   2. the environment
+//   3. a .env file in the working directory
+//   4. a JSON or YAML config file: --config, AZURE_SAMPLE_CONFIG, or kv-storage.config.{json,yaml,yml} in the working directory
+//   5. command line flags (see cli.js), passed to configure()
+// A variable left over in the shell thus never overrides the .env or config file kept with a deployment.
+// The merged values are validated against `settings`, and the credential named by `credential` is used for every Azure call.
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+const CREDENTIALS = {
+    secret:           { requires: ['tenantId', 'clientId', 'clientSecret'], description: 'service principal with a client secret' },
+    certificate:      { requires: ['tenantId', 'clientId', 'certificatePath'], description: 'service principal with a PEM certificate' },
+    managedIdentity:  { requires: [], description: 'managed identity of the host; clientId selects a user-assigned identity' },
+    azureCli:         { requires: [], description: 'the account signed in with `az login`' },
+    workloadIdentity: { requires: ['tenantId', 'clientId', 'federatedTokenFile'], description: 'Kubernetes workload identity federation' }
+};
+
+// Every configuration setting: its environment variable, type and default.
+// Config files use the setting names as keys.
+const settings = {
+    subscriptionId:       { env: 'AZURE_SUBSCRIPTION_ID', type: 'guid', description: 'subscription to create resources in' },
+    tenantId:             { env: 'AZURE_TENANT_ID', type: 'guid', description: 'Azure AD tenant (default: the tenant of the credential)' },
+    credential:           { env: 'AZURE_CREDENTIAL', type: 'enum', values: Object.keys(CREDENTIALS), description: 'how to authenticate' },
+    clientId:             { env: 'AZURE_CLIENT_ID', type: 'guid', description: 'client ID of the service principal or user-assigned managed identity' },
+    clientSecret:         { env: 'AZURE_CLIENT_SECRET', type: 'string', secret: true, description: 'client secret, for credential "secret"' },
+    certificatePath:      { env: 'AZURE_CLIENT_CERTIFICATE_PATH', type: 'path', description: 'PEM certificate and key, for credential "certificate"' },
+    federatedTokenFile:   { env: 'AZURE_FEDERATED_TOKEN_FILE', type: 'path', description: 'projected service account token, for credential "workloadIdentity"' },
+    azureLocation:        { env: 'AZURE_LOCATION', type: 'string', default: 'westus', description: 'region for new resources' },
+    groupName:            { env: 'AZURE_RESOURCE_GROUP', type: 'string', default: 'azure-sample-group', description: 'resource group for new resources' },
+    vaultName:            { env: 'AZURE_SAMPLE_VAULT_NAME', type: 'string', description: 'existing vault to use instead of creating one' },
+    vaultAuthorization:   { env: 'AZURE_VAULT_AUTHORIZATION', type: 'enum', values: ['accessPolicy', 'rbac'], default: 'accessPolicy', description: 'permission model of new sample vaults' },
+    userAssignedIdentity: { env: 'AZURE_USER_ASSIGNED_IDENTITY_ID', type: 'string', description: 'resource ID of a user-assigned identity for new storage accounts to reach their key with' },
+    sasMaxLifetime:       { env: 'AZURE_SAS_MAX_LIFETIME', type: 'duration', default: '24h', description: 'longest SAS lifetime the organisation allows' },
+    sasAllowHttp:         { env: 'AZURE_SAS_ALLOW_HTTP', type: 'boolean', default: false, description: 'whether SAS tokens may allow http' },
+    stateDir:             { env: 'AZURE_SAMPLE_STATE_DIR', type: 'path', default: '.kv-storage', description: 'local state for rotations and other resumable operations' },
+    propagationTimeout:   { env: 'AZURE_PROPAGATION_TIMEOUT', type: 'duration', default: '5m', description: 'how long to wait for new role assignments and access policies to take effect' },
+    namePrefix:           { env: 'AZURE_NAME_PREFIX', type: 'namePrefix', description: 'prefix or environment tag for generated resource names' },
+    nameSeed:             { env: 'AZURE_NAME_SEED', type: 'string', description: 'seed that makes generated resource names reproducible' },
+    eventsSecret:         { env: 'AZURE_EVENTS_SECRET', type: 'string', secret: true, description: 'shared secret Event Grid must pass as ?code= to the key event webhook' },
+    recording:            { env: 'AZURE_SAMPLE_RECORDING', type: 'path', description: 'file to record the Azure HTTP traffic to, or to replay it from (see recordingMode)' },
+    recordingMode:        { env: 'AZURE_SAMPLE_RECORDING_MODE', type: 'enum', values: Recording.MODES, default: Recording.MODE_REPLAY, description: 'with a recording: record the traffic, or replay it without calling Azure' }
 };
 
-if(process.env['AZURE_SAMPLE_VAULT_NAME']) {
-    config.vaultName = process.env['AZURE_SAMPLE_VAULT_NAME'];
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CONFIG_FILES = ['kv-storage.config.json', 'kv-storage.config.yaml', 'kv-storage.config.yml'];
+
+// Check and normalise one value; `origin` names where it came from for the error message.
+function _validateSetting(name, value, origin) {
+    const setting = settings[name];
+    const fail = (expected) => { throw new ConfigError(util.format('invalid %s from %s: %s, got "%s"', name, origin, expected, value)); };
+    switch(setting.type) {
+        case 'guid':
+            if(!GUID.test(String(value))) { fail('expected a GUID'); }
+            return String(value);
+        case 'enum':
+            if(setting.values.indexOf(value) < 0) { fail('expected one of ' + setting.values.join(', ')); }
+            return value;
+        case 'duration':
+            try { _parseDuration(value); } catch(e) { fail('expected a duration such as 30s, 15m, 12h or 7d'); }
+            return value;
+        case 'boolean':
+            if(typeof value === 'boolean') { return value; }
+            if(['true', 'false'].indexOf(String(value).toLowerCase()) < 0) { fail('expected true or false'); }
+            return String(value).toLowerCase() === 'true';
+        case 'path':
+            if(typeof value !== 'string' || value === '') { fail('expected a path'); }
+            return path.resolve(value);
+        case 'namePrefix':
+            // The prefix must suit every type of resource the sample generates names for.
+            if(typeof value !== 'string' || value === '') { fail('expected a non-empty string'); }
+            ['storageAccount', 'vault'].forEach((type) => {
+                try { Naming.createNameGenerator(type, { prefix: value }); } catch(e) { fail(e.message); }
+            });
+            return value;
+        default:
+            if(typeof value !== 'string' || value === '') { fail('expected a non-empty string'); }
+            return value;
+    }
+}
+
+// Read a JSON or YAML file of settings (chosen by extension).
+function _readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch(e) {
+        throw new ConfigError(util.format('cannot read config file %s: %s', filePath, e.message));
+    }
+    try {
+        const values = /\.ya?ml$/i.test(filePath) ? require('yaml').parse(text) : JSON.parse(text);
+        if(!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error('expected an object of settings');
+        }
+        return values;
+    } catch(e) {
+        throw new ConfigError(util.format('cannot parse config file %s: %s', filePath, e.message));
+    }
+}
+
+// Collect the raw values of every source, lowest priority first, as [{ origin, name, value }].
+function _sources(overrides, env, cwd) {
+    const found = [];
+    Object.keys(settings).forEach((name) => {
+        if(settings[name].default !== undefined) {
+            found.push({ origin: 'defaults', name: name, value: settings[name].default });
+        }
+    });
+
+    const envFile = path.join(cwd, '.env');
+    const dotEnv = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {};
+    [['environment', env], ['.env', dotEnv]].forEach(([origin, values]) => {
+        Object.keys(settings).forEach((name) => {
+            const value = values[settings[name].env];
+            if(value !== undefined && value !== '') {
+                found.push({ origin: origin + ' ' + settings[name].env, name: name, value: value });
+            }
+        });
+    });
+
+    const configPath = (overrides && overrides.configFile) || env['AZURE_SAMPLE_CONFIG'] ||
+        CONFIG_FILES.map((file) => path.join(cwd, file)).find((file) => fs.existsSync(file));
+    if(configPath) {
+        const values = _readConfigFile(path.resolve(cwd, configPath));
+        Object.keys(values).forEach((name) => {
+            if(!settings[name]) {
+                throw new ConfigError(util.format('unknown setting "%s" in config file %s; known settings: %s', name, configPath, Object.keys(settings).join(', ')));
+            }
+            found.push({ origin: 'config file ' + configPath, name: name, value: values[name] });
+        });
+    }
+
+    Object.keys(overrides || {}).forEach((name) => {
+        if(name !== 'configFile' && overrides[name] !== undefined) {
+            if(!settings[name]) {
+                throw new ConfigError(util.format('unknown setting "%s"', name));
+            }
+            found.push({ origin: 'command line', name: name, value: overrides[name] });
+        }
+    });
+    return found;
+}
+
+// Merge and validate the configuration. `overrides` holds command line values by setting name, plus
+// `configFile`. Returns the settings with, in `origins`, where each value came from.
+function _loadConfig(overrides, env, cwd) {
+    const values = {};
+    const origins = {};
+    _sources(overrides, env || process.env, cwd || process.cwd()).forEach((source) => {
+        values[source.name] = _validateSetting(source.name, source.value, source.origin);
+        origins[source.name] = source.origin;
+    });
+    values.origins = origins;
+    return values;
+}
+
+// The working configuration. Derived values are added here; everything else comes from `settings`.
+const config = {};
+
+let loadError = null;
+let operator = null;
+let recorder = null;
+
+// (Re)load the configuration into `config`, with `overrides` taking precedence over every other source.
+// Throws a ConfigError describing the first invalid value.
+function _configure(overrides, env, cwd) {
+    const values = _loadConfig(overrides, env, cwd);
+    Object.keys(config).forEach((name) => { delete config[name]; });
+    Object.assign(config, values, {
+        sasPolicy: {
+            // Organisation-wide limits applied to every SAS the sample issues.
+            maxLifetime: values.sasMaxLifetime,
+            httpsOnly:   !values.sasAllowHttp
+        }
+    });
+    loadError = null;
+    operator = null;
+    recorder = null;
+    return config;
+}
+
+// Check that the named settings are present (and the configuration loaded), before they are needed.
+function _requireSettings(names) {
+    if(loadError) {
+        throw loadError;
+    }
+    const missing = names.filter((name) => config[name] === undefined);
+    if(missing.length > 0) {
+        throw new ConfigError(util.format('missing configuration: %s. Set them in the environment, .env or a config file, e.g. %s',
+            missing.join(', '), missing.map((name) => settings[name].env).join(', ')));
+    }
+}
+
+// The values of `config` as loaded, with secrets masked, for display.
+function _describeConfig() {
+    const result = {};
+    Object.keys(settings).forEach((name) => {
+        if(config[name] !== undefined) {
+            result[name] = { value: settings[name].secret ? '***' : config[name], origin: config.origins[name] };
+        }
+    });
+    return result;
+}
+
+// A configuration error at load time is only reported once the configuration is used,
+// so commands that need no Azure access still work.
+try {
+    _configure();
+} catch(e) {
+    if(!(e instanceof ConfigError)) {
+        throw e;
+    }
+    _configure({}, {}, path.join(__dirname, 'nonexistent'));
+    loadError = e;
+}
+
+// The recorder for the `recording` setting (see recording.js), or null when the sample talks to Azure directly.
+function _getRecorder() {
+    if(loadError) {
+        throw loadError;
+    }
+    if(!recorder && config.recording) {
+        recorder = Recording.createRecorder({ mode: config.recordingMode, file: config.recording });
+    }
+    return recorder;
 }
 
+// SDK client options that route a client's HTTP traffic through the recorder, if any. `legacy` selects the
+// WebResource-style HTTP client of the authorization and blob clients.
+function _clientOptions(legacy) {
+    const current = _getRecorder();
+    if(!current) {
+        return {};
+    }
+    return { httpClient: legacy ? current.legacyHttpClient : current.httpClient };
+}
+
+// Build the credential selected by `config.credential`. Replaying a recording needs no credential.
 function _getManagementCredentials() {
-    // Return service principal credentials based on our config.
-    return new DefaultAzureCredential();
+    const current = _getRecorder();
+    if(current && current.mode === Recording.MODE_REPLAY) {
+        return Recording.replayCredential();
+    }
+    _requireSettings(['credential']);
+    _requireSettings(CREDENTIALS[config.credential].requires);
+    switch(config.credential) {
+        case 'secret':
+            return new ClientSecretCredential(config.tenantId, config.clientId, config.clientSecret);
+        case 'certificate':
+            return new ClientCertificateCredential(config.tenantId, config.clientId, config.certificatePath);
+        case 'managedIdentity':
+            return config.clientId ? new ManagedIdentityCredential(config.clientId) : new ManagedIdentityCredential();
+        case 'workloadIdentity':
+            return new ClientAssertionCredential(config.tenantId, config.clientId,
+                async () => fs.readFileSync(config.federatedTokenFile, 'utf8').trim());
+        default:
+            return new AzureCliCredential(config.tenantId ? { tenantId: config.tenantId } : {});
+    }
+}
+
+// Resolve the object ID and tenant of the identity behind the credential from the claims of its access token.
+async function _getOperator(credential) {
+    if(!operator) {
+        const token = await (credential || _getManagementCredentials()).getToken('https://management.azure.com/.default');
+        const payload = token.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        if(!claims.oid) {
+            throw new Error('the access token of the configured credential has no object ID (oid) claim');
+        }
+        operator = { objectId: claims.oid, tenantId: claims.tid };
+    }
+    return operator;
+}
+
+// Parse a relative duration such as "90s", "15m", "12h" or "7d" into milliseconds.
+// Plain numbers are taken as milliseconds.
+function _parseDuration(value) {
+    if(typeof value === 'number') {
+        return value;
+    }
+    const match = /^(\d+)(ms|s|m|h|d)?$/.exec(String(value).trim());
+    if(!match) {
+        throw new Error(util.format('invalid duration "%s", expected e.g. 30s, 15m, 12h or 7d', value));
+    }
+    const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * units[match[2] || 'ms'];
 }
 
 
-async function _getSampleVault() {
+// Read a JSON state file, returning `fallback` if it does not exist yet.
+function _readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch(e) {
+        if(e.code === 'ENOENT') {
+            return fallback;
+        }
+        throw e;
+    }
+}
+
+// Write a JSON state file atomically so an interrupted run never leaves it half-written.
+// The temporary file is unique to this write, so concurrent writers never write into each other's.
+function _writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = util.format('%s.%d.%s.tmp', filePath, process.pid, crypto.randomBytes(6).toString('hex'));
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+// Get the sample vault, creating it (and its resource group) if needed.
+// Anything created is recorded in `ledger` (see resource_ledger.js) when one is given.
+async function _getSampleVault(ledger) {
     // If we already have a sample vault set up, return it.
     if(config.vault) {
         return config.vault;
     }
     
+    _requireSettings(['subscriptionId']);
     const credentials        = _getManagementCredentials();
-    const kvManagementClient = new KeyVaultManagementClient(credentials, config.subscriptionId);
-    const resourceClient     = new ResourceManagementClient(credentials, config.subscriptionId);
+    const kvManagementClient = Resilience.resilientClient(new KeyVaultManagementClient(credentials, config.subscriptionId, _clientOptions()), { log: console.warn });
+    const resourceClient     = Resilience.resilientClient(new ResourceManagementClient(credentials, config.subscriptionId, _clientOptions()), { log: console.warn });
     
     // If we have specified a sample vault name, use that instead of creating a new one.
     if(config.vaultName) {
@@ -66,8 +361,15 @@ async function _getSampleVault() {
     }
     
     // Ensure we have the sample resource group created.
+    const groupExists = (await resourceClient.resourceGroups.checkExistence(config.groupName)).body;
     await resourceClient.resourceGroups.createOrUpdate(config.groupName, { location: config.azureLocation });
+    if(ledger && !groupExists) {
+        ledger.record({ type: 'resourceGroup', name: config.groupName });
+    }
     
+    const useRbac = config.vaultAuthorization === 'rbac';
+    const { objectId, tenantId } = await _getOperator(credentials);
+
     // Set up the parameters for key vault creation.
     const kvParams = {
         location: config.azureLocation,
@@ -76,37 +378,61 @@ async function _getSampleVault() {
                 family:'A',
                 name: 'standard'
             },
-            accessPolicies: [
+            // RBAC vaults ignore access policies; the operator is granted roles once the vault exists.
+            enableRbacAuthorization: useRbac,
+            accessPolicies: useRbac ? [] : [
                 {
-                    tenantId: config.tenantId,
-                    objectId: config.objectId,
-                    permissions: {
-                        keys:['all'],
-                        secrets: ['get', 'list', 'set', 'delete', 'backup', 'restore', 'recover', 'purge'],
-                        storage: ['get', 'list', 'delete', 'set', 'update', 'regeneratekey', 'recover', 'purge', 'backup', 'restore', 'setsas', 'listsas', 'getsas', 'deletesas']
-                    }
+                    tenantId: config.tenantId || tenantId,
+                    objectId: objectId,
+                    permissions: VaultAccess.SAMPLE_PERMISSIONS
                 }
             ],
             enabledForDeployment: false,
-            tenantId: config.tenantId,
+            tenantId: config.tenantId || tenantId,
             enableSoftDelete: true,
             enablePurgeProtection: true
         },
         tags: {}
     };
     
-    const kvName = random_id();
+    const kvName = await Naming.availableName('vault', { keyVault: kvManagementClient }, { prefix: config.namePrefix, seed: config.nameSeed });
     console.log("Creating sample key vault: " + kvName);
     
     // Create the sample key vault using the KV management client and return it.
     config.vault = await kvManagementClient.vaults.beginCreateOrUpdateAndWait(config.groupName, kvName, kvParams);
+    if(ledger) {
+        ledger.record({ type: 'vault', groupName: config.groupName, name: kvName, location: config.azureLocation, purgeProtection: true });
+    }
+
+    if(useRbac) {
+        const authorizationClient = Resilience.resilientClient(new AuthorizationManagementClient(credentials, config.subscriptionId, _clientOptions(true)), { log: console.warn });
+        const assignments = await VaultAccess.grantOperatorAccess(authorizationClient, config.vault, objectId);
+        if(ledger) {
+            assignments.forEach((assignment) => ledger.record({ type: 'roleAssignment', id: assignment.id }));
+        }
+        console.log("Granted Key Vault Crypto Officer and Secrets Officer roles on the vault to the operator.");
+    }
     return config.vault;
 }
 
 // Export for consumption by sample
 module.exports = {
     config: config,
+    settings: settings,
+    credentials: CREDENTIALS,
+    configure: _configure,
+    loadConfig: _loadConfig,
+    readConfigFile: _readConfigFile,
+    requireSettings: _requireSettings,
+    describeConfig: _describeConfig,
     getSampleVault: _getSampleVault,
     getManagementCredentials: _getManagementCredentials,
+    getRecorder: _getRecorder,
+    clientOptions: _clientOptions,
+    getOperator: _getOperator,
+    parseDuration: _parseDuration,
+    readJsonFile: _readJsonFile,
+    writeJsonFile: _writeJsonFile,
+    ConfigError: ConfigError,
 };
 
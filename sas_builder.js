@@ -0,0 +1,210 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const {
+    AccountSASPermissions,
+    AccountSASResourceTypes,
+    AccountSASServices,
+    BlobSASPermissions,
+    ContainerSASPermissions,
+    SASProtocol,
+    generateBlobSASQueryParameters
+} = require('@azure/storage-blob');
+const SampleUtil = require('./sample_util');
+
+// Builds least-privilege SAS policies from named presets and relative lifetimes, and checks them
+// against the organisation-wide SAS policy in SampleUtil.config.sasPolicy before anything is signed.
+
+// Named least-privilege presets. `services` and `resourceTypes` apply to account SAS only;
+// container and blob SAS use `permissions` and require a blob preset.
+const presets = {
+    'blob-read':        { services: 'b', resourceTypes: 'co', permissions: 'rl', description: 'List containers/blobs and read blobs' },
+    'blob-write':       { services: 'b', resourceTypes: 'co', permissions: 'acw', description: 'Create containers and write blobs, no read or delete' },
+    'blob-read-write':  { services: 'b', resourceTypes: 'co', permissions: 'racwl', description: 'Read, list, create and write blobs, no delete' },
+    'queue-read':       { services: 'q', resourceTypes: 'o', permissions: 'rp', description: 'Peek and process queue messages' },
+    'queue-write-only': { services: 'q', resourceTypes: 'o', permissions: 'a', description: 'Add queue messages only' },
+    'table-read':       { services: 't', resourceTypes: 'o', permissions: 'rl', description: 'Query table entities' },
+    'file-read':        { services: 'f', resourceTypes: 'co', permissions: 'rl', description: 'List shares/directories and read files' }
+};
+
+// The longest lifetime Azure allows for a user delegation key.
+const MAX_USER_DELEGATION_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// Start tokens slightly in the past to tolerate clock skew between this machine and the service.
+const CLOCK_SKEW = 5 * 60 * 1000;
+
+class SasPolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SasPolicyError';
+    }
+}
+
+// Normalise a set of SAS letters with one of the SDK parsers, reporting invalid letters with context.
+function _letters(parser, value, what) {
+    if(!value) {
+        throw new SasPolicyError(util.format('no %s given', what));
+    }
+    try {
+        return parser.parse(value).toString();
+    } catch(e) {
+        throw new SasPolicyError(util.format('invalid %s "%s": %s', what, value, e.message));
+    }
+}
+
+// The letters of `permissions` that `parser` accepts, in order. Preset letters are shared by all SAS kinds, but a
+// blob SAS cannot carry some of them (such as "l", list), so those are left out when a preset is applied to a blob.
+function _supportedLetters(parser, permissions) {
+    return String(permissions || '').split('').filter((letter) => {
+        try {
+            parser.parse(letter);
+            return true;
+        } catch(e) {
+            return false;
+        }
+    }).join('');
+}
+
+// Build a validated SAS policy.
+//
+// spec.preset         name of a preset in `presets`
+// spec.services, spec.resourceTypes, spec.permissions
+//                     override the preset's letters
+// spec.lifetime       relative lifetime, e.g. "1h" (default 1h)
+// spec.allowHttp      request https,http instead of https only
+// spec.kind           "account" (default), "container" or "blob"
+// orgPolicy           overrides SampleUtil.config.sasPolicy ({ maxLifetime, httpsOnly })
+// now                 clock override, returns the current time in milliseconds
+function buildSasPolicy(spec, orgPolicy, now) {
+    spec = spec || {};
+    orgPolicy = Object.assign({}, SampleUtil.config.sasPolicy, orgPolicy);
+    now = (now || Date.now)();
+
+    let preset = {};
+    if(spec.preset) {
+        preset = presets[spec.preset];
+        if(!preset) {
+            throw new SasPolicyError(util.format('unknown SAS preset "%s", expected one of: %s', spec.preset, Object.keys(presets).join(', ')));
+        }
+    }
+
+    const kind = spec.kind || 'account';
+    const policy = { kind: kind };
+    const permissions = spec.permissions || preset.permissions;
+    if(kind === 'account') {
+        policy.services = _letters(AccountSASServices, spec.services || preset.services, 'services');
+        policy.resourceTypes = _letters(AccountSASResourceTypes, spec.resourceTypes || preset.resourceTypes, 'resource types');
+        policy.permissions = _letters(AccountSASPermissions, permissions, 'account SAS permissions');
+    } else {
+        if(preset.services && preset.services !== 'b') {
+            throw new SasPolicyError(util.format('preset "%s" is not a blob preset and cannot be used for a %s SAS', spec.preset, kind));
+        }
+        if(kind !== 'container' && kind !== 'blob') {
+            throw new SasPolicyError(util.format('unknown SAS kind "%s", expected account, container or blob', kind));
+        }
+        const parser = kind === 'blob' ? BlobSASPermissions : ContainerSASPermissions;
+        // Explicit letters must all be valid; a preset's are narrowed to what this kind of SAS supports.
+        policy.permissions = _letters(parser, spec.permissions || _supportedLetters(parser, preset.permissions), kind + ' SAS permissions');
+    }
+
+    const lifetime = SampleUtil.parseDuration(spec.lifetime || '1h');
+    const maxLifetime = SampleUtil.parseDuration(orgPolicy.maxLifetime);
+    if(lifetime <= 0) {
+        throw new SasPolicyError('SAS lifetime must be positive');
+    }
+    if(lifetime > maxLifetime) {
+        throw new SasPolicyError(util.format('SAS lifetime %s exceeds the maximum of %s', spec.lifetime, orgPolicy.maxLifetime));
+    }
+    if(spec.allowHttp && orgPolicy.httpsOnly) {
+        throw new SasPolicyError('SAS over http is not allowed by the organisation SAS policy');
+    }
+
+    policy.lifetime = lifetime;
+    policy.protocol = spec.allowHttp ? SASProtocol.HttpsAndHttp : SASProtocol.Https;
+    policy.startsOn = new Date(now - CLOCK_SKEW);
+    policy.expiresOn = new Date(now + lifetime);
+    return policy;
+}
+
+// Storage account tag listing the presets (comma-separated) SAS may be issued from for that account.
+// Accounts without the tag accept any preset; the tag is managed through the manifest's `sasPresets`.
+const PRESETS_TAG = 'kv-storage-sas-presets';
+
+// The presets allowed for a storage account, or undefined if any preset (or custom letters) may be used.
+function allowedPresets(storageAccount) {
+    const tag = storageAccount.tags && storageAccount.tags[PRESETS_TAG];
+    return tag === undefined ? undefined : tag.split(',').map((name) => name.trim()).filter((name) => name);
+}
+
+// Check that `spec` issues a SAS from one of the account's allowed presets, without overriding its letters.
+function assertPresetAllowed(spec, storageAccount) {
+    const allowed = allowedPresets(storageAccount);
+    if(!allowed) {
+        return;
+    }
+    if(!spec.preset || allowed.indexOf(spec.preset) < 0) {
+        throw new SasPolicyError(util.format('storage account %s only allows SAS from the presets: %s', storageAccount.name, allowed.join(', ') || '(none)'));
+    }
+    if(spec.services || spec.resourceTypes || spec.permissions) {
+        throw new SasPolicyError(util.format('storage account %s does not allow overriding the letters of SAS presets', storageAccount.name));
+    }
+}
+
+// Parameters for StorageAccounts.listAccountSAS.
+function toAccountSasParameters(policy, keyToSign) {
+    return {
+        keyToSign: keyToSign,
+        sharedAccessStartTime: policy.startsOn,
+        sharedAccessExpiryTime: policy.expiresOn,
+        protocols: policy.protocol,
+        services: policy.services,
+        resourceTypes: policy.resourceTypes,
+        permissions: policy.permissions
+    };
+}
+
+// Parameters for StorageAccounts.listServiceSAS on a container or blob.
+function toServiceSasParameters(policy, accountName, containerName, blobName, keyToSign) {
+    return {
+        canonicalizedResource: `/blob/${accountName}/${containerName}` + (blobName ? `/${blobName}` : ''),
+        resource: blobName ? 'b' : 'c',
+        keyToSign: keyToSign,
+        sharedAccessStartTime: policy.startsOn,
+        sharedAccessExpiryTime: policy.expiresOn,
+        protocols: policy.protocol,
+        permissions: policy.permissions
+    };
+}
+
+// Sign a container or blob SAS with a user delegation key obtained through Azure AD, so no account key is involved.
+function signUserDelegationSas(policy, userDelegationKey, accountName, containerName, blobName) {
+    if(policy.lifetime > MAX_USER_DELEGATION_LIFETIME) {
+        throw new SasPolicyError('user delegation SAS cannot be valid for more than 7 days');
+    }
+    const permissions = blobName ? BlobSASPermissions.parse(policy.permissions) : ContainerSASPermissions.parse(policy.permissions);
+    return generateBlobSASQueryParameters({
+        containerName: containerName,
+        blobName: blobName,
+        permissions: permissions,
+        protocol: policy.protocol,
+        startsOn: policy.startsOn,
+        expiresOn: policy.expiresOn
+    }, userDelegationKey, accountName).toString();
+}
+
+module.exports = {
+    presets: presets,
+    PRESETS_TAG: PRESETS_TAG,
+    buildSasPolicy: buildSasPolicy,
+    allowedPresets: allowedPresets,
+    assertPresetAllowed: assertPresetAllowed,
+    toAccountSasParameters: toAccountSasParameters,
+    toServiceSasParameters: toServiceSasParameters,
+    signUserDelegationSas: signUserDelegationSas,
+    SasPolicyError: SasPolicyError,
+};
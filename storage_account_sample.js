@@ -5,182 +5,728 @@
  */
 'use strict';
 
+const fs = require('fs');
+const StreamPromises = require('stream/promises');
 const SampleUtil = require('./sample_util');
+const SasBuilder = require('./sas_builder');
+const CmkLifecycle = require('./cmk_lifecycle');
+const ManagedIdentity = require('./managed_identity');
+const VaultAccess = require('./vault_access');
+const ResourceLedger = require('./resource_ledger');
+const Naming = require('./naming');
+const Resilience = require('./resilience');
+const EnvelopeEncryption = require('./envelope_encryption');
 const { StorageManagementClient } = require('@azure/arm-storage');
-const { KeyClient } = require("@azure/keyvault-keys");
+const { KeyClient, CryptographyClient } = require("@azure/keyvault-keys");
+const { SecretClient } = require("@azure/keyvault-secrets");
 const { BlobServiceClient } = require("@azure/storage-blob");
 const { AuthorizationManagementClient } = require('@azure/arm-authorization');
 const { KeyVaultManagementClient } = require('@azure/arm-keyvault');
-const uuidv4 = require('uuid/v4');
+const { ResourceManagementClient } = require('@azure/arm-resources');
 
-// Create a storage management client credentials
-const credential = SampleUtil.getManagementCredentials();
+// Build the set of Azure SDK clients used by every step of the sample.
+// Callers using these steps as a library can pass their own clients (or fakes) via `options.clients`.
+// Every call through these clients is retried on transient and throttling errors (see resilience.js);
+// `options.log` receives the retry messages (default console.warn).
+// `options.recorder` records or replays the HTTP traffic of every client (see recording.js).
+function createClients(credential, subscriptionId, options) {
+    const retryOptions = { log: (options && options.log) || console.warn };
+    const resilient = (client) => Resilience.resilientClient(client, retryOptions);
+    const recorder = options && options.recorder;
+    const clientOptions = recorder ? { httpClient: recorder.httpClient } : {};
+    const legacyClientOptions = recorder ? { httpClient: recorder.legacyHttpClient } : {};
+    return {
+        credential: credential,
+        storage: resilient(new StorageManagementClient(credential, subscriptionId, clientOptions)),
+        authorization: resilient(new AuthorizationManagementClient(credential, subscriptionId, legacyClientOptions)),
+        keyVault: resilient(new KeyVaultManagementClient(credential, subscriptionId, clientOptions)),
+        resources: resilient(new ResourceManagementClient(credential, subscriptionId, clientOptions)),
+        directory: resilient(new VaultAccess.DirectoryClient(credential, clientOptions)),
+        keys: (vaultUri) => resilient(new KeyClient(vaultUri, credential, clientOptions)),
+        cryptography: (keyId) => resilient(new CryptographyClient(keyId, credential, clientOptions)),
+        secrets: (vaultUri) => resilient(new SecretClient(vaultUri, credential, clientOptions)),
+        blobService: (url, blobCredential) => resilient(new BlobServiceClient(url, blobCredential, legacyClientOptions))
+    };
+}
+
+let defaultClients = null;
+
+// Lazily create the module-level clients from the sample configuration.
+function getClients() {
+    if(!defaultClients) {
+        SampleUtil.requireSettings(['subscriptionId']);
+        defaultClients = createClients(SampleUtil.getManagementCredentials(), SampleUtil.config.subscriptionId, { recorder: SampleUtil.getRecorder() });
+    }
+    return defaultClients;
+}
+
+// Replace the module-level clients, e.g. with clients built from a different credential.
+function setClients(clients) {
+    defaultClients = clients;
+}
+
+// Resolve the common step options: clients, resource group, logger and the ledger that records created resources.
+function _resolveOptions(options) {
+    options = options || {};
+    return Object.assign({}, options, {
+        clients: options.clients || getClients(),
+        groupName: options.groupName || SampleUtil.config.groupName,
+        log: options.log || console.log,
+        ledger: options.ledger || ResourceLedger.noLedger
+    });
+}
 
-const storageMgmtClient = new StorageManagementClient(credential, SampleUtil.config.subscriptionId);
-const authorizationMgmtClient = new AuthorizationManagementClient(credential, SampleUtil.config.subscriptionId);
+// Create a storage account with a managed identity and switch it to a customer-managed key in `vault`.
+//
+// options.accountName           name of the new account (default: a generated, available name)
+// options.location              region (default: the configured azureLocation)
+// options.sku, options.kind     default Standard_RAGRS and StorageV2
+// options.allowSharedKeyAccess  set to false to disable account key (and account key SAS) access
+// options.tags                  tags for the new account
+// Any other options are passed on to attachCustomerManagedKey.
+async function addStorageAccount(vault, options) {
+    const opts = _resolveOptions(options);
+    const { clients, groupName, log, ledger } = opts;
+    const accountName = opts.accountName ||
+        await Naming.availableName('storageAccount', clients, { prefix: SampleUtil.config.namePrefix, seed: SampleUtil.config.nameSeed });
+    const identity = ManagedIdentity.validateIdentityOptions(opts.identity ||
+        (SampleUtil.config.userAssignedIdentity ? { userAssignedIdentity: SampleUtil.config.userAssignedIdentity } : undefined));
 
-async function addStorageAccount(vault) {
-    console.log("Creating storage account: " + SampleUtil.config.storageAccName);
+    log("Creating storage account: " + accountName);
     const createParams = {
-        location: SampleUtil.config.azureLocation,
+        location: opts.location || SampleUtil.config.azureLocation,
         sku: {
-            name: 'Standard_RAGRS'
-        },
-        kind: 'StorageV2',
-        identity: {
-            type: "SystemAssigned"
+            name: opts.sku || 'Standard_RAGRS'
         },
-        tags: {}
-        
+        kind: opts.kind || 'StorageV2',
+        identity: ManagedIdentity.accountIdentity(identity),
+        tags: opts.tags || {}
+
     };
-    
-    const storageAccount = await storageMgmtClient.storageAccounts.beginCreateAndWait(SampleUtil.config.groupName, SampleUtil.config.storageAccName, createParams);
+    if(opts.allowSharedKeyAccess !== undefined) {
+        createParams.allowSharedKeyAccess = opts.allowSharedKeyAccess;
+    }
+
+    const storageAccount = await clients.storage.storageAccounts.beginCreateAndWait(groupName, accountName, createParams);
+    ledger.record({ type: 'storageAccount', groupName: groupName, name: accountName });
 
-    // Find the ID for the "Storage Account Key Operator Service Role" role
-    const roleList = await authorizationMgmtClient.roleDefinitions.list('/', { 
-        'filter': "roleName eq 'Storage Account Key Operator Service Role'"
+    // Grant the "Storage Account Key Operator Service Role" role to the Azure Key Vault service ID
+    const assignment = await VaultAccess.assignRole(clients.authorization, storageAccount.id, 'Storage Account Key Operator Service Role', '93c27d83-f79b-4cb2-8dd4-4aa716542e74');
+    if(assignment) {
+        ledger.record({ type: 'roleAssignment', id: assignment.id });
+    }
+    log('Granted role "Storage Account Key Operator Service Role" to Key Vault on storage account');
+
+    await attachCustomerManagedKey(storageAccount, vault, Object.assign({}, opts, { keyName: opts.keyName || 'key1', identity: identity }));
+    return storageAccount;
+
+}
+
+// Grant the storage account's identity access to the vault, create a key and switch the account to customer-managed keys.
+//
+// options.keyName         key vault key to use, created if missing (default key1)
+// options.key             { keyType: 'RSA' | 'RSA-HSM', keySize } for a new key
+// options.versioning      CmkLifecycle.VERSIONING_AUTO (default) or VERSIONING_PINNED
+// options.rotationPolicy  { expiresIn, rotateBeforeExpiry, notifyBeforeExpiry }, or false to leave the key's policy alone
+// options.identity        { userAssignedIdentity, federatedClientId } to use a user-assigned identity (see managed_identity.js)
+// options.keyVersion      with a federated (cross-tenant) key, the version to pin to
+async function attachCustomerManagedKey(storageAccount, vault, options) {
+    const { clients, groupName, log, ledger } = _resolveOptions(options);
+    const keyName = (options && options.keyName) || 'key1';
+    const versioning = (options && options.versioning) || CmkLifecycle.VERSIONING_AUTO;
+    const rotationPolicy = options && options.rotationPolicy === false ? false : Object.assign({}, CmkLifecycle.DEFAULT_ROTATION_POLICY, options && options.rotationPolicy);
+    const identity = ManagedIdentity.validateIdentityOptions(options && options.identity);
+
+    storageAccount = await _ensureIdentity(storageAccount, identity, { clients, groupName, log });
+
+    if(ManagedIdentity.isCrossTenant(identity)) {
+        // The key lives in another tenant: its owner grants the federated application access, and this
+        // sample's credential cannot create or inspect the key, so the account is pointed at it directly.
+        if(versioning === CmkLifecycle.VERSIONING_PINNED && !options.keyVersion) {
+            throw new Error('pinning a cross-tenant key requires its key version');
+        }
+        const remoteKey = { name: keyName, id: `${vault.properties.vaultUri.replace(/\/$/, '')}/keys/${keyName}`, properties: { version: options.keyVersion || '' } };
+        _recordEncryptionChange(ledger, groupName, storageAccount);
+        await _switchEncryption(clients, groupName, storageAccount,
+            CmkLifecycle.encryptionParameters(vault.properties.vaultUri, remoteKey, versioning, ManagedIdentity.encryptionIdentity(identity)), log);
+        log(`Storage account ${storageAccount.name} now uses cross-tenant key ${remoteKey.id} through federated client ${identity.federatedClientId}`);
+        return _cmkResult(storageAccount, vault, remoteKey, versioning);
+    }
+
+    const key = await _prepareKey(storageAccount, vault, keyName, { identity: identity, rotationPolicy: rotationPolicy, key: options && options.key }, { clients, groupName, log, ledger });
+    CmkLifecycle.assertKeyUsable(key);
+
+    // update storage client to use Customer-managed keys
+    _recordEncryptionChange(ledger, groupName, storageAccount);
+    await _switchEncryption(clients, groupName, storageAccount,
+        CmkLifecycle.encryptionParameters(vault.properties.vaultUri, key, versioning, ManagedIdentity.encryptionIdentity(identity)), log);
+
+    log("Added storage account to vault.");
+    return _cmkResult(storageAccount, vault, key, versioning);
+}
+
+// An existing account may not have the requested managed identity yet; one is required to reach the vault.
+// Returns the account with the identity.
+async function _ensureIdentity(storageAccount, identity, steps) {
+    const { clients, groupName, log } = steps;
+    const identityUpdate = ManagedIdentity.identityUpdate(storageAccount, identity);
+    if(!identityUpdate) {
+        return storageAccount;
+    }
+    storageAccount = await clients.storage.storageAccounts.update(groupName, storageAccount.name, {
+        identity: identityUpdate
     });
-    const roleAssignmentParams = {
-        roleDefinitionId: roleList[0].id,
-        principalId: '93c27d83-f79b-4cb2-8dd4-4aa716542e74' // The Azure Key Vault Service ID
+    log(`Assigned ${identity && identity.userAssignedIdentity ? 'user-assigned identity ' + identity.userAssignedIdentity : 'a system identity'} to storage account ${storageAccount.name}`);
+    return storageAccount;
+}
+
+// Create `keyName` in `vault`, or reuse it, without granting anyone access to it yet. Returns the key.
+// A key this creates is recorded in options.ledger.
+//
+// options.key             key type and size, as for attachCustomerManagedKey
+// options.rotationPolicy  as for attachCustomerManagedKey; a new key expires after its expiresIn
+async function ensureCustomerManagedKey(vault, keyName, options) {
+    const { clients, log, ledger } = _resolveOptions(options);
+    const rotationPolicy = options.rotationPolicy === false ? false : Object.assign({}, CmkLifecycle.DEFAULT_ROTATION_POLICY, options.rotationPolicy);
+    // On a new RBAC vault the operator's roles may still be propagating.
+    const { key, created } = await Resilience.waitUntilReady(`the operator can use keys in ${vault.properties.vaultUri}`,
+        () => CmkLifecycle.ensureKey(clients.keys(vault.properties.vaultUri), keyName, Object.assign({}, options.key, {
+            expiresIn: rotationPolicy ? rotationPolicy.expiresIn : undefined
+        })), _propagationOptions(log));
+    if(created) {
+        ledger.record({ type: 'key', vaultUri: vault.properties.vaultUri, name: keyName, purgeProtection: !!vault.properties.enablePurgeProtection });
+    }
+    return key;
+}
+
+// Create `keyName` (or reuse it), set its rotation policy and let the account's identity use it: the part of
+// switching to a customer-managed key that encryption scopes share. Returns the key.
+// `settings` holds the identity, rotationPolicy and key options, as for attachCustomerManagedKey.
+async function _prepareKey(storageAccount, vault, keyName, settings, steps) {
+    const { clients, groupName, log, ledger } = steps;
+    const { identity, rotationPolicy } = settings;
+    const keyClient = clients.keys(vault.properties.vaultUri);
+    const key = await ensureCustomerManagedKey(vault, keyName, { key: settings.key, rotationPolicy: rotationPolicy, clients, log, ledger });
+    if(rotationPolicy) {
+        await CmkLifecycle.applyRotationPolicy(keyClient, keyName, rotationPolicy);
+        log(`Set rotation policy on key ${keyName}: expires after ${rotationPolicy.expiresIn}, rotates ${rotationPolicy.rotateBeforeExpiry} before expiry`);
+    }
+
+    // Allow the account's identity to use the key, through an access policy or a role assignment on RBAC vaults
+    const grant = await VaultAccess.grantStorageKeyAccess(clients, vault, ManagedIdentity.principalIdFor(storageAccount, identity), keyName, groupName, _propagationOptions(log));
+    if(grant.assignment) {
+        ledger.record({ type: 'roleAssignment', id: grant.assignment.id });
+    }
+    if(grant.entry) {
+        ledger.record({
+            type: 'accessPolicy',
+            groupName: VaultAccess.resourceGroupOf(vault) || groupName,
+            vaultName: vault.name,
+            tenantId: grant.entry.tenantId,
+            objectId: grant.entry.objectId,
+            permissions: grant.entry.permissions
+        });
+    }
+    log(grant.mode === 'rbac' ? `Granted "${grant.role}" on ${grant.scope}.` : "Granted user access to vault.");
+
+    return key;
+}
+
+async function updateStorageAccount(storageAccount, vault, options) {
+    return rotateCustomerManagedKey(storageAccount, vault, options);
+}
+
+// Create a new version of the storage account's customer-managed key.
+// Accounts pinned to a key version are re-pointed at the new version; auto-following accounts pick it up by themselves.
+//
+// options.keyName     key to rotate (default: the account's current key, else key1)
+// options.versioning  switch the account to VERSIONING_AUTO or VERSIONING_PINNED (default: keep the current mode)
+async function rotateCustomerManagedKey(storageAccount, vault, options) {
+    const { clients, groupName, log } = _resolveOptions(options);
+    const current = (storageAccount.encryption && storageAccount.encryption.keyVaultProperties) || {};
+    const keyName = (options && options.keyName) || current.keyName || 'key1';
+    const versioning = (options && options.versioning) || CmkLifecycle.versioningOf(storageAccount);
+
+    // create a new version of the key in keyvault and update storage customer-managed keys
+    const key = CmkLifecycle.assertKeyUsable(await CmkLifecycle.rotateKey(clients.keys(vault.properties.vaultUri), keyName));
+    log(`Created version ${key.properties.version} of key ${keyName}`);
+
+    if(versioning === CmkLifecycle.VERSIONING_PINNED || current.keyName !== keyName || CmkLifecycle.versioningOf(storageAccount) !== versioning) {
+        // Keep the identity the account already uses to reach the key.
+        await _switchEncryption(clients, groupName, storageAccount,
+            CmkLifecycle.encryptionParameters(vault.properties.vaultUri, key, versioning, storageAccount.encryption && storageAccount.encryption.encryptionIdentity), log);
+    }
+
+    log("Storage account " + storageAccount.name + " now encrypted with key " + keyName + (versioning === CmkLifecycle.VERSIONING_PINNED ? " version " + key.properties.version : " (latest version)"));
+    return _cmkResult(storageAccount, vault, key, versioning);
+}
+
+// Point an account that is pinned to a key version at `key`, another version of the key it uses, keeping the identity
+// it reaches the key with. Used when a key is rotated outside the sample, e.g. by its Key Vault rotation policy.
+async function pinKeyVersion(storageAccount, vaultUri, key, options) {
+    const { clients, groupName, log } = _resolveOptions(options);
+    CmkLifecycle.assertKeyUsable(key);
+    await _switchEncryption(clients, groupName, storageAccount,
+        CmkLifecycle.encryptionParameters(vaultUri, key, CmkLifecycle.VERSIONING_PINNED, storageAccount.encryption && storageAccount.encryption.encryptionIdentity), log);
+    log(`Storage account ${storageAccount.name} now pinned to version ${key.properties.version} of key ${key.name}`);
+    return _cmkResult(storageAccount, { properties: { vaultUri: vaultUri } }, key, CmkLifecycle.VERSIONING_PINNED);
+}
+
+// Create an encryption scope backed by its own key in `vault`, so that data written with the scope (such as the
+// containers of one tenant) is encrypted with that key instead of the account's. The key is created and the account's
+// identity is granted access to it the same way as for attachCustomerManagedKey. An existing scope is re-pointed at the
+// key and enabled.
+//
+// options.keyName   key vault key for the scope (default: the scope name)
+// options.key, options.versioning, options.rotationPolicy, options.identity  as for attachCustomerManagedKey
+// options.requireInfrastructureEncryption  add a second layer of platform-managed encryption (new scopes only)
+async function addEncryptionScope(storageAccount, vault, scopeName, options) {
+    const { clients, groupName, log, ledger } = _resolveOptions(options);
+    Naming.validateName('encryptionScope', scopeName);
+    const keyName = (options && options.keyName) || scopeName;
+    const versioning = (options && options.versioning) || CmkLifecycle.VERSIONING_AUTO;
+    const rotationPolicy = options && options.rotationPolicy === false ? false : Object.assign({}, CmkLifecycle.DEFAULT_ROTATION_POLICY, options && options.rotationPolicy);
+    const identity = ManagedIdentity.validateIdentityOptions(options && options.identity);
+    if(ManagedIdentity.isCrossTenant(identity)) {
+        throw new Error('encryption scopes can only use keys this sample can grant access to, not cross-tenant keys');
+    }
+
+    storageAccount = await _ensureIdentity(storageAccount, identity, { clients, groupName, log });
+    const key = CmkLifecycle.assertKeyUsable(await _prepareKey(storageAccount, vault, keyName,
+        { identity: identity, rotationPolicy: rotationPolicy, key: options && options.key }, { clients, groupName, log, ledger }));
+
+    const existing = await _getEncryptionScope(clients, groupName, storageAccount, scopeName);
+    ledger.record({ type: 'encryptionScope', groupName: groupName, accountName: storageAccount.name, name: scopeName, previous: existing ? _scopeSettings(existing) : null });
+    const parameters = CmkLifecycle.encryptionScopeParameters(vault.properties.vaultUri, key, versioning,
+        existing ? undefined : options && options.requireInfrastructureEncryption);
+    await _putEncryptionScope(clients, groupName, storageAccount, scopeName, parameters, !existing, log);
+
+    log(`Encryption scope ${scopeName} on ${storageAccount.name} now uses key ${keyName}` + (versioning === CmkLifecycle.VERSIONING_PINNED ? ` version ${key.properties.version}` : ' (latest version)'));
+    return _scopeResult(storageAccount, scopeName, parameters);
+}
+
+// Create a new version of an encryption scope's key. Scopes pinned to a key version are re-pointed at the new version;
+// scopes with a versionless key URI pick it up by themselves.
+//
+// options.versioning  switch the scope to VERSIONING_AUTO or VERSIONING_PINNED (default: keep the current mode)
+async function rotateEncryptionScopeKey(storageAccount, scopeName, options) {
+    const { clients, groupName, log } = _resolveOptions(options);
+    const scope = await clients.storage.encryptionScopes.get(groupName, storageAccount.name, scopeName);
+    if(!/^Microsoft\.KeyVault$/i.test(scope.source || '') || !scope.keyVaultProperties) {
+        throw new Error(`encryption scope ${scopeName} on ${storageAccount.name} uses Microsoft-managed keys and has no key to rotate`);
+    }
+    const current = CmkLifecycle.parseKeyUri(scope.keyVaultProperties.keyUri);
+    const currentVersioning = current.keyVersion ? CmkLifecycle.VERSIONING_PINNED : CmkLifecycle.VERSIONING_AUTO;
+    const versioning = (options && options.versioning) || currentVersioning;
+
+    const key = CmkLifecycle.assertKeyUsable(await CmkLifecycle.rotateKey(clients.keys(current.vaultUri), current.keyName));
+    log(`Created version ${key.properties.version} of key ${current.keyName}`);
+
+    // Rotating keeps a disabled scope disabled.
+    const parameters = Object.assign(CmkLifecycle.encryptionScopeParameters(current.vaultUri, key, versioning), { state: scope.state });
+    if(versioning === CmkLifecycle.VERSIONING_PINNED || currentVersioning !== versioning) {
+        await _putEncryptionScope(clients, groupName, storageAccount, scopeName, parameters, false, log);
+    }
+    log(`Encryption scope ${scopeName} on ${storageAccount.name} now uses key ${current.keyName}` + (versioning === CmkLifecycle.VERSIONING_PINNED ? ` version ${key.properties.version}` : ' (latest version)'));
+    return _scopeResult(storageAccount, scopeName, parameters);
+}
+
+// Enable or disable one encryption scope. While a scope is disabled, reads and writes that use it fail; other scopes
+// and the rest of the account are not affected. Scopes cannot be deleted, only disabled.
+async function setEncryptionScopeState(storageAccount, scopeName, enabled, options) {
+    const { clients, groupName, log } = _resolveOptions(options);
+    const state = enabled ? 'Enabled' : 'Disabled';
+    const scope = await clients.storage.encryptionScopes.patch(groupName, storageAccount.name, scopeName, { state: state });
+    log(`${enabled ? 'Enabled' : 'Disabled'} encryption scope ${scopeName} on ${storageAccount.name}`);
+    return _scopeResult(storageAccount, scopeName, scope);
+}
+
+// List the encryption scopes of the account.
+async function listEncryptionScopes(storageAccount, options) {
+    const { clients, groupName } = _resolveOptions(options);
+    const scopes = [];
+    for await (const scope of clients.storage.encryptionScopes.list(groupName, storageAccount.name)) {
+        scopes.push(_scopeResult(storageAccount, scope.name, scope));
+    }
+    return scopes;
+}
+
+// Create a blob container. With `options.encryptionScope` its blobs are encrypted with that scope by default, and
+// writes cannot choose another scope unless `options.allowEncryptionScopeOverride` is set.
+async function createContainer(storageAccount, containerName, options) {
+    const { clients, groupName, log, ledger } = _resolveOptions(options);
+    Naming.validateName('container', containerName);
+    const scopeName = options && options.encryptionScope;
+    const parameters = {};
+    if(scopeName) {
+        parameters.defaultEncryptionScope = scopeName;
+        parameters.denyEncryptionScopeOverride = !options.allowEncryptionScopeOverride;
+    }
+
+    await clients.storage.blobContainers.create(groupName, storageAccount.name, containerName, parameters);
+    ledger.record({ type: 'container', groupName: groupName, accountName: storageAccount.name, name: containerName });
+    log(`Created container ${containerName} in ${storageAccount.name}` + (scopeName ? ` with default encryption scope ${scopeName}` : ''));
+    return {
+        storageAccount: storageAccount.name,
+        container: containerName,
+        encryptionScope: scopeName || null,
+        denyEncryptionScopeOverride: !!parameters.denyEncryptionScopeOverride
     };
-    const roleAssignmentName = uuidv4(); // UUID for the name of the role assignment
-    
+}
+
+async function _getEncryptionScope(clients, groupName, storageAccount, scopeName) {
     try {
-        await authorizationMgmtClient.roleAssignments.create(storageAccount.id, roleAssignmentName, roleAssignmentParams);
-        console.log('Granted role "Storage Account Key Operator Service Role" to Key Vault on storage account');
+        return await clients.storage.encryptionScopes.get(groupName, storageAccount.name, scopeName);
     } catch(e) {
-        if(e.code != 'RoleAssignmentExists') {
-            throw e;
+        if(e.statusCode === 404) {
+            return null;
         }
+        throw e;
     }
-        
-    // We now can grant the user access to the vault using an AKV management client with service principal credentials.
-    const kvManagementClient = new KeyVaultManagementClient(SampleUtil.getManagementCredentials(), SampleUtil.config.subscriptionId);
-    
-    // An access policy entry allowing the user access to all storage/secret permissions on the vault
-    const accessPolicyEntry = {
-        tenantId: SampleUtil.config.tenantId,
-        objectId: storageAccount.identity.principalId,
-        permissions: {
-            keys: ['all'],
-            secrets: ['get', 'list', 'set', 'delete', 'backup', 'restore', 'recover', 'purge'],
-            storage: ['get', 'list', 'delete', 'set', 'update', 'regeneratekey', 'recover', 'purge', 'backup', 'restore', 'setsas', 'listsas', 'getsas', 'deletesas']
-        }
+}
+
+// Create or update an encryption scope. Storage checks that the account's identity can use the key while doing so,
+// so like _switchEncryption the call waits for a new access grant to take effect.
+async function _putEncryptionScope(clients, groupName, storageAccount, scopeName, parameters, create, log) {
+    await Resilience.waitUntilReady(`encryption scope ${scopeName} on ${storageAccount.name} can use key ${parameters.keyVaultProperties.keyUri}`,
+        () => clients.storage.encryptionScopes[create ? 'put' : 'patch'](groupName, storageAccount.name, scopeName, parameters).then(() => true),
+        Object.assign(_propagationOptions(log), { classify: _classifyKeyAccessError }));
+}
+
+// The settings of an existing scope that a rollback restores.
+function _scopeSettings(scope) {
+    const settings = { source: scope.source, state: scope.state };
+    if(scope.keyVaultProperties && scope.keyVaultProperties.keyUri) {
+        settings.keyVaultProperties = { keyUri: scope.keyVaultProperties.keyUri };
+    }
+    return settings;
+}
+
+function _scopeResult(storageAccount, scopeName, scope) {
+    return {
+        storageAccount: storageAccount.name,
+        encryptionScope: scopeName,
+        state: scope.state,
+        source: scope.source,
+        keyUri: (scope.keyVaultProperties && scope.keyVaultProperties.keyUri) || null
     };
-    vault.properties.accessPolicies.push(accessPolicyEntry);
-    
-    await kvManagementClient.vaults.beginCreateOrUpdateAndWait(SampleUtil.config.groupName, vault.name, vault);
-    
-    console.log("Granted user access to vault.");
-    // create a key
-    const keysClient = new KeyClient(vault.properties.vaultUri,credential);
-    await keysClient.createKey("key1",'RSA');
+}
 
-    // update storage client to use Customer-managed keys
-    await storageMgmtClient.storageAccounts.update(SampleUtil.config.groupName,storageAccount.name,{
-        encryption:{
-            keySource:"Microsoft.Keyvault",
-            keyVaultProperties:{
-                keyName:'key1',
-                keyVaultUri:vault.properties.vaultUri
-            },
-            services: {
-                blob: { enabled: true, keyType: "Account" }
-            }
-        },
-        
-    })
-    
-    console.log("Added storage account to vault.");
-    return storageAccount;
+// How long to wait for new role assignments and access policies to take effect.
+function _propagationOptions(log) {
+    return { timeout: SampleUtil.parseDuration(SampleUtil.config.propagationTimeout), log: log };
+}
 
+// Storage reports a key it cannot reach with a KeyVault* error code; only those are worth waiting for here.
+function _classifyKeyAccessError(e) {
+    if(/^KeyVault/.test(Resilience.errorCode(e) || '')) {
+        return Resilience.PROPAGATION_PENDING;
+    }
+    const kind = Resilience.classifyError(e);
+    return kind === Resilience.PROPAGATION_PENDING ? Resilience.FATAL : kind;
 }
-async function updateStorageAccount(storageAccount, vault) {
 
-    // create a new key in keyvault and update storage customer-managed keys 
-    const keysClient = new KeyClient(vault.properties.vaultUri,credential);
+// Point the account at a customer-managed key. Storage wraps the account encryption key with the account's identity
+// as part of the update, so the update doubles as the readiness check that the identity can wrap with the key.
+async function _switchEncryption(clients, groupName, storageAccount, parameters, log) {
+    const keyVaultProperties = parameters.encryption.keyVaultProperties;
+    await Resilience.waitUntilReady(`storage account ${storageAccount.name} can wrap with key ${keyVaultProperties.keyName} in ${keyVaultProperties.keyVaultUri}`,
+        () => clients.storage.storageAccounts.update(groupName, storageAccount.name, parameters).then(() => true),
+        Object.assign(_propagationOptions(log), { classify: _classifyKeyAccessError }));
+}
 
-    await keysClient.createKey("key2",'RSA');
-    await storageMgmtClient.storageAccounts.update(SampleUtil.config.groupName,storageAccount.name,{
-        encryption:{
-            keySource:"Microsoft.Keyvault",
-            keyVaultProperties:{
-                keyName:'key2',
-                keyVaultUri:vault.properties.vaultUri
-            },
-            services: {
-                blob: { enabled: true, keyType: "Account" }
-            }
-        },
-        
-    });
+// Record the account's current encryption settings so a rollback can restore them.
+function _recordEncryptionChange(ledger, groupName, storageAccount) {
+    const encryption = storageAccount.encryption || {};
+    const previous = { keySource: encryption.keySource || "Microsoft.Storage" };
+    if(encryption.keyVaultProperties && previous.keySource !== "Microsoft.Storage") {
+        const { keyName, keyVersion, keyVaultUri } = encryption.keyVaultProperties;
+        previous.keyVaultProperties = { keyName: keyName, keyVersion: keyVersion, keyVaultUri: keyVaultUri };
+        if(encryption.encryptionIdentity) {
+            previous.encryptionIdentity = encryption.encryptionIdentity;
+        }
+    }
+    ledger.record({ type: 'encryption', groupName: groupName, accountName: storageAccount.name, previous: previous });
 }
-async function regenerateStorageAccountKey(storageAccount) {
-    console.log("Regenerating storage account key1");
-    await storageMgmtClient.storageAccounts.regenerateKey(SampleUtil.config.groupName,storageAccount.name,{
-        keyName:'key1'
+
+function _cmkResult(storageAccount, vault, key, versioning) {
+    return {
+        storageAccount: storageAccount.name,
+        vault: vault.name || vault.properties.vaultUri,
+        keyName: key.name,
+        keyVersion: key.properties.version,
+        keyId: key.id,
+        versioning: versioning
+    };
+}
+
+async function regenerateStorageAccountKey(storageAccount, options) {
+    const { clients, groupName, log } = _resolveOptions(options);
+    const keyName = (options && options.keyName) || 'key1';
+
+    log("Regenerating storage account " + keyName);
+    await clients.storage.storageAccounts.regenerateKey(groupName, storageAccount.name, {
+        keyName: keyName
     });
+    return { storageAccount: storageAccount.name, keyName: keyName };
 }
-async function createAccountSASDefinition(storageAccount) {
-    const policy = {
-        keyToSign: "key1",
-        sharedAccessStartTime:new Date("2022-04-11"),
-        sharedAccessExpiryTime: new Date("2022-05-24"),
-        protocols: "https,http",
-        services: 'bfqt', // All services: blob, file, queue, and table
-        resourceTypes: 'sco', // All resource types (service, template, object)
-        permissions: 'acdlpruw', // All permissions: add, create, list, process, read, update, write
-    };
-    
+
+// Ask the storage resource provider for an account SAS token signed with one of the account keys.
+// `options.sas` describes the token (see SasBuilder.buildSasPolicy); by default a one hour, read-only blob SAS.
+// Accounts that restrict SAS presets (see SasBuilder.allowedPresets) only get tokens from those presets.
+async function issueAccountSas(storageAccount, options) {
+    const { clients, groupName } = _resolveOptions(options);
+    const keyToSign = (options && options.keyName) || "key1";
+    const spec = Object.assign({ preset: 'blob-read' }, options && options.sas, { kind: 'account' });
+    SasBuilder.assertPresetAllowed(spec, storageAccount);
+    const policy = SasBuilder.buildSasPolicy(spec);
+
     // get storage account sasToken
-    const sasToken = await storageMgmtClient.storageAccounts.listAccountSAS(SampleUtil.config.groupName, storageAccount.name, policy);
-    const blobServiceClient = new BlobServiceClient(`https://${storageAccount.name}.blob.core.windows.net?${sasToken.accountSasToken}`);
-    
-    console.log("Created sample container using account SAS definition.");
+    const sasToken = await clients.storage.storageAccounts.listAccountSAS(groupName, storageAccount.name, SasBuilder.toAccountSasParameters(policy, keyToSign));
+    return _sasResult(storageAccount, policy, sasToken.accountSasToken, { keyName: keyToSign });
+}
+
+// Ask the storage resource provider for a service SAS on a container, or on a blob when `blobName` is given.
+async function issueServiceSas(storageAccount, containerName, blobName, options) {
+    const { clients, groupName } = _resolveOptions(options);
+    const keyToSign = (options && options.keyName) || "key1";
+    const spec = Object.assign({ preset: 'blob-read' }, options && options.sas, { kind: blobName ? 'blob' : 'container' });
+    SasBuilder.assertPresetAllowed(spec, storageAccount);
+    const policy = SasBuilder.buildSasPolicy(spec);
+
+    const params = SasBuilder.toServiceSasParameters(policy, storageAccount.name, containerName, blobName, keyToSign);
+    const sasToken = await clients.storage.storageAccounts.listServiceSAS(groupName, storageAccount.name, params);
+    return _sasResult(storageAccount, policy, sasToken.serviceSasToken, { keyName: keyToSign, resource: params.canonicalizedResource });
+}
+
+// Issue a container or blob SAS signed with a user delegation key, so no storage account key is used.
+// The sample's credential needs a data-plane role that allows generating user delegation keys,
+// such as "Storage Blob Delegator", on the storage account.
+async function issueUserDelegationSas(storageAccount, containerName, blobName, options) {
+    const { clients } = _resolveOptions(options);
+    const spec = Object.assign({ preset: 'blob-read' }, options && options.sas, { kind: blobName ? 'blob' : 'container' });
+    SasBuilder.assertPresetAllowed(spec, storageAccount);
+    const policy = SasBuilder.buildSasPolicy(spec);
+
+    const blobServiceClient = clients.blobService(`https://${storageAccount.name}.blob.core.windows.net`, clients.credential);
+    const userDelegationKey = await blobServiceClient.getUserDelegationKey(policy.startsOn, policy.expiresOn);
+    const sasToken = SasBuilder.signUserDelegationSas(policy, userDelegationKey, storageAccount.name, containerName, blobName);
+    return _sasResult(storageAccount, policy, sasToken, { resource: `/blob/${storageAccount.name}/${containerName}` + (blobName ? `/${blobName}` : '') });
+}
+
+function _sasResult(storageAccount, policy, sasToken, extra) {
+    return Object.assign({
+        storageAccount: storageAccount.name,
+        kind: policy.kind,
+        permissions: policy.permissions,
+        protocol: policy.protocol,
+        startsOn: policy.startsOn.toISOString(),
+        expiresOn: policy.expiresOn.toISOString()
+    }, extra, { sasToken: sasToken });
+}
+
+async function createAccountSASDefinition(storageAccount, options) {
+    const { clients, groupName, log, ledger } = _resolveOptions(options);
+
+    // A short-lived SAS that can only create the container and write the blob below.
+    const sas = await issueAccountSas(storageAccount, Object.assign({ sas: { preset: 'blob-write', lifetime: '1h' } }, options));
+    const blobServiceClient = clients.blobService(`https://${storageAccount.name}.blob.core.windows.net?${sas.sasToken}`);
+
+    log("Created sample container using account SAS definition.");
     const containerClient = blobServiceClient.getContainerClient('sample-container');
-    await containerClient.create();
-    
-    console.log("Created sample blob using account SAS definition.");
+    // With options.encryptionScope the container's blobs are encrypted with that scope, and writes cannot choose another.
+    await containerClient.create(options && options.encryptionScope ? {
+        containerEncryptionScope: { defaultEncryptionScope: options.encryptionScope, preventEncryptionScopeOverride: true }
+    } : undefined);
+    ledger.record({ type: 'container', groupName: groupName, accountName: storageAccount.name, name: 'sample-container' });
+
+    log("Created sample blob using account SAS definition.");
     const content = "test data";
     const blobName = "blob1";
     const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+    if(options && options.clientSideEncryption) {
+        // Encrypted in this process with a content key wrapped by the account's Key Vault key; storage only sees ciphertext.
+        const key = await _envelopeKey(storageAccount, clients, options.keyId);
+        const result = await EnvelopeEncryption.uploadEncrypted(blockBlobClient, clients.cryptography(key.id), content);
+        log(`Upload block blob ${blobName} successfully, encrypted with a content key wrapped by ${result.keyId}`);
+        return;
+    }
     await blockBlobClient.upload(content, content.length);
-    console.log(`Upload block blob ${blobName} successfully`);
+    log(`Upload block blob ${blobName} successfully`);
+
+}
+
+// The Key Vault key that wraps the content keys of client-side encrypted blobs: `keyId` (a key URI, with or without
+// a version), or else the account's customer-managed key. Returns the current (or given) version of the key.
+async function _envelopeKey(storageAccount, clients, keyId) {
+    let vaultUri, keyName, keyVersion;
+    if(keyId) {
+        ({ vaultUri, keyName, keyVersion } = CmkLifecycle.parseKeyUri(keyId));
+    } else {
+        const encryption = storageAccount.encryption || {};
+        if(!encryption.keyVaultProperties || !/^Microsoft\.Keyvault$/i.test(encryption.keySource || '')) {
+            throw new Error(`storage account ${storageAccount.name} does not use a customer-managed key; pass the key to encrypt with`);
+        }
+        ({ keyVaultUri: vaultUri, keyName } = encryption.keyVaultProperties);
+    }
+    const key = await clients.keys(vaultUri).getKey(keyName, keyVersion ? { version: keyVersion } : undefined);
+    return CmkLifecycle.assertKeyUsable(key);
+}
+
+// Encrypt `data` (a string, Buffer or readable stream) in this process and upload it as a block blob, so the data
+// never leaves the process unencrypted (see envelope_encryption.js). Large data is encrypted and uploaded in segments.
+//
+// options.keyId        key URI of the Key Vault key that wraps the content key (default: the account's customer-managed key)
+// options.segmentSize  plaintext bytes per segment (default 4 MiB)
+async function uploadEncryptedBlob(storageAccount, containerName, blobName, data, options) {
+    const { clients, log } = _resolveOptions(options);
+    const key = await _envelopeKey(storageAccount, clients, options && options.keyId);
+
+    // A short-lived SAS that can only write blobs.
+    const sas = await issueAccountSas(storageAccount, Object.assign({}, options, { sas: { preset: 'blob-write', lifetime: '1h' } }));
+    const blobServiceClient = clients.blobService(`https://${storageAccount.name}.blob.core.windows.net?${sas.sasToken}`);
+    const blockBlobClient = blobServiceClient.getContainerClient(containerName).getBlockBlobClient(blobName);
+
+    const result = await EnvelopeEncryption.uploadEncrypted(blockBlobClient, clients.cryptography(key.id), data, {
+        segmentSize: options && options.segmentSize
+    });
+    log(`Uploaded ${result.size} bytes to ${containerName}/${blobName}, encrypted with a content key wrapped by ${result.keyId}`);
+    return Object.assign({ storageAccount: storageAccount.name, container: containerName, blob: blobName }, result);
+}
+
+// Download a blob uploaded by uploadEncryptedBlob and decrypt it, unwrapping the content key with the key version
+// that wrapped it, so blobs stay readable after the key rotates.
+//
+// options.file  write the plaintext to this file as it streams; it only appears once the whole blob has been
+//               authenticated. Without it the plaintext is returned as `content`.
+async function downloadEncryptedBlob(storageAccount, containerName, blobName, options) {
+    const { clients, log } = _resolveOptions(options);
+
+    // A short-lived SAS that can only read blobs.
+    const sas = await issueAccountSas(storageAccount, Object.assign({}, options, { sas: { preset: 'blob-read', lifetime: '1h' } }));
+    const blobServiceClient = clients.blobService(`https://${storageAccount.name}.blob.core.windows.net?${sas.sasToken}`);
+    const blobClient = blobServiceClient.getContainerClient(containerName).getBlobClient(blobName);
+
+    const download = await EnvelopeEncryption.downloadDecrypted(blobClient, (keyId) => clients.cryptography(keyId));
+    const result = { storageAccount: storageAccount.name, container: containerName, blob: blobName, keyId: download.keyId, metadata: download.metadata };
+    if(options && options.file) {
+        const partialPath = options.file + '.partial';
+        try {
+            await StreamPromises.pipeline(download.stream, fs.createWriteStream(partialPath));
+        } catch(e) {
+            fs.rmSync(partialPath, { force: true });
+            throw e;
+        }
+        fs.renameSync(partialPath, options.file);
+        result.file = options.file;
+        result.size = fs.statSync(options.file).size;
+    } else {
+        const chunks = [];
+        for await (const chunk of download.stream) {
+            chunks.push(chunk);
+        }
+        result.content = Buffer.concat(chunks);
+        result.size = result.content.length;
+    }
+    log(`Downloaded and decrypted ${result.size} bytes from ${containerName}/${blobName} with ${download.keyId}`);
+    return result;
+}
 
+async function deleteStorageAccount(storageAccount, options) {
+    return detachCustomerManagedKey(storageAccount, options);
 }
-async function deleteStorageAccount(storageAccount) {
 
-    await storageMgmtClient.storageAccounts.update(SampleUtil.config.groupName,storageAccount.name,{
+// Switch the storage account back to Microsoft-managed keys.
+async function detachCustomerManagedKey(storageAccount, options) {
+    const { clients, groupName, log } = _resolveOptions(options);
+
+    await clients.storage.storageAccounts.update(groupName, storageAccount.name, {
         encryption:{
             keySource:"Microsoft.Storage",
         },
-        
+
     })
-    console.log("The storage account has been removed from the vault");
+    log("The storage account has been removed from the vault");
+    return { storageAccount: storageAccount.name, keySource: "Microsoft.Storage" };
+}
+
+// Remove everything recorded in a run's ledger, newest first.
+// options.purge also purges soft-deleted keys and vaults where purge protection allows it.
+async function teardown(runId, options) {
+    const { clients, log } = _resolveOptions(options);
+    const ledger = ResourceLedger.openLedger(runId, options);
+    return ledger.rollback(clients, { purge: options && options.purge, log: log });
 }
+
 async function main() {
     console.log('Azure Key Vault - Managed Storage Account Key Sample');
-    
-    // Get our sample vault
-    const vault = await SampleUtil.getSampleVault();
 
-    // Create and add a storage account to our sample vault
-    const storageAccount = await addStorageAccount(vault);
+    // Every resource the sample creates is recorded so it can be rolled back or torn down.
+    const ledger = ResourceLedger.createLedger();
+    const options = { ledger: ledger };
 
-    // Demonstrate updating properties of the managed storage account
-    await updateStorageAccount(storageAccount, vault);
+    try {
+        // Get our sample vault
+        const vault = await SampleUtil.getSampleVault(ledger);
 
-    // Demonstrate regeneration of a storage account key
-    await regenerateStorageAccountKey(storageAccount);
+        // Create and add a storage account to our sample vault
+        const storageAccount = await addStorageAccount(vault, options);
 
-    // Demonstrate the creation of an account-level SAS definition 
-    await createAccountSASDefinition(storageAccount);
-    
-    // Finally, remove the storage account from the vault
-    await deleteStorageAccount(storageAccount);
-    
-    
+        // Demonstrate updating properties of the managed storage account
+        await updateStorageAccount(storageAccount, vault, options);
+
+        // Demonstrate regeneration of a storage account key
+        await regenerateStorageAccountKey(storageAccount, options);
+
+        // Demonstrate the creation of an account-level SAS definition
+        await createAccountSASDefinition(storageAccount, options);
+
+        // Finally, remove the storage account from the vault
+        await deleteStorageAccount(storageAccount, options);
+    } catch(e) {
+        console.log(`Sample failed: ${e.message}. Rolling back run ${ledger.runId}.`);
+        try {
+            await ledger.rollback(getClients());
+        } catch(rollbackError) {
+            // Report the rollback failure, but fail with the error that stopped the sample.
+            console.error(`Rolling back run ${ledger.runId} failed: ${rollbackError.message}. ` +
+                `Retry with: node cli.js teardown --run ${ledger.runId}`);
+        }
+        throw e;
+    }
+
+    console.log(`Resources of this run are recorded as run ${ledger.runId}; remove them with: node cli.js teardown --run ${ledger.runId}`);
 }
 
-main().then( () => { console.log("Sample execution complete."); } );
\ No newline at end of file
+module.exports = {
+    createClients: createClients,
+    getClients: getClients,
+    setClients: setClients,
+    resolveOptions: _resolveOptions,
+    addStorageAccount: addStorageAccount,
+    attachCustomerManagedKey: attachCustomerManagedKey,
+    ensureCustomerManagedKey: ensureCustomerManagedKey,
+    updateStorageAccount: updateStorageAccount,
+    rotateCustomerManagedKey: rotateCustomerManagedKey,
+    pinKeyVersion: pinKeyVersion,
+    addEncryptionScope: addEncryptionScope,
+    rotateEncryptionScopeKey: rotateEncryptionScopeKey,
+    setEncryptionScopeState: setEncryptionScopeState,
+    listEncryptionScopes: listEncryptionScopes,
+    createContainer: createContainer,
+    regenerateStorageAccountKey: regenerateStorageAccountKey,
+    issueAccountSas: issueAccountSas,
+    issueServiceSas: issueServiceSas,
+    issueUserDelegationSas: issueUserDelegationSas,
+    createAccountSASDefinition: createAccountSASDefinition,
+    uploadEncryptedBlob: uploadEncryptedBlob,
+    downloadEncryptedBlob: downloadEncryptedBlob,
+    deleteStorageAccount: deleteStorageAccount,
+    detachCustomerManagedKey: detachCustomerManagedKey,
+    teardown: teardown,
+};
+
+if(require.main === module) {
+    main().then( () => { console.log("Sample execution complete."); } )
+        .catch((e) => { console.error(e); process.exitCode = 1; });
+}
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const Batch = require('../batch');
+const VaultAccess = require('../vault_access');
+const { createFakes, restError } = require('./fakes');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-batch-test-'));
+
+describe('batch', () => {
+    let fakes;
+    let options;
+
+    beforeEach(async () => {
+        SampleUtil.configure({ stateDir: stateDir, propagationTimeout: '300ms' }, {}, stateDir);
+        fakes = createFakes();
+        options = { clients: fakes.clients, log: () => {} };
+        await fakes.addAccount('rg', 'acct1', { tags: { env: 'prod', team: 'a' } });
+        await fakes.addAccount('rg', 'acct2', { tags: { env: 'dev' } });
+        await fakes.addAccount('rg2', 'acct3', { tags: { env: 'prod' } });
+    });
+
+    const names = (accounts) => accounts.map((account) => account.name).sort();
+
+    describe('selectAccounts', () => {
+        it('selects by resource group, tags or explicit names', async () => {
+            assert.deepStrictEqual(names(await Batch.selectAccounts(fakes.clients, { groupName: 'rg' })), ['acct1', 'acct2']);
+            assert.deepStrictEqual(names(await Batch.selectAccounts(fakes.clients, { tags: Batch.parseTagFilter('env=prod') })), ['acct1', 'acct3']);
+            assert.deepStrictEqual(names(await Batch.selectAccounts(fakes.clients, { tags: Batch.parseTagFilter('team') })), ['acct1']);
+            assert.deepStrictEqual(names(await Batch.selectAccounts(fakes.clients, { accounts: ['acct2', 'rg2/acct3'], defaultGroupName: 'rg' })), ['acct2', 'acct3']);
+        });
+
+        it('refuses to select every account', async () => {
+            await assert.rejects(Batch.selectAccounts(fakes.clients, {}), SampleUtil.ConfigError);
+        });
+    });
+
+    describe('runBatch', () => {
+        it('runs the operation on every account', async () => {
+            const accounts = await Batch.selectAccounts(fakes.clients, { tags: { env: undefined } });
+
+            const report = await Batch.runBatch('regenerate-key', accounts, Object.assign({ keyName: 'key2' }, options));
+
+            assert.strictEqual(report.succeeded, 3);
+            assert.deepStrictEqual(fakes.calls.filter((call) => call.operation === 'storage.storageAccounts.regenerateKey')
+                .map((call) => call.args[0] + '/' + call.args[1] + ':' + call.args[2].keyName).sort(), ['rg/acct1:key2', 'rg/acct2:key2', 'rg2/acct3:key2']);
+        });
+
+        it('stops after a failure unless asked to continue', async () => {
+            const accounts = await Batch.selectAccounts(fakes.clients, { tags: { env: undefined } });
+            fakes.fail('storage.storageAccounts.regenerateKey', restError(403, 'AuthorizationFailed', 'denied'));
+
+            const stopped = await Batch.runBatch('regenerate-key', accounts, Object.assign({ concurrency: 1 }, options));
+            assert.deepStrictEqual([stopped.failed, stopped.succeeded, stopped.notRun, stopped.stopped], [1, 0, 2, true]);
+            assert.strictEqual(stopped.accounts[0].error, 'denied');
+
+            fakes.fail('storage.storageAccounts.regenerateKey', restError(403, 'AuthorizationFailed', 'denied'));
+            const continued = await Batch.runBatch('regenerate-key', accounts, Object.assign({ concurrency: 1, continueOnError: true }, options));
+            assert.deepStrictEqual([continued.failed, continued.succeeded, continued.notRun], [1, 2, 0]);
+        });
+
+        it('creates a key shared by several accounts once before attaching them', async () => {
+            const vault = fakes.addVault('rg', 'kv1');
+            const accounts = await Batch.selectAccounts(fakes.clients, { tags: { env: undefined } });
+
+            const report = await Batch.runBatch('attach-cmk', accounts, Object.assign({ vault: vault, concurrency: 3 }, options));
+
+            assert.strictEqual(report.succeeded, 3);
+            assert.deepStrictEqual(fakes.called('keys.createRsaKey'), ['keys.createRsaKey']);
+        });
+
+        it('fails only the accounts whose key failed to rotate', async () => {
+            const vault = fakes.addVault('rg', 'kv1');
+            const accounts = await Batch.selectAccounts(fakes.clients, { accounts: ['rg/acct1', 'rg/acct2', 'rg2/acct3'] });
+            for(const account of accounts) {
+                await Batch.operations['attach-cmk'].run(account, { clients: fakes.clients, groupName: VaultAccess.resourceGroupOf(account), log: () => {} },
+                    { vault: vault, keyName: account.name === 'acct3' ? 'key2' : 'key1' });
+            }
+            const attached = await Batch.selectAccounts(fakes.clients, { accounts: ['rg/acct1', 'rg/acct2', 'rg2/acct3'] });
+            fakes.fail('keys.rotateKey', restError(403, 'Forbidden', 'denied'));
+
+            const stopped = await Batch.runBatch('rotate-cmk', attached, options);
+            assert.deepStrictEqual([stopped.failed, stopped.succeeded, stopped.notRun], [2, 0, 1]);
+
+            fakes.fail('keys.rotateKey', restError(403, 'Forbidden', 'denied'));
+            const continued = await Batch.runBatch('rotate-cmk', attached, Object.assign({ continueOnError: true }, options));
+            assert.deepStrictEqual(continued.accounts.map((entry) => entry.status + (entry.error ? ': ' + entry.error : '')),
+                ['failed: denied', 'failed: denied', 'succeeded']);
+        });
+
+        it('resumes from a checkpoint, skipping the accounts that succeeded', async () => {
+            const accounts = await Batch.selectAccounts(fakes.clients, { tags: { env: undefined } });
+            const checkpointPath = path.join(stateDir, 'resume.json');
+            fs.rmSync(checkpointPath, { force: true });
+            const batchOptions = Object.assign({ concurrency: 1, continueOnError: true, checkpointPath: checkpointPath }, options);
+            fakes.fail('storage.storageAccounts.regenerateKey', restError(503, 'ServerBusy', 'busy'));
+
+            const first = await Batch.runBatch('regenerate-key', accounts, batchOptions);
+            assert.deepStrictEqual([first.failed, first.succeeded], [1, 2]);
+
+            fakes.calls.length = 0;
+            const resumed = await Batch.runBatch('regenerate-key', accounts, batchOptions);
+
+            assert.deepStrictEqual([resumed.succeeded, resumed.skipped, resumed.failed], [1, 2, 0]);
+            assert.deepStrictEqual(fakes.calls.filter((call) => call.operation === 'storage.storageAccounts.regenerateKey').map((call) => call.args[1]),
+                [first.accounts.find((entry) => entry.status === 'failed').storageAccount]);
+        });
+
+        it('refuses a checkpoint from another operation', async () => {
+            const checkpointPath = path.join(stateDir, 'other.json');
+            SampleUtil.writeJsonFile(checkpointPath, { operation: 'detach-cmk', accounts: {} });
+
+            await assert.rejects(Batch.runBatch('regenerate-key', [], Object.assign({ checkpointPath: checkpointPath }, options)),
+                /belongs to a detach-cmk batch/);
+        });
+    });
+
+    it('renders a report as a table', () => {
+        const table = Batch.toTable({
+            operation: 'regenerate-key', total: 2, succeeded: 1, failed: 1, skipped: 0, notRun: 0,
+            accounts: [
+                { storageAccount: 'acct1', resourceGroup: 'rg', status: 'succeeded' },
+                { storageAccount: 'acct22', resourceGroup: 'rg', status: 'failed', error: 'denied' }
+            ]
+        });
+
+        assert.strictEqual(table, [
+            'ACCOUNT  RESOURCE GROUP  STATUS     ERROR',
+            'acct1    rg              succeeded',
+            'acct22   rg              failed     denied',
+            '',
+            'regenerate-key: 2 account(s), 1 succeeded, 1 failed, 0 skipped (done earlier), 0 not run'
+        ].join('\n'));
+    });
+});
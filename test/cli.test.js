@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const Cli = require('../cli');
+const { createFakes, restError } = require('./fakes');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-cli-test-'));
+const configFile = path.join(stateDir, 'kv-storage.config.json');
+fs.writeFileSync(configFile, JSON.stringify({ stateDir: stateDir, propagationTimeout: '300ms', groupName: 'rg' }));
+
+// A stream that keeps what is written to it.
+function capture() {
+    return { text: '', write(chunk) { this.text += chunk; return true; } };
+}
+
+describe('parseArgs', () => {
+    it('reads the command, options with values and switches', () => {
+        assert.deepStrictEqual(Cli.parseArgs(['attach-cmk', '-a', 'acct1', '--vault=kv1', '--key-name', 'key1', '--pin-version']), {
+            command: 'attach-cmk',
+            args: { account: 'acct1', vault: 'kv1', 'key-name': 'key1', 'pin-version': true }
+        });
+        assert.deepStrictEqual(Cli.parseArgs(['batch-rotate-cmk', '--tags=env=prod']).args, { tags: 'env=prod' });
+        assert.deepStrictEqual(Cli.parseArgs([]), { command: undefined, args: {} });
+    });
+
+    it('rejects unknown options, extra arguments and missing values', () => {
+        assert.throws(() => Cli.parseArgs(['scan', '--no-such-option']), { name: 'UsageError', message: 'unknown option: --no-such-option' });
+        assert.throws(() => Cli.parseArgs(['scan', '-x']), { name: 'UsageError', message: 'unknown option: -x' });
+        assert.throws(() => Cli.parseArgs(['scan', 'extra']), { name: 'UsageError', message: 'unexpected argument: extra' });
+        assert.throws(() => Cli.parseArgs(['scan', '--account']), { name: 'UsageError', message: 'option --account requires a value' });
+        assert.throws(() => Cli.parseArgs(['scan', '--account', '--json']), { name: 'UsageError', message: 'option --account requires a value' });
+    });
+});
+
+describe('cli', () => {
+    let fakes;
+    let stdout;
+    let stderr;
+
+    // Run the CLI in-process against the fakes, with the test config file.
+    const run = (argv) => Cli.run(argv.concat(['--config', configFile]), { clients: fakes.clients, stdout: stdout, stderr: stderr });
+
+    beforeEach(async () => {
+        fakes = createFakes();
+        stdout = capture();
+        stderr = capture();
+        await fakes.addAccount('rg', 'acct1');
+        await fakes.addVault('rg', 'vault1');
+    });
+
+    describe('usage', () => {
+        it('prints the usage without a command, and with --help', async () => {
+            assert.strictEqual(await Cli.run([], { stdout: stdout, stderr: stderr }), 2);
+            assert.match(stdout.text, /^Usage: node cli.js <command> \[options\]/);
+
+            stdout.text = '';
+            assert.strictEqual(await Cli.run(['scan', '--help'], { stdout: stdout, stderr: stderr }), 0);
+            assert.match(stdout.text, /^Usage: /);
+        });
+
+        it('exits with 2 on a bad command line', async () => {
+            assert.strictEqual(await run(['no-such-command']), 2);
+            assert.match(stderr.text, /^error: unknown command: no-such-command\n\nUsage: /);
+
+            stderr.text = '';
+            assert.strictEqual(await run(['regenerate-key']), 2);
+            assert.match(stderr.text, /^error: regenerate-key requires: --account\n/);
+        });
+
+        it('exits with 2 on invalid configuration, without the usage text', async () => {
+            assert.strictEqual(await run(['show-config', '--subscription', 'not-a-guid']), 2);
+            assert.match(stderr.text, /^error: invalid subscriptionId from command line/);
+            assert.doesNotMatch(stderr.text, /Usage:/);
+        });
+
+        it('exits with 2 on invalid input found while running the command', async () => {
+            assert.strictEqual(await run(['attach-cmk', '--account', 'acct1']), 2);
+            assert.strictEqual(stderr.text, 'error: attach-cmk failed: attach-cmk requires either --vault or --vault-uri\n');
+        });
+    });
+
+    describe('run', () => {
+        it('prints the result, or JSON with --json and progress messages on stderr', async () => {
+            assert.strictEqual(await run(['regenerate-key', '--account', 'acct1', '--key-name', 'key2']), 0);
+            assert.strictEqual(stdout.text, 'Regenerating storage account key2\nstorageAccount: acct1\nkeyName: key2\n');
+
+            stdout.text = '';
+            assert.strictEqual(await run(['regenerate-key', '--account', 'acct1', '--json']), 0);
+            assert.strictEqual(stderr.text, 'Regenerating storage account key1\n');
+            assert.deepStrictEqual(JSON.parse(stdout.text), {
+                command: 'regenerate-key',
+                succeeded: true,
+                result: { storageAccount: 'acct1', keyName: 'key1' }
+            });
+        });
+
+        it('exits with 1 when the command fails', async () => {
+            assert.strictEqual(await run(['regenerate-key', '--account', 'missing']), 1);
+            assert.match(stderr.text, /^error: regenerate-key failed: .*missing/);
+            assert.strictEqual(stdout.text, '');
+
+            stderr.text = '';
+            assert.strictEqual(await run(['regenerate-key', '--account', 'missing', '--json']), 1);
+            const output = JSON.parse(stdout.text);
+            assert.strictEqual(output.succeeded, false);
+            assert.strictEqual(output.error.code, 'ResourceNotFound');
+        });
+
+        it('rolls back what a failed command created', async () => {
+            fakes.fail('storage.storageAccounts.update', restError(400, 'InvalidRequest'), 10);
+
+            assert.strictEqual(await run(['attach-cmk', '--account', 'acct1', '--vault', 'vault1']), 1);
+
+            assert.match(stdout.text, /Rolling back run /);
+            assert.deepStrictEqual(fakes.called('keys.beginDeleteKey'), ['keys.beginDeleteKey']);
+            assert.deepStrictEqual(Object.values(fakes.state.vaults)[0].properties.accessPolicies, []);
+        });
+    });
+
+    describe('encryption scopes', () => {
+        it('adds a scope and lists the scopes with their state and key', async () => {
+            assert.strictEqual(await run(['add-encryption-scope', '--account', 'acct1', '--vault', 'vault1', '--scope', 'tenant-a']), 0);
+            assert.strictEqual(await run(['disable-encryption-scope', '--account', 'acct1', '--scope', 'tenant-a']), 0);
+
+            stdout.text = '';
+            assert.strictEqual(await run(['encryption-scopes', '--account', 'acct1']), 0);
+            assert.strictEqual(stdout.text, 'tenant-a: Disabled, https://vault1.vault.azure.net/keys/tenant-a\n');
+        });
+
+        it('only lets writes override a container\'s default scope with --scope', async () => {
+            assert.strictEqual(await run(['create-container', '--account', 'acct1', '--container', 'data', '--allow-scope-override']), 2);
+            assert.strictEqual(stderr.text, 'error: create-container failed: --allow-scope-override requires --scope\n');
+        });
+    });
+
+    describe('batch-attach-cmk', () => {
+        it('rejects conflicting flags before fetching the vault', async () => {
+            const before = fakes.calls.length;
+            const code = await run(['batch-attach-cmk', '--vault', 'vault1', '--accounts', 'acct1', '--pin-version', '--auto-follow']);
+
+            assert.strictEqual(code, 2);
+            assert.match(stderr.text, /--pin-version and --auto-follow cannot be used together/);
+            assert.deepStrictEqual(fakes.calls.slice(before), []);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const { describe, it, beforeEach } = require('node:test');
+const CmkLifecycle = require('../cmk_lifecycle');
+const { createFakes } = require('./fakes');
+
+const VAULT_URI = 'https://kv1.vault.azure.net/';
+
+describe('customer-managed key lifecycle', () => {
+    let fakes;
+    let keyClient;
+
+    beforeEach(() => {
+        fakes = createFakes();
+        fakes.addVault('rg', 'kv1');
+        keyClient = fakes.clients.keys(VAULT_URI);
+    });
+
+    describe('ensureKey', () => {
+        it('creates a wrap-only RSA key with the requested options', async () => {
+            const { key, created } = await CmkLifecycle.ensureKey(keyClient, 'key1', { keyType: 'RSA-HSM', keySize: '3072' });
+
+            assert.strictEqual(created, true);
+            assert.deepStrictEqual(fakes.calls.find((call) => call.operation === 'keys.createRsaKey').args, ['key1', { keySize: 3072, hsm: true, keyOps: ['wrapKey', 'unwrapKey'] }]);
+            assert.deepStrictEqual([key.keyType, key.keyOperations], ['RSA-HSM', ['wrapKey', 'unwrapKey']]);
+        });
+
+        it('reuses an existing key that matches', async () => {
+            await keyClient.createRsaKey('key1', { keySize: 4096 });
+
+            const { key, created } = await CmkLifecycle.ensureKey(keyClient, 'key1', { keyType: undefined, keySize: undefined });
+
+            assert.strictEqual(created, false);
+            assert.strictEqual(key.name, 'key1');
+            assert.deepStrictEqual(fakes.called('keys.createRsaKey'), ['keys.createRsaKey']);
+        });
+
+        it('rejects unsupported key options before calling Key Vault', async () => {
+            await assert.rejects(CmkLifecycle.ensureKey(keyClient, 'key1', { keyType: 'EC' }), /unsupported key type "EC", expected one of: RSA, RSA-HSM/);
+            await assert.rejects(CmkLifecycle.ensureKey(keyClient, 'key1', { keySize: 1024 }), /unsupported key size "1024", expected one of: 2048, 3072, 4096/);
+            assert.deepStrictEqual(fakes.calls, []);
+        });
+    });
+
+    describe('keyMismatches', () => {
+        it('compares only the type and size that were asked for', async () => {
+            const key = await keyClient.createRsaKey('key1', { keySize: 3072 });
+
+            assert.deepStrictEqual(CmkLifecycle.keyMismatches(key, {}), []);
+            assert.deepStrictEqual(CmkLifecycle.keyMismatches(key, { keyType: 'RSA', keySize: 3072 }), []);
+            assert.deepStrictEqual(CmkLifecycle.keyMismatches(key, { keyType: 'RSA-HSM', keySize: 2048 }),
+                ['its type is RSA, not RSA-HSM', 'its size is 3072 bits, not 2048']);
+            assert.deepStrictEqual(CmkLifecycle.keyMismatches(Object.assign({}, key, { keyType: 'EC' }), {}), ['its type is EC, not RSA']);
+        });
+    });
+
+    describe('toRotationPolicy', () => {
+        it('converts relative days into a Key Vault rotation policy', () => {
+            assert.deepStrictEqual(CmkLifecycle.toRotationPolicy({ expiresIn: '60d', rotateBeforeExpiry: '14d' }), {
+                expiresIn: 'P60D',
+                lifetimeActions: [{ action: 'Rotate', timeBeforeExpiry: 'P14D' }, { action: 'Notify', timeBeforeExpiry: 'P30D' }]
+            });
+            assert.deepStrictEqual(CmkLifecycle.toRotationPolicy({ notifyBeforeExpiry: false }).lifetimeActions, [{ action: 'Rotate', timeBeforeExpiry: 'P30D' }]);
+        });
+
+        it('rejects durations that are not whole days', () => {
+            assert.throws(() => CmkLifecycle.toRotationPolicy({ expiresIn: '36h' }), /expiresIn must be a whole number of days, got "36h"/);
+        });
+    });
+
+    describe('assertKeyUsable', () => {
+        const key = (changes) => Object.assign({ id: VAULT_URI + 'keys/key1/v1', keyType: 'RSA', keyOperations: ['wrapKey', 'unwrapKey'], properties: { enabled: true } }, changes);
+
+        it('accepts an enabled RSA key that can wrap and unwrap', () => {
+            assert.ok(CmkLifecycle.assertKeyUsable(key()));
+        });
+
+        it('lists every reason a key cannot be used', () => {
+            assert.throws(() => CmkLifecycle.assertKeyUsable(key({
+                keyType: 'EC',
+                keyOperations: ['sign', 'wrapKey'],
+                properties: { enabled: false, expiresOn: new Date('2020-01-01T00:00:00Z') }
+            })), {
+                name: 'KeyNotUsableError',
+                message: 'key https://kv1.vault.azure.net/keys/key1/v1 cannot be used for storage encryption: key type EC is not RSA; key is disabled; ' +
+                    'key expired on 2020-01-01T00:00:00.000Z; key does not allow unwrapKey'
+            });
+        });
+    });
+
+    describe('key versioning', () => {
+        const key = { id: VAULT_URI + 'keys/key1/v1', name: 'key1', properties: { version: 'v1' } };
+
+        it('pins the account or scope to the key version, or follows the latest version', () => {
+            assert.strictEqual(CmkLifecycle.encryptionParameters(VAULT_URI, key, CmkLifecycle.VERSIONING_PINNED).encryption.keyVaultProperties.keyVersion, 'v1');
+            assert.strictEqual(CmkLifecycle.encryptionParameters(VAULT_URI, key, CmkLifecycle.VERSIONING_AUTO).encryption.keyVaultProperties.keyVersion, '');
+            assert.strictEqual(CmkLifecycle.encryptionScopeParameters(VAULT_URI, key, CmkLifecycle.VERSIONING_PINNED).keyVaultProperties.keyUri, key.id);
+            assert.strictEqual(CmkLifecycle.encryptionScopeParameters(VAULT_URI, key, CmkLifecycle.VERSIONING_AUTO).keyVaultProperties.keyUri, VAULT_URI + 'keys/key1');
+        });
+
+        it('reads the versioning of an account', () => {
+            assert.strictEqual(CmkLifecycle.versioningOf({ encryption: { keyVaultProperties: { keyVersion: 'v1' } } }), CmkLifecycle.VERSIONING_PINNED);
+            assert.strictEqual(CmkLifecycle.versioningOf({ encryption: { keyVaultProperties: { keyVersion: '' } } }), CmkLifecycle.VERSIONING_AUTO);
+        });
+
+        it('parses versioned and versionless key URIs', () => {
+            assert.deepStrictEqual(CmkLifecycle.parseKeyUri(VAULT_URI + 'keys/key1/v1'), { vaultUri: VAULT_URI, keyName: 'key1', keyVersion: 'v1' });
+            assert.deepStrictEqual(CmkLifecycle.parseKeyUri(VAULT_URI + 'keys/key1'), { vaultUri: VAULT_URI, keyName: 'key1', keyVersion: '' });
+            assert.throws(() => CmkLifecycle.parseKeyUri(VAULT_URI + 'secrets/s1'), /is not a Key Vault key URI/);
+        });
+    });
+});
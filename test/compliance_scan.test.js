@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const Sample = require('../storage_account_sample');
+const ComplianceScan = require('../compliance_scan');
+const Cli = require('../cli');
+const { createFakes, restError } = require('./fakes');
+
+const GROUP = 'rg';
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-scan-test-'));
+
+// A scan report in the shape scan() returns, with one compliant account and vault unless changed by `account`/`vault`.
+function report(account, vault) {
+    return {
+        scope: { resourceGroup: GROUP },
+        scannedAt: '2026-01-01T00:00:00.000Z',
+        accounts: [Object.assign({
+            id: '/acct1',
+            name: 'acct1',
+            resourceGroup: GROUP,
+            keySource: 'Microsoft.Keyvault',
+            allowSharedKeyAccess: false,
+            vaultUri: 'https://kv1.vault.azure.net/',
+            vault: 'kv1',
+            key: { keyName: 'key1', keyVersion: 'v1', autoFollow: true, expiresOn: '2026-03-01T00:00:00.000Z', rotationPolicy: { rotate: 'P30D', expiresIn: 'P90D' } }
+        }, account)],
+        vaults: [Object.assign({ id: '/kv1', name: 'kv1', vaultUri: 'https://kv1.vault.azure.net', softDelete: true, purgeProtection: true }, vault)]
+    };
+}
+
+const findings = (evaluated) => evaluated.findings.map((finding) => finding.level + ' ' + finding.ruleId + ' ' + finding.resource);
+
+describe('compliance scan', () => {
+    describe('ruleLevels', () => {
+        it('merges overrides into the default levels', () => {
+            const levels = ComplianceScan.ruleLevels({ 'shared-key-disabled': 'error', 'vault-found': 'off' });
+
+            assert.strictEqual(levels['shared-key-disabled'], 'error');
+            assert.strictEqual(levels['vault-found'], 'off');
+            assert.strictEqual(levels['cmk-required'], 'error');
+        });
+
+        it('rejects unknown rules and levels', () => {
+            assert.throws(() => ComplianceScan.ruleLevels({ 'no-such-rule': 'error' }), SampleUtil.ConfigError);
+            assert.throws(() => ComplianceScan.ruleLevels({ 'cmk-required': 'fatal' }), SampleUtil.ConfigError);
+        });
+    });
+
+    describe('evaluate', () => {
+        it('passes a compliant account and vault', () => {
+            const evaluated = ComplianceScan.evaluate(report(), undefined, () => NOW);
+
+            assert.deepStrictEqual(evaluated.findings, []);
+            assert.strictEqual(evaluated.failed, false);
+        });
+
+        it('requires a customer-managed key and disabled shared key access', () => {
+            const evaluated = ComplianceScan.evaluate(report({ keySource: 'Microsoft.Storage', key: undefined, allowSharedKeyAccess: true }), undefined, () => NOW);
+
+            assert.deepStrictEqual(findings(evaluated), ['warning shared-key-disabled acct1', 'error cmk-required acct1']);
+            assert.strictEqual(evaluated.failed, true);
+        });
+
+        it('checks the expiry and rotation policy of the key', () => {
+            const key = (changes) => ({ key: Object.assign({ keyName: 'key1', keyVersion: 'v1', rotationPolicy: { rotate: 'P30D' } }, changes) });
+
+            assert.deepStrictEqual(findings(ComplianceScan.evaluate(report(key({ expiresOn: null })), undefined, () => NOW)),
+                ['warning key-expiry-set acct1']);
+            assert.deepStrictEqual(findings(ComplianceScan.evaluate(report(key({ expiresOn: '2025-12-01T00:00:00.000Z', rotationPolicy: null })), undefined, () => NOW)),
+                ['error key-not-expired acct1', 'warning key-rotation-policy acct1']);
+        });
+
+        it('reports an unreadable key, or only its unreadable rotation policy', () => {
+            assert.deepStrictEqual(findings(ComplianceScan.evaluate(report({ key: { keyName: 'key1', error: 'Forbidden' } }), undefined, () => NOW)),
+                ['warning key-readable acct1']);
+
+            const evaluated = ComplianceScan.evaluate(report({ key: { keyName: 'key1', keyVersion: 'v1', expiresOn: '2025-12-01T00:00:00.000Z', rotationPolicyError: 'Forbidden' } }),
+                undefined, () => NOW);
+            assert.deepStrictEqual(findings(evaluated), ['error key-not-expired acct1', 'warning key-readable acct1']);
+            assert.match(evaluated.findings[1].message, /rotation policy of key key1/);
+        });
+
+        it('checks the vaults the accounts use', () => {
+            const evaluated = ComplianceScan.evaluate(report({ vaultUri: 'https://other.vault.azure.net/' }, { softDelete: false, purgeProtection: false }),
+                undefined, () => NOW);
+
+            assert.deepStrictEqual(findings(evaluated), ['warning vault-found acct1', 'error vault-soft-delete kv1', 'error vault-purge-protection kv1']);
+        });
+
+        it('applies the rule levels', () => {
+            const levels = ComplianceScan.ruleLevels({ 'cmk-required': 'note', 'shared-key-disabled': 'off' });
+            const evaluated = ComplianceScan.evaluate(report({ keySource: 'Microsoft.Storage', key: undefined, allowSharedKeyAccess: true }), levels, () => NOW);
+
+            assert.deepStrictEqual(findings(evaluated), ['note cmk-required acct1']);
+            assert.strictEqual(evaluated.failed, false);
+        });
+    });
+
+    describe('toSarif', () => {
+        it('renders the rules and findings', () => {
+            const levels = ComplianceScan.ruleLevels({ 'vault-found': 'off' });
+            const sarif = ComplianceScan.toSarif(ComplianceScan.evaluate(report({ keySource: 'Microsoft.Storage', key: undefined }), levels, () => NOW));
+            const run = sarif.runs[0];
+            const ruleIds = Object.keys(ComplianceScan.rules);
+
+            assert.strictEqual(sarif.version, '2.1.0');
+            assert.deepStrictEqual(run.tool.driver.rules.map((rule) => rule.id), ruleIds);
+            assert.strictEqual(run.tool.driver.rules[ruleIds.indexOf('vault-found')].defaultConfiguration.level, 'none');
+            assert.deepStrictEqual(run.results, [{
+                ruleId: 'cmk-required',
+                ruleIndex: ruleIds.indexOf('cmk-required'),
+                level: 'error',
+                message: { text: 'storage account acct1 uses Microsoft.Storage keys' },
+                locations: [{ logicalLocations: [{ name: 'acct1', fullyQualifiedName: '/acct1', kind: 'resource' }] }]
+            }]);
+        });
+    });
+
+    describe('scan', () => {
+        let fakes;
+        let options;
+
+        beforeEach(() => {
+            SampleUtil.configure({ stateDir: stateDir, propagationTimeout: '300ms' }, {}, stateDir);
+            fakes = createFakes();
+            options = { clients: fakes.clients, groupName: GROUP, log: () => {} };
+        });
+
+        it('reports the key source, key and vault of each account', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { purgeProtection: true });
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct1'), vault, options);
+            await fakes.addAccount(GROUP, 'acct2');
+
+            const result = await ComplianceScan.scan(options);
+
+            const [cmk, platform] = result.accounts;
+            assert.strictEqual(cmk.vault, 'kv1');
+            assert.strictEqual(cmk.key.keyName, 'key1');
+            assert.strictEqual(cmk.key.autoFollow, true);
+            assert.ok(cmk.key.keyVersion);
+            assert.ok(cmk.key.rotationPolicy);
+            assert.strictEqual(platform.keySource, 'Microsoft.Storage');
+            assert.strictEqual(platform.key, undefined);
+            assert.deepStrictEqual(result.vaults.map((entry) => [entry.name, entry.softDelete, entry.purgeProtection]), [['kv1', true, true]]);
+        });
+
+        it('keeps the key properties when only the rotation policy cannot be read', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { purgeProtection: true });
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct1'), vault, options);
+            fakes.fail('keys.getKeyRotationPolicy', restError(403, 'Forbidden', 'missing getrotationpolicy permission'));
+
+            const key = (await ComplianceScan.scan(options)).accounts[0].key;
+
+            assert.strictEqual(key.error, undefined);
+            assert.ok(key.keyVersion);
+            assert.ok('expiresOn' in key);
+            assert.strictEqual(key.rotationPolicyError, 'missing getrotationpolicy permission');
+        });
+    });
+
+    describe('scan command', () => {
+        let fakes;
+        let stdout;
+
+        const capture = () => ({ text: '', write(chunk) { this.text += chunk; return true; } });
+        const run = (argv) => Cli.run(argv.concat(['--resource-group', GROUP]), { clients: fakes.clients, stdout: stdout, stderr: capture() });
+
+        beforeEach(async () => {
+            SampleUtil.configure({ stateDir: stateDir }, {}, stateDir);
+            fakes = createFakes();
+            stdout = capture();
+            await fakes.addAccount(GROUP, 'acct1');
+        });
+
+        it('exits with 3 when a finding is at level error', async () => {
+            assert.strictEqual(await run(['scan', '--format', 'sarif']), 3);
+            assert.deepStrictEqual(JSON.parse(stdout.text).runs[0].results.map((result) => result.ruleId), ['shared-key-disabled', 'cmk-required']);
+        });
+
+        it('exits with 0 when the rules make no finding an error', async () => {
+            const rulesFile = path.join(stateDir, 'rules.json');
+            fs.writeFileSync(rulesFile, JSON.stringify({ 'cmk-required': 'warning' }));
+
+            assert.strictEqual(await run(['scan', '--rules', rulesFile]), 0);
+            assert.match(stdout.text, /1 account\(s\), 0 vault\(s\), 2 finding\(s\), 0 error\(s\): passed/);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { describe, it } = require('node:test');
+const EnvelopeEncryption = require('../envelope_encryption');
+
+const SEGMENT_SIZE = 16 * 1024;
+const SEALED_SIZE = SEGMENT_SIZE + 28;
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+// Feed `data` to `transform` in chunks of `chunkSize` bytes.
+function through(data, transform, chunkSize) {
+    const chunks = [];
+    for(let start = 0; start < data.length; start += chunkSize) {
+        chunks.push(data.subarray(start, start + chunkSize));
+    }
+    return collect(Readable.from(chunks.length ? chunks : [Buffer.alloc(0)]).pipe(transform));
+}
+
+async function encrypt(key, data) {
+    return through(data, EnvelopeEncryption.createEncryptStream(key, SEGMENT_SIZE), 5000);
+}
+
+async function decrypt(key, segments) {
+    return Buffer.concat(await through(Buffer.concat(segments), EnvelopeEncryption.createDecryptStream(key, SEGMENT_SIZE), 3000));
+}
+
+describe('envelope encryption', () => {
+    const key = crypto.randomBytes(32);
+
+    describe('segment streams', () => {
+        [0, 1, SEGMENT_SIZE - 1, SEGMENT_SIZE, SEGMENT_SIZE + 1, 3 * SEGMENT_SIZE + 100].forEach((size) => {
+            it('round-trips ' + size + ' bytes', async () => {
+                const data = crypto.randomBytes(size);
+
+                const segments = await encrypt(key, data);
+
+                assert.strictEqual(segments.length, Math.max(1, Math.ceil(size / SEGMENT_SIZE)));
+                segments.slice(0, -1).forEach((segment) => assert.strictEqual(segment.length, SEALED_SIZE));
+                assert.ok((await decrypt(key, segments)).equals(data));
+            });
+        });
+
+        it('uses a fresh nonce for every segment', async () => {
+            const segments = await encrypt(key, Buffer.alloc(2 * SEGMENT_SIZE));
+
+            assert.notDeepStrictEqual(segments[0].subarray(0, 12), segments[1].subarray(0, 12));
+            assert.notDeepStrictEqual(segments[0].subarray(12), segments[1].subarray(12));
+        });
+
+        it('fails on modified, reordered, dropped or extra segments and on the wrong key', async () => {
+            const segments = await encrypt(key, crypto.randomBytes(3 * SEGMENT_SIZE));
+            const flipped = Buffer.from(segments[1]);
+            flipped[100] ^= 1;
+
+            const tampered = [
+                [segments[0], flipped, segments[2]],
+                [segments[1], segments[0], segments[2]],
+                [segments[0], segments[1]],
+                [segments[0], segments[1], segments[2], segments[2]],
+                [segments[0], segments[1], segments[2].subarray(0, 20)]
+            ];
+            for(const variant of tampered) {
+                await assert.rejects(decrypt(key, variant), EnvelopeEncryption.EnvelopeError);
+            }
+            await assert.rejects(decrypt(crypto.randomBytes(32), segments), /segment 0 failed authentication/);
+        });
+
+        it('refuses segment sizes out of range', () => {
+            assert.throws(() => EnvelopeEncryption.createEncryptStream(key, 100), EnvelopeEncryption.EnvelopeError);
+            assert.throws(() => EnvelopeEncryption.createDecryptStream(key, SEGMENT_SIZE + 0.5), EnvelopeEncryption.EnvelopeError);
+        });
+    });
+
+    describe('readEnvelope', () => {
+        const M = EnvelopeEncryption.METADATA;
+        const envelope = () => ({
+            [M.version]: '1',
+            [M.algorithm]: 'AES-256-GCM',
+            [M.segmentSize]: String(SEGMENT_SIZE),
+            [M.wrapAlgorithm]: 'RSA-OAEP-256',
+            [M.wrappedKey]: 'd3JhcHBlZA==',
+            [M.keyId]: 'https://kv1.vault.azure.net/keys/key1/abc'
+        });
+
+        it('reads the envelope of an encrypted blob, and nothing from other blobs', () => {
+            assert.deepStrictEqual(EnvelopeEncryption.readEnvelope(Object.assign({ owner: 'x' }, envelope())), {
+                version: '1',
+                algorithm: 'AES-256-GCM',
+                segmentSize: SEGMENT_SIZE,
+                wrapAlgorithm: 'RSA-OAEP-256',
+                wrappedKey: 'd3JhcHBlZA==',
+                keyId: 'https://kv1.vault.azure.net/keys/key1/abc'
+            });
+            assert.strictEqual(EnvelopeEncryption.readEnvelope({ owner: 'x' }), undefined);
+            assert.strictEqual(EnvelopeEncryption.readEnvelope(undefined), undefined);
+        });
+
+        it('refuses envelopes it cannot decrypt', () => {
+            assert.throws(() => EnvelopeEncryption.readEnvelope(Object.assign(envelope(), { [M.version]: '2' })), /unsupported envelope: version 2/);
+            assert.throws(() => EnvelopeEncryption.readEnvelope(Object.assign(envelope(), { [M.algorithm]: 'AES-128-CBC' })), EnvelopeEncryption.EnvelopeError);
+            assert.throws(() => EnvelopeEncryption.readEnvelope(Object.assign(envelope(), { [M.keyId]: undefined })), /does not name the key/);
+        });
+    });
+});
@@ -0,0 +1,775 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { RestError } = require('@azure/core-rest-pipeline');
+
+// In-memory fakes of the ARM and Key Vault operations the sample uses, in the shape of the clients returned by
+// createClients(). They keep just enough state to behave like Azure for the sample's flows: storage accounts with
+// managed identities, encryption scopes and containers; vaults with access policies; role definitions and role
+// assignments; keys with versions and rotation policies, and wrapping with them; secrets; blobs; user delegation
+// keys; and the directory objects of principals.
+//
+// Storage checks that an account's identity can use its key, as the real service does when encryption is switched
+// over, so missing grants surface as KeyVaultAuthenticationFailure. `propagationDelay` makes each new grant invisible
+// for that many checks, to exercise the sample's waits for propagation.
+//
+// Any operation can be made to fail with fail('storage.storageAccounts.update', error), and every call is recorded
+// in `calls` as { operation, args }.
+
+const SUBSCRIPTION_ID = '00000000-0000-0000-0000-00000000aaaa';
+const TENANT_ID = '00000000-0000-0000-0000-00000000bbbb';
+
+// Built-in role definition GUIDs, as in Azure.
+const ROLE_DEFINITIONS = {
+    'Key Vault Crypto Officer': '14b46e9e-c2b7-41b4-b07b-48a6ebf60603',
+    'Key Vault Crypto Service Encryption User': 'e147488a-f6f5-4113-8e2d-b22465e65bf6',
+    'Key Vault Crypto User': '12338af0-0e69-4776-bea7-57ae8d297424',
+    'Key Vault Secrets Officer': 'b86a8fe4-44ce-4948-aee5-eccb2c155cd7',
+    'Key Vault Secrets User': '4633458b-17de-408a-b874-0445c86b69e6',
+    'Key Vault Certificates Officer': 'a4417e6f-fecd-4de8-b567-7b0420556985',
+    'Key Vault Certificate User': 'db79e9a7-68ee-4b58-9aeb-b90e7c24fcba',
+    'Storage Account Key Operator Service Role': '81a9662b-bebf-436f-a333-f67b29880f12'
+};
+
+// The Azure Key Vault service, which addStorageAccount lets operate the account keys.
+const KEY_VAULT_SERVICE_PRINCIPAL = '93c27d83-f79b-4cb2-8dd4-4aa716542e74';
+
+const WRAP_ROLES = ['Key Vault Crypto Officer', 'Key Vault Crypto Service Encryption User', 'Key Vault Crypto User'];
+
+// An error in the shape the Azure SDK throws for a failed request.
+function restError(statusCode, code, message) {
+    const error = new RestError(message || code, { statusCode: statusCode, code: code });
+    error.details = { error: { code: code, message: message || code } };
+    return error;
+}
+
+function notFound(what) {
+    return restError(404, 'ResourceNotFound', util.format('%s was not found', what));
+}
+
+function _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+async function* _iterate(items) {
+    for(const item of items) {
+        yield item;
+    }
+}
+
+function _guid() {
+    return crypto.randomUUID();
+}
+
+function _version() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Split a key ID into the vault URI (with a trailing slash, as keys are stored), key name and version.
+function _parseKeyId(keyId) {
+    const match = /^(https:\/\/[^/]+\/)keys\/([^/]+)(?:\/([^/]*))?$/.exec(keyId);
+    return { vaultUri: match[1], keyName: match[2], keyVersion: match[3] || '' };
+}
+
+function createFakes(options) {
+    options = options || {};
+    const subscriptionId = options.subscriptionId || SUBSCRIPTION_ID;
+    const tenantId = options.tenantId || TENANT_ID;
+    const state = {
+        resourceGroups: {},
+        storageAccounts: {},
+        encryptionScopes: {},
+        containers: {},
+        vaults: {},
+        roleAssignments: {},
+        keys: {},
+        secrets: {},
+        // Blobs by "account/container/blob": { content, metadata, etag, blocks }.
+        blobs: {},
+        userAssignedIdentities: {},
+        // Principals Azure AD knows about; role assignments to other principals fail with PrincipalNotFound.
+        principals: new Set([KEY_VAULT_SERVICE_PRINCIPAL].concat(options.principals || [])),
+        // Microsoft Graph types of principals other than service principals, e.g. { <objectId>: 'user' }.
+        principalTypes: {},
+        propagationDelay: options.propagationDelay || 0,
+        pendingGrants: new Map()
+    };
+    const calls = [];
+    const failures = {};
+
+    // Make `operation` fail with `error` the next `times` (default 1) times it is called.
+    function fail(operation, error, times) {
+        failures[operation] = (failures[operation] || []).concat(Array(times || 1).fill(error));
+    }
+
+    // Wrap the operations of a fake operation group so they are recorded and can be made to fail.
+    // `paged` names the operations that return async iterators; like the SDK's, they fail when iterated.
+    function group(name, operations, paged) {
+        const wrapped = {};
+        Object.keys(operations).forEach((operation) => {
+            const qualified = name + '.' + operation;
+            wrapped[operation] = function() {
+                const args = Array.prototype.slice.call(arguments);
+                calls.push({ operation: qualified, args: args });
+                const queued = failures[qualified];
+                if(queued && queued.length > 0) {
+                    const error = queued.shift();
+                    return (paged || []).indexOf(operation) >= 0 ? (async function*() { throw error; })() : Promise.reject(error);
+                }
+                return operations[operation].apply(null, args);
+            };
+        });
+        return wrapped;
+    }
+
+    // A grant is seen by the service only after `propagationDelay` checks.
+    function _grantVisible(grantId) {
+        const remaining = state.pendingGrants.get(grantId) || 0;
+        if(remaining > 0) {
+            state.pendingGrants.set(grantId, remaining - 1);
+            return false;
+        }
+        return true;
+    }
+
+    function _newGrant(grantId) {
+        if(state.propagationDelay > 0) {
+            state.pendingGrants.set(grantId, state.propagationDelay);
+        }
+    }
+
+    function _newPrincipal() {
+        const principalId = _guid();
+        state.principals.add(principalId);
+        return principalId;
+    }
+
+    function _accountId(groupName, name) {
+        return util.format('/subscriptions/%s/resourceGroups/%s/providers/Microsoft.Storage/storageAccounts/%s', subscriptionId, groupName, name);
+    }
+
+    function _account(groupName, name) {
+        const account = state.storageAccounts[_accountId(groupName, name).toLowerCase()];
+        if(!account) {
+            throw notFound(util.format('Storage account %s in resource group %s', name, groupName));
+        }
+        return account;
+    }
+
+    function _vaultByUri(vaultUri) {
+        const uri = String(vaultUri).toLowerCase().replace(/\/+$/, '');
+        return Object.values(state.vaults).find((vault) => vault.properties.vaultUri.toLowerCase().replace(/\/+$/, '') === uri);
+    }
+
+    function _identityPrincipal(account, encryptionIdentity) {
+        const userAssigned = encryptionIdentity && encryptionIdentity.encryptionUserAssignedIdentity;
+        if(userAssigned) {
+            const assigned = (account.identity && account.identity.userAssignedIdentities) || {};
+            const id = Object.keys(assigned).find((key) => key.toLowerCase() === userAssigned.toLowerCase());
+            return id && assigned[id].principalId;
+        }
+        return account.identity && account.identity.principalId;
+    }
+
+    // Whether `principalId` may wrap with `keyName` in the vault, as storage checks when it is pointed at a key.
+    function _canWrap(vault, principalId, keyName) {
+        if(vault.properties.enableRbacAuthorization) {
+            const scope = (vault.id + '/keys/' + keyName).toLowerCase() + '/';
+            return Object.values(state.roleAssignments).some((assignment) => assignment.principalId === principalId &&
+                WRAP_ROLES.some((role) => assignment.roleDefinitionId.toLowerCase().endsWith(ROLE_DEFINITIONS[role])) &&
+                scope.startsWith(assignment.scope.toLowerCase().replace(/\/?$/, '/')) && _grantVisible(assignment.id));
+        }
+        return (vault.properties.accessPolicies || []).some((entry) => entry.objectId === principalId &&
+            (entry.permissions.keys || []).some((p) => ['all', 'wrapkey'].indexOf(p.toLowerCase()) >= 0) &&
+            _grantVisible(vault.id + '/accessPolicies/' + principalId));
+    }
+
+    // Check, like storage does, that the account can reach the key; throws the service's error otherwise.
+    function _checkKeyAccess(account, vaultUri, keyName, keyVersion, encryptionIdentity) {
+        const vault = _vaultByUri(vaultUri);
+        const keys = vault && state.keys[vault.properties.vaultUri];
+        const key = keys && keys[keyName];
+        if(!key || (keyVersion && !key.versions.some((version) => version.properties.version === keyVersion))) {
+            throw restError(400, 'KeyVaultKeyNotFound', util.format('key %s%s was not found in %s', keyName, keyVersion ? '/' + keyVersion : '', vaultUri));
+        }
+        const principalId = _identityPrincipal(account, encryptionIdentity);
+        if(!principalId || !_canWrap(vault, principalId, keyName)) {
+            throw restError(400, 'KeyVaultAuthenticationFailure', util.format('the identity of %s cannot access key %s in %s', account.name, keyName, vaultUri));
+        }
+    }
+
+    function _applyIdentity(account, identity) {
+        const result = { type: identity.type };
+        if(/SystemAssigned/i.test(identity.type)) {
+            result.principalId = (account.identity && account.identity.principalId) || _newPrincipal();
+            result.tenantId = tenantId;
+        }
+        if(identity.userAssignedIdentities) {
+            const current = (account.identity && account.identity.userAssignedIdentities) || {};
+            result.userAssignedIdentities = {};
+            Object.keys(identity.userAssignedIdentities).forEach((id) => {
+                result.userAssignedIdentities[id] = current[id] || state.userAssignedIdentities[id.toLowerCase()] || { principalId: _newPrincipal(), clientId: _guid() };
+                state.userAssignedIdentities[id.toLowerCase()] = result.userAssignedIdentities[id];
+            });
+        }
+        account.identity = result;
+    }
+
+    function _accountKeys(account) {
+        return { keys: account._keys.map((key) => ({ keyName: key.keyName, value: key.value, permissions: 'FULL' })) };
+    }
+
+    const storageAccounts = group('storage.storageAccounts', {
+        beginCreateAndWait: async (groupName, name, parameters) => {
+            const id = _accountId(groupName, name);
+            if(state.storageAccounts[id.toLowerCase()]) {
+                throw restError(409, 'StorageAccountAlreadyTaken', util.format('The storage account named %s is already taken.', name));
+            }
+            const account = {
+                id: id,
+                name: name,
+                type: 'Microsoft.Storage/storageAccounts',
+                location: parameters.location,
+                sku: _clone(parameters.sku),
+                kind: parameters.kind,
+                tags: _clone(parameters.tags) || {},
+                allowSharedKeyAccess: parameters.allowSharedKeyAccess,
+                encryption: { keySource: 'Microsoft.Storage', services: { blob: { enabled: true, keyType: 'Account' } } }
+            };
+            Object.defineProperty(account, '_keys', {
+                value: ['key1', 'key2'].map((keyName) => ({ keyName: keyName, value: crypto.randomBytes(32).toString('base64') })),
+                writable: true
+            });
+            if(parameters.identity) {
+                _applyIdentity(account, parameters.identity);
+            }
+            state.storageAccounts[id.toLowerCase()] = account;
+            return _clone(account);
+        },
+        getProperties: async (groupName, name) => _clone(_account(groupName, name)),
+        update: async (groupName, name, parameters) => {
+            const account = _account(groupName, name);
+            if(parameters.identity) {
+                _applyIdentity(account, parameters.identity);
+            }
+            if(parameters.encryption) {
+                const encryption = parameters.encryption;
+                if(/^Microsoft\.Keyvault$/i.test(encryption.keySource)) {
+                    const properties = encryption.keyVaultProperties;
+                    _checkKeyAccess(account, properties.keyVaultUri, properties.keyName, properties.keyVersion, encryption.encryptionIdentity);
+                }
+                account.encryption = _clone(encryption);
+            }
+            ['sku', 'kind', 'tags', 'allowSharedKeyAccess'].forEach((property) => {
+                if(parameters[property] !== undefined) {
+                    account[property] = _clone(parameters[property]);
+                }
+            });
+            return _clone(account);
+        },
+        list: () => _iterate(Object.values(state.storageAccounts).map(_clone)),
+        listByResourceGroup: (groupName) => _iterate(Object.values(state.storageAccounts)
+            .filter((account) => account.id.toLowerCase().indexOf('/resourcegroups/' + groupName.toLowerCase() + '/') >= 0).map(_clone)),
+        checkNameAvailability: async (parameters) => {
+            const taken = Object.values(state.storageAccounts).some((account) => account.name === parameters.name);
+            return taken ? { nameAvailable: false, reason: 'AlreadyExists', message: 'The storage account name is already taken.' } : { nameAvailable: true };
+        },
+        delete: async (groupName, name) => {
+            delete state.storageAccounts[_accountId(groupName, name).toLowerCase()];
+        },
+        listKeys: async (groupName, name) => _accountKeys(_account(groupName, name)),
+        regenerateKey: async (groupName, name, parameters) => {
+            const account = _account(groupName, name);
+            const key = account._keys.find((entry) => entry.keyName === parameters.keyName);
+            if(!key) {
+                throw restError(400, 'InvalidValuesForRequestParameters', util.format('Values for request parameters are invalid: keyName %s.', parameters.keyName));
+            }
+            key.value = crypto.randomBytes(32).toString('base64');
+            return _accountKeys(account);
+        },
+        listAccountSAS: async (groupName, name, parameters) => {
+            const account = _account(groupName, name);
+            if(account.allowSharedKeyAccess === false) {
+                throw restError(403, 'KeyBasedAuthenticationNotPermitted', 'Key based authentication is not permitted on this storage account.');
+            }
+            return { accountSasToken: util.format('sv=2021-06-08&ss=%s&srt=%s&sp=%s&se=%s&sig=fake', parameters.services, parameters.resourceTypes,
+                parameters.permissions, encodeURIComponent(new Date(parameters.sharedAccessExpiryTime).toISOString())) };
+        },
+        listServiceSAS: async (groupName, name, parameters) => {
+            _account(groupName, name);
+            return { serviceSasToken: util.format('sv=2021-06-08&sr=%s&sp=%s&se=%s&sig=fake', parameters.resource, parameters.permissions,
+                encodeURIComponent(new Date(parameters.sharedAccessExpiryTime).toISOString())) };
+        }
+    }, ['list', 'listByResourceGroup']);
+
+    function _scopeKey(groupName, accountName, scopeName) {
+        return (_accountId(groupName, accountName) + '/encryptionScopes/' + scopeName).toLowerCase();
+    }
+
+    function _putScope(groupName, accountName, scopeName, parameters, existing) {
+        const account = _account(groupName, accountName);
+        const scope = Object.assign(existing || {
+            id: _accountId(groupName, accountName) + '/encryptionScopes/' + scopeName,
+            name: scopeName,
+            source: 'Microsoft.Storage',
+            state: 'Enabled'
+        }, _clone(parameters));
+        if(/^Microsoft\.KeyVault$/i.test(scope.source) && parameters.keyVaultProperties) {
+            const key = parameters.keyVaultProperties.keyUri.replace(/\/+$/, '').split('/keys/');
+            const [keyName, keyVersion] = key[1].split('/');
+            _checkKeyAccess(account, key[0], keyName, keyVersion);
+        }
+        state.encryptionScopes[_scopeKey(groupName, accountName, scopeName)] = scope;
+        return _clone(scope);
+    }
+
+    const encryptionScopes = group('storage.encryptionScopes', {
+        put: async (groupName, accountName, scopeName, parameters) => _putScope(groupName, accountName, scopeName, parameters),
+        patch: async (groupName, accountName, scopeName, parameters) => {
+            const existing = state.encryptionScopes[_scopeKey(groupName, accountName, scopeName)];
+            if(!existing) {
+                throw notFound(util.format('Encryption scope %s', scopeName));
+            }
+            return _putScope(groupName, accountName, scopeName, parameters, _clone(existing));
+        },
+        get: async (groupName, accountName, scopeName) => {
+            const scope = state.encryptionScopes[_scopeKey(groupName, accountName, scopeName)];
+            if(!scope) {
+                throw notFound(util.format('Encryption scope %s', scopeName));
+            }
+            return _clone(scope);
+        },
+        list: (groupName, accountName) => {
+            const prefix = (_accountId(groupName, accountName) + '/encryptionScopes/').toLowerCase();
+            return _iterate(Object.keys(state.encryptionScopes).filter((key) => key.startsWith(prefix)).map((key) => _clone(state.encryptionScopes[key])));
+        }
+    }, ['list']);
+
+    const blobContainers = group('storage.blobContainers', {
+        create: async (groupName, accountName, containerName, parameters) => {
+            _account(groupName, accountName);
+            const key = (_accountId(groupName, accountName) + '/blobServices/default/containers/' + containerName).toLowerCase();
+            if(state.containers[key]) {
+                throw restError(409, 'ContainerAlreadyExists', 'The specified container already exists.');
+            }
+            if(parameters && parameters.defaultEncryptionScope && !state.encryptionScopes[_scopeKey(groupName, accountName, parameters.defaultEncryptionScope)]) {
+                throw restError(400, 'EncryptionScopeNotFound', util.format('Encryption scope %s was not found.', parameters.defaultEncryptionScope));
+            }
+            state.containers[key] = Object.assign({ name: containerName }, _clone(parameters));
+            return _clone(state.containers[key]);
+        },
+        delete: async (groupName, accountName, containerName) => {
+            delete state.containers[(_accountId(groupName, accountName) + '/blobServices/default/containers/' + containerName).toLowerCase()];
+        }
+    });
+
+    function _vaultId(groupName, name) {
+        return util.format('/subscriptions/%s/resourceGroups/%s/providers/Microsoft.KeyVault/vaults/%s', subscriptionId, groupName, name);
+    }
+
+    function _vault(groupName, name) {
+        const vault = state.vaults[_vaultId(groupName, name).toLowerCase()];
+        if(!vault) {
+            throw notFound(util.format('Vault %s in resource group %s', name, groupName));
+        }
+        return vault;
+    }
+
+    const vaults = group('keyVault.vaults', {
+        get: async (groupName, name) => _clone(_vault(groupName, name)),
+        update: async (groupName, name, parameters) => {
+            const vault = _vault(groupName, name);
+            Object.assign(vault.properties, _clone(parameters.properties));
+            return _clone(vault);
+        },
+        updateAccessPolicy: async (groupName, name, operationKind, parameters) => {
+            const vault = _vault(groupName, name);
+            const policies = vault.properties.accessPolicies = vault.properties.accessPolicies || [];
+            parameters.properties.accessPolicies.forEach((entry) => {
+                const existing = policies.find((policy) => policy.objectId === entry.objectId && policy.tenantId === entry.tenantId);
+                if(operationKind === 'add') {
+                    if(!existing) {
+                        policies.push(_clone(entry));
+                    } else {
+                        Object.keys(entry.permissions).forEach((kind) => {
+                            existing.permissions[kind] = Array.from(new Set((existing.permissions[kind] || []).concat(entry.permissions[kind])));
+                        });
+                    }
+                    _newGrant(vault.id + '/accessPolicies/' + entry.objectId);
+                } else if(operationKind === 'remove' && existing) {
+                    policies.splice(policies.indexOf(existing), 1);
+                }
+            });
+            return { properties: { accessPolicies: _clone(policies) } };
+        },
+        checkNameAvailability: async (parameters) => {
+            const taken = Object.values(state.vaults).some((vault) => vault.name === parameters.name);
+            return taken ? { nameAvailable: false, reason: 'AlreadyExists' } : { nameAvailable: true };
+        },
+        listBySubscription: () => _iterate(Object.values(state.vaults).map(_clone)),
+        delete: async (groupName, name) => {
+            delete state.vaults[_vaultId(groupName, name).toLowerCase()];
+        },
+        beginPurgeDeletedAndWait: async () => undefined
+    }, ['listBySubscription']);
+
+    function _roleDefinitionId(roleName) {
+        return util.format('/subscriptions/%s/providers/Microsoft.Authorization/roleDefinitions/%s', subscriptionId, ROLE_DEFINITIONS[roleName]);
+    }
+
+    const roleDefinitions = group('authorization.roleDefinitions', {
+        list: async (scope, listOptions) => {
+            const match = /roleName eq '([^']+)'/.exec((listOptions && listOptions.filter) || '');
+            return Object.keys(ROLE_DEFINITIONS).filter((roleName) => !match || match[1] === roleName)
+                .map((roleName) => ({ id: _roleDefinitionId(roleName), name: ROLE_DEFINITIONS[roleName], roleName: roleName }));
+        }
+    });
+
+    const roleAssignments = group('authorization.roleAssignments', {
+        create: async (scope, name, parameters) => {
+            if(!state.principals.has(parameters.principalId)) {
+                throw restError(400, 'PrincipalNotFound', util.format('Principal %s does not exist in the directory %s.', parameters.principalId, tenantId));
+            }
+            const duplicate = Object.values(state.roleAssignments).some((assignment) => assignment.principalId === parameters.principalId &&
+                assignment.roleDefinitionId === parameters.roleDefinitionId && assignment.scope.toLowerCase() === scope.toLowerCase());
+            if(duplicate) {
+                throw restError(409, 'RoleAssignmentExists', 'The role assignment already exists.');
+            }
+            const assignment = {
+                id: scope + '/providers/Microsoft.Authorization/roleAssignments/' + name,
+                name: name,
+                scope: scope,
+                roleDefinitionId: parameters.roleDefinitionId,
+                principalId: parameters.principalId,
+                principalType: parameters.principalType
+            };
+            state.roleAssignments[assignment.id.toLowerCase()] = assignment;
+            _newGrant(assignment.id);
+            return _clone(assignment);
+        },
+        // Like ARM, assignments at, above and below the scope.
+        listForScope: async (scope, listOptions) => {
+            const match = /principalId eq '([^']+)'/.exec((listOptions && listOptions.filter) || '');
+            const lower = scope.toLowerCase().replace(/\/?$/, '/');
+            return Object.values(state.roleAssignments).filter((assignment) => {
+                const assigned = assignment.scope.toLowerCase().replace(/\/?$/, '/');
+                return (!match || assignment.principalId === match[1]) && (lower.startsWith(assigned) || assigned.startsWith(lower));
+            }).map(_clone);
+        },
+        deleteById: async (id) => {
+            if(!state.roleAssignments[id.toLowerCase()]) {
+                throw notFound(util.format('Role assignment %s', id));
+            }
+            delete state.roleAssignments[id.toLowerCase()];
+        }
+    });
+
+    const resourceGroups = group('resources.resourceGroups', {
+        checkExistence: async (name) => ({ body: !!state.resourceGroups[name.toLowerCase()] }),
+        createOrUpdate: async (name, parameters) => {
+            state.resourceGroups[name.toLowerCase()] = Object.assign({ name: name }, _clone(parameters));
+            return _clone(state.resourceGroups[name.toLowerCase()]);
+        },
+        beginDeleteAndWait: async (name) => {
+            delete state.resourceGroups[name.toLowerCase()];
+        }
+    });
+
+    function _keyResult(vaultUri, keyName, version) {
+        return {
+            name: keyName,
+            id: util.format('%skeys/%s/%s', vaultUri, keyName, version.properties.version),
+            keyType: version.keyType,
+            keyOperations: version.keyOperations.slice(),
+            key: {
+                kid: util.format('%skeys/%s/%s', vaultUri, keyName, version.properties.version),
+                kty: version.keyType,
+                n: version.keySize ? Buffer.concat([Buffer.alloc(1), Buffer.alloc(version.keySize / 8, 0xff)]) : undefined
+            },
+            properties: Object.assign({ name: keyName, vaultUrl: vaultUri.replace(/\/$/, '') }, version.properties)
+        };
+    }
+
+    function keyClient(vaultUri) {
+        vaultUri = vaultUri.replace(/\/?$/, '/');
+        const keys = state.keys[vaultUri] = state.keys[vaultUri] || {};
+        const keyNotFound = (keyName) => restError(404, 'KeyNotFound', util.format('A key with (name/id) %s was not found in this key vault.', keyName));
+        const addVersion = (keyName, settings) => {
+            const key = keys[keyName] = keys[keyName] || { versions: [], rotationPolicy: null };
+            key.versions.push({
+                keyType: settings.keyType,
+                keySize: settings.keySize,
+                keyOperations: settings.keyOperations,
+                properties: { version: _version(), enabled: true, createdOn: new Date(), expiresOn: settings.expiresOn }
+            });
+            return _keyResult(vaultUri, keyName, key.versions[key.versions.length - 1]);
+        };
+        return group('keys', {
+            getKey: async (keyName, getOptions) => {
+                const key = keys[keyName];
+                const versions = key ? key.versions : [];
+                const version = getOptions && getOptions.version ?
+                    versions.find((entry) => entry.properties.version === getOptions.version) : versions[versions.length - 1];
+                if(!version) {
+                    throw keyNotFound(keyName);
+                }
+                return _keyResult(vaultUri, keyName, version);
+            },
+            createRsaKey: async (keyName, createOptions) => {
+                createOptions = createOptions || {};
+                return addVersion(keyName, {
+                    keyType: createOptions.hsm ? 'RSA-HSM' : 'RSA',
+                    keySize: createOptions.keySize || 2048,
+                    keyOperations: createOptions.keyOps || ['encrypt', 'decrypt', 'sign', 'verify', 'wrapKey', 'unwrapKey'],
+                    expiresOn: createOptions.expiresOn
+                });
+            },
+            rotateKey: async (keyName) => {
+                const key = keys[keyName];
+                if(!key) {
+                    throw keyNotFound(keyName);
+                }
+                const latest = key.versions[key.versions.length - 1];
+                return addVersion(keyName, { keyType: latest.keyType, keySize: latest.keySize, keyOperations: latest.keyOperations });
+            },
+            getKeyRotationPolicy: async (keyName) => {
+                if(!keys[keyName]) {
+                    throw keyNotFound(keyName);
+                }
+                return _clone(keys[keyName].rotationPolicy) || { lifetimeActions: [] };
+            },
+            updateKeyRotationPolicy: async (keyName, policy) => {
+                if(!keys[keyName]) {
+                    throw keyNotFound(keyName);
+                }
+                keys[keyName].rotationPolicy = _clone(policy);
+                return _clone(policy);
+            },
+            beginDeleteKey: async (keyName) => {
+                if(!keys[keyName]) {
+                    throw keyNotFound(keyName);
+                }
+                delete keys[keyName];
+                return { pollUntilDone: async () => ({ name: keyName }) };
+            },
+            purgeDeletedKey: async () => undefined
+        });
+    }
+
+    function secretClient(vaultUri) {
+        vaultUri = vaultUri.replace(/\/?$/, '/');
+        const secrets = state.secrets[vaultUri] = state.secrets[vaultUri] || {};
+        return group('secrets', {
+            setSecret: async (secretName, value, setOptions) => {
+                const version = _version();
+                secrets[secretName] = { name: secretName, value: value, properties: Object.assign({ name: secretName, version: version }, _clone(setOptions)) };
+                return _clone(secrets[secretName]);
+            },
+            getSecret: async (secretName) => {
+                if(!secrets[secretName]) {
+                    throw restError(404, 'SecretNotFound', util.format('A secret with (name/id) %s was not found in this key vault.', secretName));
+                }
+                return _clone(secrets[secretName]);
+            }
+        });
+    }
+
+    function blobService(url) {
+        const accountName = new URL(url).hostname.split('.')[0];
+        const blobNotFound = (blobName) => restError(404, 'BlobNotFound', util.format('The specified blob %s does not exist.', blobName));
+        const blobClient = (containerName, blobName) => {
+            const id = util.format('%s/%s/%s', accountName, containerName, blobName);
+            const blob = () => {
+                if(!state.blobs[id] || state.blobs[id].content === undefined) {
+                    throw blobNotFound(blobName);
+                }
+                return state.blobs[id];
+            };
+            const write = (content, metadata) => {
+                state.blobs[id] = { content: content, metadata: Object.assign({}, metadata), etag: '"' + _version() + '"', blocks: {} };
+                return { etag: state.blobs[id].etag };
+            };
+            return {
+                upload: async (content, length, uploadOptions) => write(Buffer.from(content), uploadOptions && uploadOptions.metadata),
+                stageBlock: async (blockId, body) => {
+                    state.blobs[id] = state.blobs[id] || { blocks: {} };
+                    state.blobs[id].blocks[blockId] = Buffer.from(body);
+                    return {};
+                },
+                commitBlockList: async (blockIds, commitOptions) => {
+                    const blocks = (state.blobs[id] && state.blobs[id].blocks) || {};
+                    const missing = blockIds.filter((blockId) => !blocks[blockId]);
+                    if(missing.length > 0) {
+                        throw restError(400, 'InvalidBlockList', 'The specified block list is invalid.');
+                    }
+                    return write(Buffer.concat(blockIds.map((blockId) => blocks[blockId])), commitOptions && commitOptions.metadata);
+                },
+                getProperties: async () => ({ metadata: Object.assign({}, blob().metadata), etag: blob().etag, contentLength: blob().content.length }),
+                // The content arrives in small chunks that do not line up with anything, as over the network.
+                download: async (offset, count, downloadOptions) => {
+                    const ifMatch = downloadOptions && downloadOptions.conditions && downloadOptions.conditions.ifMatch;
+                    if(ifMatch && ifMatch !== blob().etag) {
+                        throw restError(412, 'ConditionNotMet', 'The condition specified using HTTP conditional header(s) is not met.');
+                    }
+                    const content = blob().content;
+                    const chunks = [];
+                    for(let start = 0; start < content.length; start += 7000) {
+                        chunks.push(content.subarray(start, start + 7000));
+                    }
+                    return { readableStreamBody: Readable.from(chunks), contentLength: content.length, metadata: Object.assign({}, blob().metadata) };
+                }
+            };
+        };
+        return group('blobService', {
+            getUserDelegationKey: async (startsOn, expiresOn) => ({
+                signedObjectId: _guid(),
+                signedTenantId: tenantId,
+                signedStartsOn: startsOn,
+                signedExpiresOn: expiresOn,
+                signedService: 'b',
+                signedVersion: '2020-02-10',
+                value: crypto.randomBytes(32).toString('base64')
+            }),
+            getContainerClient: (containerName) => group('containerClient', {
+                create: async () => ({}),
+                getBlockBlobClient: (blobName) => group('blockBlobClient', blobClient(containerName, blobName)),
+                getBlobClient: (blobName) => group('blobClient', blobClient(containerName, blobName))
+            })
+        });
+    }
+
+    // Wraps with a secret of each key version instead of its RSA key pair; like Key Vault, unwrapping needs the
+    // version that wrapped, and both operations need the key to allow them.
+    function cryptographyClient(keyId) {
+        const { vaultUri, keyName, keyVersion } = _parseKeyId(keyId);
+        const version = (operation) => {
+            const key = state.keys[vaultUri] && state.keys[vaultUri][keyName];
+            const versions = key ? key.versions : [];
+            const entry = keyVersion ? versions.find((v) => v.properties.version === keyVersion) : versions[versions.length - 1];
+            if(!entry) {
+                throw restError(404, 'KeyNotFound', util.format('A key with (name/id) %s was not found in this key vault.', keyId));
+            }
+            if(entry.properties.enabled === false || entry.keyOperations.indexOf(operation) < 0) {
+                throw restError(403, 'Forbidden', util.format('Operation %s is not allowed on key %s.', operation, keyId));
+            }
+            entry.secret = entry.secret || crypto.randomBytes(32);
+            return entry;
+        };
+        return group('cryptography', {
+            wrapKey: async (algorithm, key) => {
+                const entry = version('wrapKey');
+                const nonce = crypto.randomBytes(12);
+                const cipher = crypto.createCipheriv('aes-256-gcm', entry.secret, nonce);
+                cipher.setAAD(Buffer.from(algorithm));
+                const wrapped = Buffer.concat([nonce, cipher.update(key), cipher.final(), cipher.getAuthTag()]);
+                return { result: new Uint8Array(wrapped), algorithm: algorithm, keyID: util.format('%skeys/%s/%s', vaultUri, keyName, entry.properties.version) };
+            },
+            unwrapKey: async (algorithm, encryptedKey) => {
+                const entry = version('unwrapKey');
+                const wrapped = Buffer.from(encryptedKey);
+                const decipher = crypto.createDecipheriv('aes-256-gcm', entry.secret, wrapped.subarray(0, 12));
+                decipher.setAAD(Buffer.from(algorithm));
+                decipher.setAuthTag(wrapped.subarray(wrapped.length - 16));
+                try {
+                    const key = Buffer.concat([decipher.update(wrapped.subarray(12, wrapped.length - 16)), decipher.final()]);
+                    return { result: new Uint8Array(key), algorithm: algorithm, keyID: keyId };
+                } catch(e) {
+                    throw restError(400, 'BadParameter', 'The parameter is incorrect.');
+                }
+            }
+        });
+    }
+
+    // Microsoft Graph, for the types of the principals Azure AD knows about.
+    const directory = group('directory', {
+        get: async (objectId) => {
+            if(!state.principals.has(objectId)) {
+                throw restError(404, 'Request_ResourceNotFound', util.format("Resource '%s' does not exist or one of its queried reference-property objects are not present.", objectId));
+            }
+            return { id: objectId, '@odata.type': '#microsoft.graph.' + (state.principalTypes[objectId] || 'servicePrincipal') };
+        }
+    });
+
+    const clients = {
+        credential: { getToken: async () => ({ token: 'fake', expiresOnTimestamp: Date.now() + 60 * 60 * 1000 }) },
+        storage: { storageAccounts: storageAccounts, encryptionScopes: encryptionScopes, blobContainers: blobContainers },
+        keyVault: { vaults: vaults },
+        authorization: { roleDefinitions: roleDefinitions, roleAssignments: roleAssignments },
+        resources: { resourceGroups: resourceGroups },
+        directory: directory,
+        keys: keyClient,
+        secrets: secretClient,
+        cryptography: cryptographyClient,
+        blobService: blobService
+    };
+
+    // Add a vault. options.rbac for an RBAC-authorization vault, options.accessPolicies for its access policies.
+    function addVault(groupName, name, vaultOptions) {
+        vaultOptions = vaultOptions || {};
+        const vault = {
+            id: _vaultId(groupName, name),
+            name: name,
+            type: 'Microsoft.KeyVault/vaults',
+            location: vaultOptions.location || 'westus',
+            properties: {
+                tenantId: tenantId,
+                vaultUri: util.format('https://%s.vault.azure.net/', name),
+                sku: { family: 'A', name: 'standard' },
+                enableRbacAuthorization: !!vaultOptions.rbac,
+                enableSoftDelete: vaultOptions.softDelete !== false,
+                enablePurgeProtection: !!vaultOptions.purgeProtection,
+                accessPolicies: _clone(vaultOptions.accessPolicies) || []
+            }
+        };
+        state.vaults[vault.id.toLowerCase()] = vault;
+        return _clone(vault);
+    }
+
+    // Add a storage account with a system-assigned identity (or options.identity), as addStorageAccount creates them.
+    async function addAccount(groupName, name, accountOptions) {
+        accountOptions = accountOptions || {};
+        const account = await clients.storage.storageAccounts.beginCreateAndWait(groupName, name, {
+            location: accountOptions.location || 'westus',
+            sku: { name: accountOptions.sku || 'Standard_RAGRS' },
+            kind: 'StorageV2',
+            identity: accountOptions.identity || { type: 'SystemAssigned' },
+            tags: accountOptions.tags
+        });
+        return account;
+    }
+
+    // The operations called so far, optionally only those starting with `prefix`.
+    function called(prefix) {
+        return calls.filter((call) => !prefix || call.operation.startsWith(prefix)).map((call) => call.operation);
+    }
+
+    return {
+        subscriptionId: subscriptionId,
+        tenantId: tenantId,
+        clients: clients,
+        state: state,
+        calls: calls,
+        called: called,
+        fail: fail,
+        addVault: addVault,
+        addAccount: addAccount,
+        roleDefinitionId: _roleDefinitionId
+    };
+}
+
+module.exports = {
+    SUBSCRIPTION_ID: SUBSCRIPTION_ID,
+    TENANT_ID: TENANT_ID,
+    KEY_VAULT_SERVICE_PRINCIPAL: KEY_VAULT_SERVICE_PRINCIPAL,
+    ROLE_DEFINITIONS: ROLE_DEFINITIONS,
+    restError: restError,
+    notFound: notFound,
+    createFakes: createFakes,
+};
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const KeyEvents = require('../key_events');
+const { createFakes } = require('./fakes');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-events-test-'));
+
+describe('key events', () => {
+    let fakes;
+    let options;
+
+    beforeEach(() => {
+        SampleUtil.configure({ stateDir: stateDir, propagationTimeout: '300ms' }, {}, stateDir);
+        fakes = createFakes();
+        options = { clients: fakes.clients, log: () => {}, statePath: path.join(stateDir, 'key-events.json') };
+        fs.rmSync(options.statePath, { force: true });
+    });
+
+    const nearExpiry = (id, data) => ({
+        id: id, eventType: KeyEvents.KEY_NEAR_EXPIRY, subject: 'key1', eventTime: '2024-01-01T00:00:00Z', data: data
+    });
+
+    it('rotates a key near expiry', async () => {
+        const vault = fakes.addVault('rg', 'kv1');
+        const key = await fakes.clients.keys(vault.properties.vaultUri).createRsaKey('key1');
+
+        const delivery = await KeyEvents.handleDelivery([nearExpiry('1', { Id: key.id })], options);
+
+        assert.strictEqual(delivery.status, 200);
+        assert.strictEqual(delivery.body.results[0].rotated, true);
+        assert.deepStrictEqual(fakes.called('keys.rotateKey'), ['keys.rotateKey']);
+    });
+
+    it('acknowledges and ignores malformed key events', async () => {
+        const events = [
+            nearExpiry('1', undefined),
+            nearExpiry('2', { Id: 42 }),
+            nearExpiry('3', { Id: 'not a key uri' }),
+            nearExpiry('4', { Id: 'https://kv1.vault.azure.net/keys/key1' })
+        ];
+
+        const delivery = await KeyEvents.handleDelivery(events, options);
+
+        assert.strictEqual(delivery.status, 200);
+        assert.deepStrictEqual(delivery.body.results.map((result) => result.ignored), [true, true, true, true]);
+        assert.match(delivery.body.results[3].error, /does not name a key version/);
+        assert.deepStrictEqual(fakes.called('keys.'), []);
+        await assert.rejects(KeyEvents.handleKeyEvent(events[2], options), SampleUtil.ConfigError);
+    });
+
+    describe('createServer', () => {
+        const post = async (server, query, body) => {
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            try {
+                const response = await fetch(util.format('http://127.0.0.1:%d/api/events%s', server.address().port, query), {
+                    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+                });
+                return response.status;
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        };
+
+        it('refuses to start without a secret unless insecure', () => {
+            assert.throws(() => KeyEvents.createServer(options), SampleUtil.ConfigError);
+            assert.ok(KeyEvents.createServer(Object.assign({ insecure: true }, options)));
+        });
+
+        it('refuses deliveries without the right code', async () => {
+            const body = [nearExpiry('1', { Id: 'https://kv1.vault.azure.net/keys/key1' })];
+            const secured = Object.assign({ secret: 's3cret' }, options);
+
+            assert.strictEqual(await post(KeyEvents.createServer(secured), '', body), 401);
+            assert.strictEqual(await post(KeyEvents.createServer(secured), '?code=s3cre', body), 401);
+            assert.strictEqual(await post(KeyEvents.createServer(secured), '?code=s3cret', body), 200);
+        });
+    });
+});
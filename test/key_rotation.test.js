@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const KeyRotation = require('../key_rotation');
+const { createFakes, restError } = require('./fakes');
+
+describe('key rotation', () => {
+    let fakes;
+    let options;
+    let stateDir;
+
+    beforeEach(() => {
+        stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-rotation-test-'));
+        SampleUtil.configure({ stateDir: stateDir }, {}, stateDir);
+        fakes = createFakes();
+        options = { clients: fakes.clients, groupName: 'rg', log: () => {} };
+    });
+
+    const accountKey = async (keyName) => (await fakes.clients.storage.storageAccounts.listKeys('rg', 'acct1')).keys.find((key) => key.keyName === keyName).value;
+    const secret = async (vault, name) => (await fakes.clients.secrets(vault.properties.vaultUri).getSecret(name)).value;
+
+    it('switches consumers to the other key and regenerates the old one after the grace period', async () => {
+        const vault = fakes.addVault('rg', 'kv1');
+        const storageAccount = await fakes.addAccount('rg', 'acct1');
+        const start = Date.parse('2024-01-01T00:00:00Z');
+        const rotate = (at) => KeyRotation.rotateStorageAccountKeys(storageAccount, vault, Object.assign({ now: () => at }, options));
+        const key1 = await accountKey('key1');
+
+        const waiting = await rotate(start);
+
+        assert.deepStrictEqual(waiting, {
+            storageAccount: 'acct1', status: 'waiting', activeKey: 'key2', phase: 'switched', retiringKey: 'key1', regenerateAfter: '2024-01-01T00:15:00.000Z'
+        });
+        const key2 = await accountKey('key2');
+        assert.strictEqual(await secret(vault, 'acct1-key'), key2);
+        assert.ok((await secret(vault, 'acct1-connection-string')).includes(';AccountName=acct1;AccountKey=' + key2 + ';'));
+        assert.strictEqual(await accountKey('key1'), key1);
+
+        const completed = await rotate(start + 15 * 60 * 1000);
+
+        assert.deepStrictEqual([completed.status, completed.activeKey, completed.regeneratedKey], ['completed', 'key2', 'key1']);
+        assert.notStrictEqual(await accountKey('key1'), key1);
+        assert.strictEqual(await secret(vault, 'acct1-key'), await accountKey('key2'));
+
+        // The next rotation starts from key2.
+        assert.deepStrictEqual([(await rotate(start + 60 * 60 * 1000)).retiringKey, await secret(vault, 'acct1-key')], ['key2', await accountKey('key1')]);
+    });
+
+    it('resumes an interrupted rotation from the recorded phase', async () => {
+        const vault = fakes.addVault('rg', 'kv1');
+        const storageAccount = await fakes.addAccount('rg', 'acct1');
+        const rotate = () => KeyRotation.rotateStorageAccountKeys(storageAccount, vault, Object.assign({ gracePeriod: '0s' }, options));
+        fakes.fail('storage.storageAccounts.regenerateKey', restError(500, 'InternalError'));
+
+        await assert.rejects(rotate(), (e) => e.code === 'InternalError');
+        const result = await rotate();
+
+        assert.deepStrictEqual([result.status, result.activeKey, result.regeneratedKey], ['completed', 'key2', 'key1']);
+        assert.deepStrictEqual(fakes.calls.filter((call) => call.operation === 'storage.storageAccounts.regenerateKey').map((call) => call.args[2].keyName),
+            ['key1', 'key1']);
+        assert.strictEqual(await secret(vault, 'acct1-key'), await accountKey('key2'));
+    });
+
+    it('waits out grace periods longer than a timer can hold before regenerating', async () => {
+        const vault = fakes.addVault('rg', 'kv1');
+        const storageAccount = await fakes.addAccount('rg', 'acct1');
+        let clock = Date.parse('2024-01-01T00:00:00Z');
+        const sleeps = [];
+
+        const result = await KeyRotation.rotateStorageAccountKeys(storageAccount, vault, Object.assign({
+            gracePeriod: '30d',
+            wait: true,
+            now: () => clock,
+            sleep: async (ms) => {
+                assert.deepStrictEqual(fakes.called('storage.storageAccounts.regenerateKey'), []);
+                sleeps.push(ms);
+                clock += ms;
+            }
+        }, options));
+
+        assert.strictEqual(result.status, 'completed');
+        assert.deepStrictEqual(sleeps, [2147483647, 30 * 24 * 60 * 60 * 1000 - 2147483647]);
+        assert.deepStrictEqual(fakes.called('storage.storageAccounts.regenerateKey'), ['storage.storageAccounts.regenerateKey']);
+    });
+
+    it('keeps each account\'s progress in its own state file', async () => {
+        const vault = fakes.addVault('rg', 'kv1');
+        const accounts = [await fakes.addAccount('rg', 'acct1'), await fakes.addAccount('rg', 'acct2')];
+
+        await Promise.all(accounts.map((storageAccount) => KeyRotation.rotateStorageAccountKeys(storageAccount, vault, options)));
+
+        assert.deepStrictEqual(fs.readdirSync(path.join(stateDir, 'rotation-state')).sort(), ['rg.acct1.json', 'rg.acct2.json']);
+        assert.strictEqual(SampleUtil.readJsonFile(path.join(stateDir, 'rotation-state', 'rg.acct2.json'))['rg/acct2'].phase, 'switched');
+    });
+});
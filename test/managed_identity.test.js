@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const Sample = require('../storage_account_sample');
+const ManagedIdentity = require('../managed_identity');
+const { createFakes, TENANT_ID } = require('./fakes');
+
+const IDENTITY_ID = '/subscriptions/00000000-0000-0000-0000-00000000aaaa/resourceGroups/rg/providers/Microsoft.ManagedIdentity/userAssignedIdentities/cmk';
+const OTHER_IDENTITY_ID = IDENTITY_ID.replace(/cmk$/, 'other');
+const CLIENT_ID = '11111111-2222-3333-4444-555555555555';
+
+describe('managed identity', () => {
+    describe('validateIdentityOptions', () => {
+        it('accepts no identity, a user-assigned identity and a federated one', () => {
+            assert.deepStrictEqual(ManagedIdentity.validateIdentityOptions(undefined), {});
+            assert.deepStrictEqual(ManagedIdentity.validateIdentityOptions({ userAssignedIdentity: IDENTITY_ID, federatedClientId: CLIENT_ID }),
+                { userAssignedIdentity: IDENTITY_ID, federatedClientId: CLIENT_ID });
+        });
+
+        it('rejects malformed resource IDs and client IDs', () => {
+            assert.throws(() => ManagedIdentity.validateIdentityOptions({ userAssignedIdentity: 'cmk' }), /^Error: "cmk" is not a user-assigned identity resource ID$/);
+            assert.throws(() => ManagedIdentity.validateIdentityOptions({ federatedClientId: CLIENT_ID }), /^Error: a federated client ID requires a user-assigned identity$/);
+            assert.throws(() => ManagedIdentity.validateIdentityOptions({ userAssignedIdentity: IDENTITY_ID, federatedClientId: 'app' }),
+                /^Error: federated client ID "app" is not a GUID$/);
+        });
+    });
+
+    describe('account identities', () => {
+        it('creates an account with the system-assigned or the user-assigned identity', () => {
+            assert.deepStrictEqual(ManagedIdentity.accountIdentity(), { type: 'SystemAssigned' });
+            assert.deepStrictEqual(ManagedIdentity.accountIdentity({ userAssignedIdentity: IDENTITY_ID }),
+                { type: 'UserAssigned', userAssignedIdentities: { [IDENTITY_ID]: {} } });
+        });
+
+        it('adds the requested identity and keeps the ones the account has', () => {
+            const none = { name: 'acct1' };
+            const system = { name: 'acct1', identity: { type: 'SystemAssigned', principalId: 'p1' } };
+            const user = { name: 'acct1', identity: { type: 'UserAssigned', userAssignedIdentities: { [OTHER_IDENTITY_ID]: { principalId: 'p2' } } } };
+
+            assert.deepStrictEqual(ManagedIdentity.identityUpdate(none), { type: 'SystemAssigned' });
+            assert.strictEqual(ManagedIdentity.identityUpdate(system), undefined);
+            assert.deepStrictEqual(ManagedIdentity.identityUpdate(user),
+                { type: 'SystemAssigned,UserAssigned', userAssignedIdentities: { [OTHER_IDENTITY_ID]: {} } });
+            assert.deepStrictEqual(ManagedIdentity.identityUpdate(system, { userAssignedIdentity: IDENTITY_ID }),
+                { type: 'SystemAssigned,UserAssigned', userAssignedIdentities: { [IDENTITY_ID]: {} } });
+            assert.deepStrictEqual(ManagedIdentity.identityUpdate(user, { userAssignedIdentity: IDENTITY_ID }),
+                { type: 'UserAssigned', userAssignedIdentities: { [OTHER_IDENTITY_ID]: {}, [IDENTITY_ID]: {} } });
+        });
+
+        it('matches user-assigned identities regardless of the casing ARM returns', () => {
+            const storageAccount = { name: 'acct1', identity: { type: 'UserAssigned', userAssignedIdentities: { [IDENTITY_ID.toLowerCase()]: { principalId: 'p2' } } } };
+
+            assert.strictEqual(ManagedIdentity.identityUpdate(storageAccount, { userAssignedIdentity: IDENTITY_ID }), undefined);
+            assert.strictEqual(ManagedIdentity.principalIdFor(storageAccount, { userAssignedIdentity: IDENTITY_ID }), 'p2');
+        });
+
+        it('names the identity that the account is missing', () => {
+            const storageAccount = { name: 'acct1', identity: { type: 'None' } };
+
+            assert.throws(() => ManagedIdentity.principalIdFor(storageAccount), /^Error: storage account acct1 has no system-assigned identity$/);
+            assert.throws(() => ManagedIdentity.principalIdFor(storageAccount, { userAssignedIdentity: IDENTITY_ID }),
+                new RegExp('^Error: user-assigned identity ' + IDENTITY_ID + ' is not assigned to storage account acct1$'));
+        });
+    });
+
+    describe('encryption identities', () => {
+        it('encrypts through the user-assigned identity and its federated client', () => {
+            assert.strictEqual(ManagedIdentity.encryptionIdentity({}), undefined);
+            assert.deepStrictEqual(ManagedIdentity.encryptionIdentity({ userAssignedIdentity: IDENTITY_ID }), { encryptionUserAssignedIdentity: IDENTITY_ID });
+            assert.deepStrictEqual(ManagedIdentity.encryptionIdentity({ userAssignedIdentity: IDENTITY_ID, federatedClientId: CLIENT_ID }),
+                { encryptionUserAssignedIdentity: IDENTITY_ID, encryptionFederatedIdentityClientId: CLIENT_ID });
+            assert.deepStrictEqual([ManagedIdentity.isCrossTenant({ userAssignedIdentity: IDENTITY_ID }), ManagedIdentity.isCrossTenant({ federatedClientId: CLIENT_ID })],
+                [false, true]);
+        });
+    });
+
+    describe('cross-tenant keys', () => {
+        let fakes;
+        let options;
+
+        beforeEach(() => {
+            const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-identity-test-'));
+            SampleUtil.configure({ stateDir: stateDir, propagationTimeout: '300ms' }, {}, stateDir);
+            fakes = createFakes();
+            options = { clients: fakes.clients, groupName: 'rg', log: () => {} };
+        });
+
+        it('points the account at the key without creating it or granting access', async () => {
+            const storageAccount = await fakes.addAccount('rg', 'acct1', { identity: ManagedIdentity.accountIdentity({ userAssignedIdentity: IDENTITY_ID }) });
+            // The key owner has created the key and granted the identity access to it.
+            const remoteVault = fakes.addVault('owner-rg', 'remote', { accessPolicies: [{
+                tenantId: TENANT_ID,
+                objectId: ManagedIdentity.principalIdFor(storageAccount, { userAssignedIdentity: IDENTITY_ID }),
+                permissions: { keys: ['get', 'wrapKey', 'unwrapKey'] }
+            }] });
+            await fakes.clients.keys(remoteVault.properties.vaultUri).createRsaKey('tenant-key');
+            const before = fakes.calls.length;
+
+            await Sample.attachCustomerManagedKey(storageAccount, remoteVault, Object.assign({
+                keyName: 'tenant-key',
+                identity: { userAssignedIdentity: IDENTITY_ID, federatedClientId: CLIENT_ID }
+            }, options));
+
+            assert.deepStrictEqual(fakes.calls.slice(before).map((call) => call.operation).filter((operation) => !operation.startsWith('storage.')), []);
+            const updated = await fakes.clients.storage.storageAccounts.getProperties('rg', 'acct1');
+            assert.deepStrictEqual(updated.encryption.encryptionIdentity,
+                { encryptionUserAssignedIdentity: IDENTITY_ID, encryptionFederatedIdentityClientId: CLIENT_ID });
+            assert.deepStrictEqual([updated.encryption.keyVaultProperties.keyName, updated.encryption.keyVaultProperties.keyVersion], ['tenant-key', '']);
+        });
+
+        it('needs the key version to pin a cross-tenant key', async () => {
+            const remoteVault = fakes.addVault('owner-rg', 'remote');
+            const storageAccount = await fakes.addAccount('rg', 'acct1');
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, remoteVault, Object.assign({
+                versioning: 'pinned',
+                identity: { userAssignedIdentity: IDENTITY_ID, federatedClientId: CLIENT_ID }
+            }, options)), /^Error: pinning a cross-tenant key requires its key version$/);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const Manifest = require('../manifest');
+const VaultAccess = require('../vault_access');
+const { createFakes } = require('./fakes');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-manifest-test-'));
+
+describe('manifest', () => {
+    let fakes;
+    let options;
+    let vault;
+
+    beforeEach(() => {
+        SampleUtil.configure({ stateDir: stateDir, propagationTimeout: '300ms' }, {}, stateDir);
+        fakes = createFakes();
+        options = { clients: fakes.clients, log: () => {} };
+        vault = fakes.addVault('rg', 'kv1');
+    });
+
+    const manifest = (encryption) => Manifest.validateManifest({
+        resourceGroup: 'rg',
+        location: 'westus',
+        storageAccounts: [{ name: 'acct1', encryption: Object.assign({ vault: 'kv1' }, encryption) }]
+    });
+    const changes = (result) => result.accounts[0].changes.map((change) => change.action + ' ' + change.resource);
+
+    it('plans a new account and everything it needs', async () => {
+        const result = await Manifest.plan(Manifest.validateManifest({
+            resourceGroup: 'rg',
+            location: 'westus',
+            storageAccounts: [{ name: 'acct1', sasPresets: ['blob-read'], encryption: { vault: 'kv1', keyName: 'cmk' } }]
+        }), options);
+
+        assert.deepStrictEqual([result.create, result.update, result.unsupported], [4, 2, 0]);
+        assert.strictEqual(Manifest.formatPlan(result), [
+            'storage account acct1 (resource group rg)',
+            '  + storage account: acct1 in rg (Standard_RAGRS, StorageV2, westus)',
+            '  + SAS presets: acct1: any -> blob-read',
+            '  + key: cmk in vault kv1 (RSA 2048)',
+            '  ~ rotation policy: cmk: (none) -> expires P90D, Notify P30D, Rotate P30D',
+            '  + key access: acct1 identity -> key cmk in vault kv1 (access policy)',
+            '  ~ encryption: acct1: Microsoft-managed keys -> key cmk in kv1 (auto)',
+            '',
+            'Plan: 4 to create, 2 to change, 0 that cannot be applied in place.'
+        ].join('\n'));
+        assert.deepStrictEqual(fakes.called('storage.storageAccounts.beginCreateAndWait'), []);
+    });
+
+    it('changes nothing when applied a second time', async () => {
+        const desired = manifest({ versioning: 'pinned' });
+        await Manifest.apply(desired, options);
+        const policies = fakes.state.vaults[vault.id.toLowerCase()].properties.accessPolicies;
+        assert.strictEqual(policies.length, 1);
+        fakes.calls.length = 0;
+
+        const again = await Manifest.plan(desired, options);
+        assert.deepStrictEqual([again.create, again.update, again.unsupported], [0, 0, 0]);
+        assert.match(Manifest.formatPlan(again), /acct1 \(resource group rg\): no changes\n\nNo changes\./);
+
+        await Manifest.apply(desired, options);
+        assert.deepStrictEqual(fakes.calls.filter((call) => !/\.(get|getProperties|getKey|getKeyRotationPolicy|list\w*)$/.test(call.operation)), []);
+        assert.deepStrictEqual(fakes.state.vaults[vault.id.toLowerCase()].properties.accessPolicies, policies);
+    });
+
+    it('does not add an access policy the account\'s identity already has', async () => {
+        await fakes.addAccount('rg', 'acct1');
+        const principalId = (await fakes.clients.storage.storageAccounts.getProperties('rg', 'acct1')).identity.principalId;
+        await fakes.clients.keyVault.vaults.updateAccessPolicy('rg', 'kv1', 'add', { properties: { accessPolicies: [{
+            tenantId: fakes.tenantId, objectId: principalId, permissions: VaultAccess.SAMPLE_PERMISSIONS
+        }] } });
+        fakes.calls.length = 0;
+
+        const result = await Manifest.plan(manifest(), options);
+        assert.deepStrictEqual(changes(result).filter((change) => change.endsWith('key access')), []);
+
+        await Manifest.apply(manifest(), options);
+        assert.deepStrictEqual(fakes.called('keyVault.vaults.updateAccessPolicy'), []);
+        assert.strictEqual(fakes.state.vaults[vault.id.toLowerCase()].properties.accessPolicies.length, 1);
+    });
+
+    it('refuses sku and kind changes storage cannot make in place', async () => {
+        await Manifest.apply(manifest(), options);
+        const changed = (spec) => Manifest.validateManifest({
+            resourceGroup: 'rg', location: 'westus', storageAccounts: [Object.assign({ name: 'acct1', encryption: { vault: 'kv1' } }, spec)]
+        });
+
+        assert.deepStrictEqual(changes(await Manifest.plan(changed({ sku: 'Standard_GRS' }), options)), [Manifest.UPDATE + ' storage account']);
+        assert.deepStrictEqual(changes(await Manifest.plan(changed({ sku: 'Standard_ZRS' }), options)), [Manifest.UNSUPPORTED + ' storage account']);
+        assert.deepStrictEqual(changes(await Manifest.plan(changed({ kind: 'BlobStorage' }), options)), [Manifest.UNSUPPORTED + ' storage account']);
+        await assert.rejects(Manifest.apply(changed({ sku: 'Premium_LRS' }), options), /sku Standard_RAGRS -> Premium_LRS cannot be changed in place/);
+    });
+
+    it('only updates the rotation policy when nothing else differs', async () => {
+        await Manifest.apply(manifest(), options);
+        const ledger = { entries: [], record: (entry) => ledger.entries.push(entry) };
+        fakes.calls.length = 0;
+
+        const result = await Manifest.apply(manifest({ rotationPolicy: { expiresIn: '60d' } }), Object.assign({ ledger: ledger }, options));
+
+        assert.deepStrictEqual(changes(result), [Manifest.UPDATE + ' rotation policy']);
+        assert.deepStrictEqual(fakes.called('keys.updateKeyRotationPolicy'), ['keys.updateKeyRotationPolicy']);
+        assert.deepStrictEqual(fakes.called('storage.storageAccounts.update'), []);
+        assert.deepStrictEqual(ledger.entries, []);
+    });
+
+    describe('existing keys', () => {
+        beforeEach(async () => {
+            await fakes.clients.keys(vault.properties.vaultUri).createRsaKey('key1', { keySize: 4096, keyOps: ['wrapKey', 'unwrapKey'] });
+        });
+
+        it('reuses a key of any size when the manifest gives none', async () => {
+            assert.deepStrictEqual(changes(await Manifest.plan(manifest(), options)).filter((change) => change.endsWith(' key')), []);
+
+            await Manifest.apply(manifest(), options);
+
+            assert.deepStrictEqual(fakes.called('keys.createRsaKey'), ['keys.createRsaKey']);
+            const account = await fakes.clients.storage.storageAccounts.getProperties('rg', 'acct1');
+            assert.strictEqual(account.encryption.keyVaultProperties.keyName, 'key1');
+        });
+
+        it('plans a key of another size than the manifest gives as a change apply cannot make', async () => {
+            const sized = manifest({ keySize: 2048 });
+
+            assert.ok(changes(await Manifest.plan(sized, options)).indexOf(Manifest.UNSUPPORTED + ' key') >= 0);
+            await assert.rejects(Manifest.apply(sized, options), (e) => e instanceof SampleUtil.ConfigError && /its size is 4096 bits, not 2048/.test(e.message));
+            assert.deepStrictEqual(fakes.called('storage.storageAccounts.beginCreateAndWait'), []);
+        });
+    });
+});
@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const Naming = require('../naming');
+const SampleUtil = require('../sample_util');
+
+describe('naming', () => {
+    it('generates valid, reproducible names with a prefix', () => {
+        const names = ['storageAccount', 'vault'].map((type) => Naming.generateName(type, { prefix: 'Dev', seed: 's1' }));
+
+        assert.match(names[0], /^dev[a-z]+\d{2}$/);
+        assert.match(names[1], /^Dev-[a-z]+\d{2}$/);
+        assert.deepStrictEqual(['storageAccount', 'vault'].map((type) => Naming.generateName(type, { prefix: 'Dev', seed: 's1' })), names);
+    });
+
+    it('refuses a prefix a name cannot start with when the generator is created', () => {
+        assert.throws(() => Naming.createNameGenerator('vault', { prefix: '2024' }), /prefix "2024" cannot start a vault name/);
+        assert.ok(Naming.createNameGenerator('storageAccount', { prefix: '2024' })());
+    });
+
+    it('checks encryption scope names', () => {
+        assert.strictEqual(Naming.validateName('encryptionScope', 'tenant-a'), 'tenant-a');
+        ['ab', 'Tenant-a', 'tenant--a', '-tenant', 'tenant_a'].forEach((name) => {
+            assert.throws(() => Naming.validateName('encryptionScope', name), { name: 'NamingError', message: new RegExp('^"' + name + '" is not a valid encryptionScope name') });
+        });
+    });
+
+    it('reports such a prefix as a configuration error', () => {
+        try {
+            assert.throws(() => SampleUtil.configure({ namePrefix: '2024' }, {}, __dirname), (e) =>
+                e instanceof SampleUtil.ConfigError && /invalid namePrefix .*cannot start a vault name/.test(e.message));
+            assert.strictEqual(SampleUtil.configure({ namePrefix: 'dev' }, {}, __dirname).namePrefix, 'dev');
+        } finally {
+            SampleUtil.configure({}, {}, __dirname);
+        }
+    });
+});
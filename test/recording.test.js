@@ -0,0 +1,216 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const { createHttpHeaders } = require('@azure/core-rest-pipeline');
+const Recording = require('../recording');
+const Sample = require('../storage_account_sample');
+const VaultAccess = require('../vault_access');
+const Resilience = require('../resilience');
+const SampleUtil = require('../sample_util');
+
+const SUBSCRIPTION_ID = '00000000-0000-0000-0000-00000000aaaa';
+const TENANT_ID = '00000000-0000-0000-0000-00000000bbbb';
+const VAULT_ID = `/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/rg/providers/Microsoft.KeyVault/vaults/kv1`;
+const ROLE_ID = 'e147488a-f6f5-4113-8e2d-b22465e65bf6';
+
+// Secrets the stand-in service returns; none of them may end up in a recording.
+const SECRETS = {
+    accountKey: 'c2VjcmV0LWFjY291bnQta2V5',
+    signature: 'c2lnbmF0dXJl%2B%3D',
+    secretValue: 'hunter2',
+    delegationKey: 'ZGVsZWdhdGlvbi1rZXk='
+};
+
+// Stands in for Azure while recording: answers the requests of the flow below like ARM, Key Vault and Blob storage.
+function createService() {
+    const requests = [];
+    const respond = (request, status, body, headers) => ({
+        request: request,
+        status: status,
+        headers: createHttpHeaders(Object.assign({ 'content-type': 'application/json; charset=utf-8', 'x-ms-request-id': 'abc' }, headers)),
+        bodyAsText: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return {
+        requests: requests,
+        sendRequest: async (request) => {
+            requests.push(request.method + ' ' + request.url);
+            const url = new URL(request.url);
+            const route = url.pathname;
+            if(url.host === 'kv1.vault.azure.net') {
+                // Key Vault challenges unauthenticated requests for the resource to get a token for.
+                if(!request.headers.get('authorization')) {
+                    return respond(request, 401, '', { 'www-authenticate': `Bearer authorization="https://login.microsoftonline.com/${TENANT_ID}", resource="https://vault.azure.net"` });
+                }
+                if(route.startsWith('/secrets/')) {
+                    return respond(request, 200, { value: SECRETS.secretValue, id: 'https://kv1.vault.azure.net/secrets/s1/1', attributes: { enabled: true } });
+                }
+                return respond(request, 200, {
+                    key: { kid: 'https://kv1.vault.azure.net/keys/key1/1', kty: 'RSA', key_ops: ['wrapKey', 'unwrapKey'], n: 'AQAB', e: 'AQAB' },
+                    attributes: { enabled: true }
+                });
+            }
+            if(url.host === 'acct1.blob.core.windows.net') {
+                return {
+                    request: request,
+                    status: 200,
+                    headers: createHttpHeaders({ 'content-type': 'application/xml' }),
+                    bodyAsText: '<?xml version="1.0" encoding="utf-8"?><UserDelegationKey><SignedOid>o</SignedOid><SignedTid>t</SignedTid>' +
+                        '<SignedStart>2030-01-01T00:00:00Z</SignedStart><SignedExpiry>2030-01-02T00:00:00Z</SignedExpiry><SignedService>b</SignedService>' +
+                        `<SignedVersion>2020-02-10</SignedVersion><Value>${SECRETS.delegationKey}</Value></UserDelegationKey>`
+                };
+            }
+            if(/\/listKeys$/.test(route)) {
+                return respond(request, 200, { keys: [{ keyName: 'key1', value: SECRETS.accountKey, permissions: 'FULL' }] });
+            }
+            if(/\/ListAccountSas$/i.test(route)) {
+                return respond(request, 200, { accountSasToken: `sv=2021-06-08&ss=b&srt=co&sp=rw&se=2030-01-01T00%3A00%3A00Z&sig=${SECRETS.signature}` });
+            }
+            if(/\/vaults\/kv1$/.test(route)) {
+                return respond(request, 200, { id: VAULT_ID, name: 'kv1', properties: { vaultUri: 'https://kv1.vault.azure.net/', tenantId: TENANT_ID, sku: { family: 'A', name: 'standard' } } });
+            }
+            if(/\/roleDefinitions$/.test(route)) {
+                return respond(request, 200, { value: [{
+                    id: `/subscriptions/${SUBSCRIPTION_ID}/providers/Microsoft.Authorization/roleDefinitions/${ROLE_ID}`,
+                    name: ROLE_ID,
+                    properties: { roleName: 'Key Vault Crypto Service Encryption User' }
+                }] });
+            }
+            if(/\/roleAssignments\//.test(route)) {
+                return respond(request, 409, { error: { code: 'RoleAssignmentExists', message: 'The role assignment already exists.' } });
+            }
+            return respond(request, 404, { error: { code: 'ResourceNotFound', message: route + ' was not found' } });
+        }
+    };
+}
+
+// One call through each client the sample builds, including an error response.
+async function runFlow(clients) {
+    const result = {};
+    result.accountKey = (await clients.storage.storageAccounts.listKeys('rg', 'acct1')).keys[0].value;
+    result.accountSas = (await clients.storage.storageAccounts.listAccountSAS('rg', 'acct1', {
+        services: 'b', resourceTypes: 'co', permissions: 'rw', sharedAccessExpiryTime: new Date('2030-01-01T00:00:00Z')
+    })).accountSasToken;
+    const vault = await clients.keyVault.vaults.get('rg', 'kv1');
+    result.vaultUri = vault.properties.vaultUri;
+    result.assignment = await VaultAccess.assignRole(clients.authorization, vault.id + '/keys/key1', 'Key Vault Crypto Service Encryption User',
+        '00000000-0000-0000-0000-00000000cccc', 'ServicePrincipal');
+    result.keyId = (await clients.keys(vault.properties.vaultUri).getKey('key1')).id;
+    result.secret = (await clients.secrets(vault.properties.vaultUri).setSecret('s1', SECRETS.secretValue)).value;
+    result.delegationKey = (await clients.blobService('https://acct1.blob.core.windows.net', clients.credential)
+        .getUserDelegationKey(new Date('2030-01-01T00:00:00Z'), new Date('2030-01-02T00:00:00Z'))).value;
+    return result;
+}
+
+function createClients(recorder) {
+    return Sample.createClients(Recording.replayCredential(), SUBSCRIPTION_ID, { recorder: recorder, log: () => {} });
+}
+
+describe('recording', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-recording-'));
+        file = path.join(dir, 'flow.json');
+    });
+
+    describe('redact', () => {
+        it('removes SAS signatures, account keys, connection strings and secret values', () => {
+            assert.strictEqual(Recording.redact('https://a.blob.core.windows.net/c?sv=2021&sig=abc%2B&se=x'), 'https://a.blob.core.windows.net/c?sv=2021&sig=REDACTED&se=x');
+            assert.strictEqual(Recording.redact('DefaultEndpointsProtocol=https;AccountName=a;AccountKey=abc==;EndpointSuffix=core.windows.net'),
+                'DefaultEndpointsProtocol=https;AccountName=a;AccountKey=REDACTED;EndpointSuffix=core.windows.net');
+            assert.strictEqual(Recording.redact('{"keys":[{"keyName":"key1","value":"abc==","permissions":"FULL"}]}'),
+                '{"keys":[{"keyName":"key1","value":"REDACTED","permissions":"FULL"}]}');
+            assert.strictEqual(Recording.redact('<UserDelegationKey><Value>abc=</Value></UserDelegationKey>'), '<UserDelegationKey><Value>REDACTED</Value></UserDelegationKey>');
+        });
+
+        it('leaves list results and other properties alone', () => {
+            const text = '{"value":[{"name":"acct1","kind":"StorageV2"}],"nextLink":null}';
+            assert.strictEqual(Recording.redact(text), text);
+        });
+    });
+
+    it('records every client\'s traffic without secrets or credentials', async () => {
+        const service = createService();
+        const recorder = Recording.createRecorder({ mode: Recording.MODE_RECORD, file: file, httpClient: service });
+
+        const result = await runFlow(createClients(recorder));
+
+        assert.strictEqual(result.accountKey, SECRETS.accountKey);
+        assert.strictEqual(result.assignment, undefined);
+        const text = fs.readFileSync(file, 'utf8');
+        Object.keys(SECRETS).forEach((name) => assert.ok(!text.includes(SECRETS[name]), name + ' was recorded'));
+        assert.ok(!/authorization"\s*:/i.test(text), 'request headers were recorded');
+        assert.ok(!text.includes('x-ms-request-id'));
+        assert.strictEqual(JSON.parse(text).entries.length, service.requests.length);
+    });
+
+    it('replays a recording without calling the service', async () => {
+        const service = createService();
+        const recorded = await runFlow(createClients(Recording.createRecorder({ mode: Recording.MODE_RECORD, file: file, httpClient: service })));
+        const live = service.requests.length;
+
+        const recorder = Recording.createRecorder({ mode: Recording.MODE_REPLAY, file: file, httpClient: service });
+        const replayed = await runFlow(createClients(recorder));
+
+        assert.strictEqual(service.requests.length, live);
+        assert.deepStrictEqual(recorder.pending(), []);
+        assert.deepStrictEqual(replayed, Object.assign({}, recorded, {
+            accountKey: Recording.REDACTED,
+            accountSas: recorded.accountSas.replace(SECRETS.signature, Recording.REDACTED),
+            secret: Recording.REDACTED,
+            delegationKey: Recording.REDACTED
+        }));
+    });
+
+    it('replays recorded errors', async () => {
+        fs.writeFileSync(file, JSON.stringify({ entries: [{
+            method: 'GET',
+            url: `https://management.azure.com/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/rg/providers/Microsoft.KeyVault/vaults/missing?api-version=2021-10-01`,
+            status: 404,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ error: { code: 'ResourceNotFound', message: 'The Resource was not found.' } })
+        }] }));
+        const clients = createClients(Recording.createRecorder({ mode: Recording.MODE_REPLAY, file: file }));
+
+        await assert.rejects(clients.keyVault.vaults.get('rg', 'missing'), (e) => e.statusCode === 404 && Resilience.errorCode(e) === 'ResourceNotFound');
+    });
+
+    it('fails a request the recording has no response for', async () => {
+        fs.writeFileSync(file, JSON.stringify({ entries: [] }));
+        const clients = createClients(Recording.createRecorder({ mode: Recording.MODE_REPLAY, file: file }));
+
+        await assert.rejects(clients.keyVault.vaults.get('rg', 'kv1'), (e) =>
+            e.cause instanceof Recording.RecordingMismatchError && /no recorded response left in .* for GET https:\/\/management\.azure\.com/.test(e.message));
+    });
+
+    it('refuses a missing recording and an unknown mode', () => {
+        assert.throws(() => Recording.createRecorder({ mode: Recording.MODE_REPLAY, file: path.join(dir, 'missing.json') }), Recording.RecordingMismatchError);
+        assert.throws(() => Recording.createRecorder({ mode: 'live', file: file }), /unknown recording mode "live"/);
+    });
+
+    it('is configured through the recording settings', () => {
+        fs.writeFileSync(file, JSON.stringify({ entries: [] }));
+        try {
+            SampleUtil.configure({}, { AZURE_SAMPLE_RECORDING: file, AZURE_SUBSCRIPTION_ID: SUBSCRIPTION_ID }, dir);
+
+            assert.strictEqual(SampleUtil.getRecorder().mode, Recording.MODE_REPLAY);
+            assert.strictEqual(typeof SampleUtil.clientOptions(true).httpClient.sendRequest, 'function');
+            // Replaying needs no sign-in.
+            assert.strictEqual(typeof SampleUtil.getManagementCredentials().getToken, 'function');
+        } finally {
+            SampleUtil.configure({}, {}, dir);
+        }
+        assert.strictEqual(SampleUtil.getRecorder(), null);
+        assert.deepStrictEqual(SampleUtil.clientOptions(), {});
+    });
+});
@@ -0,0 +1,66 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const { Readable } = require('stream');
+const { describe, it } = require('node:test');
+const Resilience = require('../resilience');
+const { restError } = require('./fakes');
+
+// A client whose operations fail once with `error` before they succeed, counting the calls.
+function flakyClient(error) {
+    const calls = {};
+    const operation = (name) => async () => {
+        calls[name] = (calls[name] || 0) + 1;
+        if(calls[name] === 1) {
+            throw error;
+        }
+        return name;
+    };
+    class KeyClient {}
+    const client = Object.assign(new KeyClient(), {
+        getKey: operation('getKey'),
+        rotateKey: operation('rotateKey'),
+        createRsaKey: operation('createRsaKey'),
+        upload: operation('upload')
+    });
+    return { calls: calls, client: Resilience.resilientClient(client, { sleep: async () => {} }) };
+}
+
+describe('resilience', () => {
+    describe('resilientClient', () => {
+        it('retries idempotent operations after a transient error', async () => {
+            const { client, calls } = flakyClient(restError(503, 'ServiceUnavailable'));
+
+            assert.strictEqual(await client.getKey('key1'), 'getKey');
+            assert.strictEqual(await client.upload(Buffer.from('data'), 4), 'upload');
+            assert.deepStrictEqual(calls, { getKey: 2, upload: 2 });
+        });
+
+        it('sends other operations once, since the service may already have applied them', async () => {
+            const { client, calls } = flakyClient(restError(503, 'ServiceUnavailable'));
+
+            await assert.rejects(client.rotateKey('key1'), (e) => e instanceof Resilience.OperationError && e.kind === Resilience.TRANSIENT);
+            await assert.rejects(client.createRsaKey('key1'), Resilience.OperationError);
+            assert.deepStrictEqual(calls, { rotateKey: 1, createRsaKey: 1 });
+        });
+
+        it('never sends a stream body twice', async () => {
+            const { client, calls } = flakyClient(restError(429, 'TooManyRequests'));
+
+            await assert.rejects(client.upload(Readable.from([Buffer.from('data')]), 4), (e) => e.kind === Resilience.THROTTLED);
+            assert.deepStrictEqual(calls, { upload: 1 });
+        });
+    });
+
+    it('reads the service error code through an OperationError', () => {
+        const cause = new Error('exists');
+        cause.details = { error: { code: 'RoleAssignmentExists' } };
+
+        assert.strictEqual(Resilience.errorCode(new Resilience.OperationError('create', Resilience.CONFLICT, cause, 1)), 'RoleAssignmentExists');
+    });
+});
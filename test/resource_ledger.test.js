@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const ResourceLedger = require('../resource_ledger');
+const { createFakes, restError } = require('./fakes');
+
+describe('resource ledger', () => {
+    let fakes;
+    let ledgerDir;
+    let vault;
+
+    beforeEach(() => {
+        const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-ledger-test-'));
+        SampleUtil.configure({ stateDir: stateDir }, {}, stateDir);
+        ledgerDir = path.join(stateDir, 'ledgers');
+        fakes = createFakes();
+        vault = fakes.addVault('rg', 'kv1', { purgeProtection: true });
+    });
+
+    const rollback = (ledger, options) => ledger.rollback(fakes.clients, Object.assign({ log: () => {} }, options));
+
+    it('persists every entry as it is recorded, and lists the runs', () => {
+        const ledger = ResourceLedger.createLedger();
+        ledger.record({ type: 'storageAccount', groupName: 'rg', name: 'acct1' });
+
+        assert.ok(/^\d{8}T\d{6}-[0-9a-z]+$/.test(ledger.runId), ledger.runId);
+        const reopened = ResourceLedger.openLedger(ledger.runId);
+        assert.deepStrictEqual(reopened.entries.map((entry) => [entry.type, entry.name, entry.status]), [['storageAccount', 'acct1', 'created']]);
+        assert.deepStrictEqual(ResourceLedger.listLedgers().map((run) => [run.runId, run.remaining]), [[ledger.runId, 1]]);
+        assert.deepStrictEqual(fs.readdirSync(ledgerDir), [ledger.runId + '.json']);
+    });
+
+    it('records nothing without a ledger file, and fails to open an unknown run', () => {
+        ResourceLedger.noLedger.record({ type: 'storageAccount', groupName: 'rg', name: 'acct1' });
+
+        assert.deepStrictEqual(ResourceLedger.noLedger.entries, []);
+        assert.deepStrictEqual(ResourceLedger.listLedgers(), []);
+        assert.throws(() => ResourceLedger.openLedger('missing'), /^Error: no ledger found for run missing in /);
+    });
+
+    it('removes the entries newest first', async () => {
+        await fakes.addAccount('rg', 'acct1');
+        await fakes.clients.storage.blobContainers.create('rg', 'acct1', 'data', {});
+        const ledger = ResourceLedger.createLedger();
+        ledger.record({ type: 'storageAccount', groupName: 'rg', name: 'acct1' });
+        ledger.record({ type: 'container', groupName: 'rg', accountName: 'acct1', name: 'data' });
+        const before = fakes.calls.length;
+
+        const summary = await rollback(ledger);
+
+        assert.deepStrictEqual(fakes.calls.slice(before).map((call) => call.operation), ['storage.blobContainers.delete', 'storage.storageAccounts.delete']);
+        assert.deepStrictEqual([summary.removed, summary.failed], [2, 0]);
+        assert.deepStrictEqual(ResourceLedger.listLedgers()[0].remaining, 0);
+    });
+
+    it('records failures, carries on and retries them on the next rollback', async () => {
+        await fakes.addAccount('rg', 'acct1');
+        await fakes.addAccount('rg', 'acct2');
+        const ledger = ResourceLedger.createLedger();
+        ledger.record({ type: 'storageAccount', groupName: 'rg', name: 'acct1' });
+        ledger.record({ type: 'storageAccount', groupName: 'rg', name: 'acct2' });
+        fakes.fail('storage.storageAccounts.delete', restError(409, 'Conflict', 'the account is busy'));
+
+        const failed = await rollback(ledger);
+
+        assert.deepStrictEqual(failed.results.map((result) => [result.resource, result.status, result.note]),
+            [['storageAccount acct2', 'failed', 'the account is busy'], ['storageAccount acct1', 'removed', undefined]]);
+        const retried = await rollback(ResourceLedger.openLedger(ledger.runId));
+        assert.deepStrictEqual(retried.results.map((result) => [result.resource, result.status]), [['storageAccount acct2', 'removed']]);
+    });
+
+    it('treats a resource that is already gone as removed', async () => {
+        const ledger = ResourceLedger.createLedger();
+        ledger.record({ type: 'container', groupName: 'rg', accountName: 'acct1', name: 'data' });
+        fakes.fail('storage.blobContainers.delete', restError(404, 'ContainerNotFound'));
+
+        const summary = await rollback(ledger);
+
+        assert.deepStrictEqual(summary.results, [{ resource: 'container data in acct1', status: 'removed', note: 'already gone' }]);
+    });
+
+    it('does not purge a key that purge protection covers', async () => {
+        await fakes.clients.keys(vault.properties.vaultUri).createRsaKey('key1');
+        const ledger = ResourceLedger.createLedger();
+        ledger.record({ type: 'key', vaultUri: vault.properties.vaultUri, name: 'key1', purgeProtection: true });
+
+        const summary = await rollback(ledger, { purge: true });
+
+        assert.deepStrictEqual(summary.results[0].note, 'deleted; purge protection prevents purging');
+        assert.deepStrictEqual(fakes.called('keys.purgeDeletedKey'), []);
+    });
+
+    it('fails an entry of an unknown type', async () => {
+        const ledger = ResourceLedger.createLedger();
+        ledger.record({ type: 'queue', name: 'q1' });
+
+        const summary = await rollback(ledger);
+
+        assert.deepStrictEqual(summary.results, [{ resource: 'queue q1', status: 'failed', note: 'unknown ledger entry type queue' }]);
+    });
+});
@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+
+describe('configuration', () => {
+    let cwd;
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-config-test-'));
+    });
+
+    const write = (file, text) => fs.writeFileSync(path.join(cwd, file), text);
+
+    it('lets the environment, .env, the config file and flags override each other in turn', () => {
+        const env = { AZURE_LOCATION: 'env-location', AZURE_RESOURCE_GROUP: 'env-group', AZURE_SAMPLE_VAULT_NAME: 'env-vault', AZURE_NAME_SEED: 'env-seed' };
+        write('.env', 'AZURE_RESOURCE_GROUP=dotenv-group\nAZURE_SAMPLE_VAULT_NAME=dotenv-vault\nAZURE_NAME_SEED=dotenv-seed\n');
+        write('kv-storage.config.yaml', 'vaultName: file-vault\nnameSeed: file-seed\n');
+
+        const config = SampleUtil.loadConfig({ nameSeed: 'flag-seed' }, env, cwd);
+
+        assert.deepStrictEqual([config.azureLocation, config.groupName, config.vaultName, config.nameSeed],
+            ['env-location', 'dotenv-group', 'file-vault', 'flag-seed']);
+        assert.deepStrictEqual([config.origins.azureLocation, config.origins.groupName, config.origins.vaultName, config.origins.nameSeed],
+            ['environment AZURE_LOCATION', '.env AZURE_RESOURCE_GROUP', 'config file ' + path.join(cwd, 'kv-storage.config.yaml'), 'command line']);
+        assert.deepStrictEqual([config.sasMaxLifetime, config.origins.sasMaxLifetime], ['24h', 'defaults']);
+    });
+
+    it('reads the config file named by --config or AZURE_SAMPLE_CONFIG', () => {
+        write('named.json', JSON.stringify({ groupName: 'named-group' }));
+        write('kv-storage.config.json', JSON.stringify({ groupName: 'default-file-group' }));
+
+        assert.strictEqual(SampleUtil.loadConfig({ configFile: 'named.json' }, {}, cwd).groupName, 'named-group');
+        assert.strictEqual(SampleUtil.loadConfig({}, { AZURE_SAMPLE_CONFIG: 'named.json' }, cwd).groupName, 'named-group');
+        assert.strictEqual(SampleUtil.loadConfig({}, {}, cwd).groupName, 'default-file-group');
+    });
+
+    it('names the source of an invalid value', () => {
+        assert.throws(() => SampleUtil.loadConfig({}, { AZURE_SUBSCRIPTION_ID: 'not-a-guid' }, cwd),
+            { name: 'ConfigError', message: 'invalid subscriptionId from environment AZURE_SUBSCRIPTION_ID: expected a GUID, got "not-a-guid"' });
+        write('.env', 'AZURE_SAS_ALLOW_HTTP=maybe\n');
+        assert.throws(() => SampleUtil.loadConfig({}, {}, cwd), { name: 'ConfigError', message: /^invalid sasAllowHttp from .env AZURE_SAS_ALLOW_HTTP: expected true or false/ });
+    });
+
+    it('rejects unknown settings and unreadable config files', () => {
+        write('kv-storage.config.json', JSON.stringify({ groupname: 'rg' }));
+        assert.throws(() => SampleUtil.loadConfig({}, {}, cwd), { name: 'ConfigError', message: /^unknown setting "groupname" in config file/ });
+        assert.throws(() => SampleUtil.loadConfig({ configFile: 'missing.yaml' }, {}, cwd), { name: 'ConfigError', message: /^cannot read config file / });
+        write('broken.json', '{');
+        assert.throws(() => SampleUtil.loadConfig({ configFile: 'broken.json' }, {}, cwd), { name: 'ConfigError', message: /^cannot parse config file / });
+    });
+
+    it('reports missing settings with their environment variables', () => {
+        SampleUtil.configure({}, {}, cwd);
+
+        assert.throws(() => SampleUtil.requireSettings(['subscriptionId', 'credential']), {
+            name: 'ConfigError',
+            message: 'missing configuration: subscriptionId, credential. Set them in the environment, .env or a config file, e.g. AZURE_SUBSCRIPTION_ID, AZURE_CREDENTIAL'
+        });
+    });
+});
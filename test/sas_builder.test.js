@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const SasBuilder = require('../sas_builder');
+
+const NOW = Date.parse('2024-01-01T12:00:00Z');
+const ORG_POLICY = { maxLifetime: '24h', httpsOnly: true };
+
+const build = (spec, orgPolicy) => SasBuilder.buildSasPolicy(spec, Object.assign({}, ORG_POLICY, orgPolicy), () => NOW);
+
+describe('SAS builder', () => {
+    describe('buildSasPolicy', () => {
+        it('builds an https-only account SAS from a preset, starting before now to allow for clock skew', () => {
+            assert.deepStrictEqual(build({ preset: 'blob-read', lifetime: '2h' }), {
+                kind: 'account',
+                services: 'b',
+                resourceTypes: 'co',
+                permissions: 'rl',
+                lifetime: 2 * 60 * 60 * 1000,
+                protocol: 'https',
+                startsOn: new Date('2024-01-01T11:55:00Z'),
+                expiresOn: new Date('2024-01-01T14:00:00Z')
+            });
+        });
+
+        it('lets explicit letters override the preset, and checks them', () => {
+            assert.strictEqual(build({ preset: 'blob-read', permissions: 'r' }).permissions, 'r');
+            assert.throws(() => build({ preset: 'blob-read', services: 'x' }), { name: 'SasPolicyError', message: /^invalid services "x"/ });
+            assert.throws(() => build({ services: 'b', resourceTypes: 'o' }), { name: 'SasPolicyError', message: 'no account SAS permissions given' });
+            assert.throws(() => build({ preset: 'no-such-preset' }), { name: 'SasPolicyError', message: /^unknown SAS preset "no-such-preset"/ });
+        });
+
+        it('narrows blob presets to the letters a container or blob SAS can carry', () => {
+            assert.strictEqual(build({ preset: 'blob-read-write', kind: 'container' }).permissions, 'racwl');
+            assert.strictEqual(build({ preset: 'blob-read-write', kind: 'blob' }).permissions, 'racw');
+            assert.throws(() => build({ permissions: 'rl', kind: 'blob' }), { name: 'SasPolicyError', message: /^invalid blob SAS permissions "rl"/ });
+            assert.throws(() => build({ preset: 'queue-read', kind: 'blob' }), { name: 'SasPolicyError', message: 'preset "queue-read" is not a blob preset and cannot be used for a blob SAS' });
+            assert.throws(() => build({ preset: 'blob-read', kind: 'share' }), { name: 'SasPolicyError', message: /^unknown SAS kind "share"/ });
+        });
+
+        it('enforces the organisation SAS policy', () => {
+            assert.throws(() => build({ preset: 'blob-read', lifetime: '2d' }), { name: 'SasPolicyError', message: 'SAS lifetime 2d exceeds the maximum of 24h' });
+            assert.throws(() => build({ preset: 'blob-read', lifetime: '0s' }), { name: 'SasPolicyError', message: 'SAS lifetime must be positive' });
+            assert.throws(() => build({ preset: 'blob-read', allowHttp: true }), { name: 'SasPolicyError', message: /^SAS over http is not allowed/ });
+            assert.strictEqual(build({ preset: 'blob-read', allowHttp: true }, { httpsOnly: false }).protocol, 'https,http');
+        });
+    });
+
+    describe('allowed presets', () => {
+        const account = (tag) => ({ name: 'acct1', tags: tag === undefined ? {} : { [SasBuilder.PRESETS_TAG]: tag } });
+
+        it('allows any preset without the tag, and only the listed ones with it', () => {
+            assert.strictEqual(SasBuilder.allowedPresets(account()), undefined);
+            assert.deepStrictEqual(SasBuilder.allowedPresets(account('blob-read, queue-read,')), ['blob-read', 'queue-read']);
+
+            SasBuilder.assertPresetAllowed({ permissions: 'rwdl' }, account());
+            SasBuilder.assertPresetAllowed({ preset: 'blob-read' }, account('blob-read'));
+            assert.throws(() => SasBuilder.assertPresetAllowed({ preset: 'blob-write' }, account('blob-read')),
+                { name: 'SasPolicyError', message: 'storage account acct1 only allows SAS from the presets: blob-read' });
+            assert.throws(() => SasBuilder.assertPresetAllowed({ preset: 'blob-read', permissions: 'rwdl' }, account('blob-read')),
+                { name: 'SasPolicyError', message: 'storage account acct1 does not allow overriding the letters of SAS presets' });
+            assert.throws(() => SasBuilder.assertPresetAllowed({ preset: 'blob-read' }, account('')),
+                { name: 'SasPolicyError', message: 'storage account acct1 only allows SAS from the presets: (none)' });
+        });
+    });
+
+    describe('SAS parameters', () => {
+        it('converts a policy to account and service SAS parameters', () => {
+            const policy = build({ preset: 'blob-read', kind: 'blob' });
+
+            assert.deepStrictEqual(SasBuilder.toServiceSasParameters(policy, 'acct1', 'data', 'a.txt', 'key2'), {
+                canonicalizedResource: '/blob/acct1/data/a.txt',
+                resource: 'b',
+                keyToSign: 'key2',
+                sharedAccessStartTime: policy.startsOn,
+                sharedAccessExpiryTime: policy.expiresOn,
+                protocols: 'https',
+                permissions: 'r'
+            });
+            assert.strictEqual(SasBuilder.toServiceSasParameters(policy, 'acct1', 'data').resource, 'c');
+            assert.strictEqual(SasBuilder.toAccountSasParameters(build({ preset: 'queue-read' }), 'key1').services, 'q');
+        });
+
+        it('limits user delegation SAS to seven days', () => {
+            const policy = build({ preset: 'blob-read', kind: 'container', lifetime: '8d' }, { maxLifetime: '30d' });
+            const key = { signedObjectId: 'o', signedTenantId: 't', signedStartsOn: policy.startsOn, signedExpiresOn: policy.expiresOn,
+                signedService: 'b', signedVersion: '2020-02-10', value: Buffer.alloc(32).toString('base64') };
+
+            assert.throws(() => SasBuilder.signUserDelegationSas(policy, key, 'acct1', 'data'),
+                { name: 'SasPolicyError', message: 'user delegation SAS cannot be valid for more than 7 days' });
+            const sas = new URLSearchParams(SasBuilder.signUserDelegationSas(build({ preset: 'blob-read', kind: 'container' }), key, 'acct1', 'data'));
+            assert.deepStrictEqual([sas.get('sp'), sas.get('sr'), sas.get('spr'), sas.get('skoid')], ['rl', 'c', 'https', 'o']);
+        });
+    });
+});
@@ -0,0 +1,572 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const SampleUtil = require('../sample_util');
+const Sample = require('../storage_account_sample');
+const CmkLifecycle = require('../cmk_lifecycle');
+const SasBuilder = require('../sas_builder');
+const Resilience = require('../resilience');
+const ResourceLedger = require('../resource_ledger');
+const EnvelopeEncryption = require('../envelope_encryption');
+const { createFakes, restError, KEY_VAULT_SERVICE_PRINCIPAL, ROLE_DEFINITIONS } = require('./fakes');
+
+const GROUP = 'rg';
+const IDENTITY_ID = '/subscriptions/00000000-0000-0000-0000-00000000aaaa/resourceGroups/rg/providers/Microsoft.ManagedIdentity/userAssignedIdentities/cmk';
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-storage-test-'));
+
+describe('storage account sample steps', () => {
+    let fakes;
+    let logs;
+    let options;
+
+    beforeEach(() => {
+        // A short propagation timeout keeps the waits for new grants fast.
+        SampleUtil.configure({ stateDir: stateDir, propagationTimeout: '300ms' }, {}, stateDir);
+        fakes = createFakes();
+        logs = [];
+        options = { clients: fakes.clients, groupName: GROUP, log: (message) => logs.push(message) };
+    });
+
+    const account = (name) => fakes.clients.storage.storageAccounts.getProperties(GROUP, name || 'acct1');
+    const keyVaultProperties = async (name) => (await account(name)).encryption.keyVaultProperties;
+
+    describe('addStorageAccount', () => {
+        it('creates the account, lets Key Vault operate its keys and switches it to a new customer-managed key', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const ledger = ResourceLedger.createLedger();
+
+            const created = await Sample.addStorageAccount(vault, Object.assign({ accountName: 'acct1', ledger: ledger }, options));
+
+            assert.strictEqual(created.name, 'acct1');
+            assert.strictEqual(created.sku.name, 'Standard_RAGRS');
+            const operator = Object.values(fakes.state.roleAssignments).find((a) => a.principalId === KEY_VAULT_SERVICE_PRINCIPAL);
+            assert.ok(operator.roleDefinitionId.endsWith(ROLE_DEFINITIONS['Storage Account Key Operator Service Role']));
+            assert.deepStrictEqual(await keyVaultProperties(), { keyName: 'key1', keyVersion: '', keyVaultUri: vault.properties.vaultUri });
+            const key = await fakes.clients.keys(vault.properties.vaultUri).getKeyRotationPolicy('key1');
+            assert.strictEqual(key.expiresIn, 'P90D');
+            assert.deepStrictEqual(ledger.entries.map((entry) => entry.type), ['storageAccount', 'roleAssignment', 'key', 'accessPolicy', 'encryption']);
+        });
+
+        it('uses the given location, SKU, tags and shared key setting', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+
+            await Sample.addStorageAccount(vault, Object.assign({
+                accountName: 'acct1', location: 'eastus', sku: 'Standard_ZRS', tags: { env: 'test' }, allowSharedKeyAccess: false
+            }, options));
+
+            const created = await account();
+            assert.strictEqual(created.location, 'eastus');
+            assert.strictEqual(created.sku.name, 'Standard_ZRS');
+            assert.deepStrictEqual(created.tags, { env: 'test' });
+            assert.strictEqual(created.allowSharedKeyAccess, false);
+        });
+
+        it('fails when the account name is taken', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            await fakes.addAccount(GROUP, 'acct1');
+
+            await assert.rejects(Sample.addStorageAccount(vault, Object.assign({ accountName: 'acct1' }, options)),
+                (e) => Resilience.errorCode(e) === 'StorageAccountAlreadyTaken');
+        });
+    });
+
+    describe('attachCustomerManagedKey', () => {
+        it('grants an access policy on access-policy vaults', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+
+            const result = await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+
+            const policy = fakes.state.vaults[vault.id.toLowerCase()].properties.accessPolicies[0];
+            assert.strictEqual(policy.objectId, storageAccount.identity.principalId);
+            assert.deepStrictEqual(policy.permissions.keys, ['all']);
+            assert.strictEqual(result.versioning, CmkLifecycle.VERSIONING_AUTO);
+            assert.strictEqual((await keyVaultProperties()).keyVersion, '');
+        });
+
+        it('assigns the encryption role on the key on RBAC vaults and can pin the key version', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+
+            const result = await Sample.attachCustomerManagedKey(storageAccount, vault,
+                Object.assign({ keyName: 'cmk', versioning: CmkLifecycle.VERSIONING_PINNED }, options));
+
+            const assignment = Object.values(fakes.state.roleAssignments)[0];
+            assert.strictEqual(assignment.scope, vault.id + '/keys/cmk');
+            assert.strictEqual(assignment.principalId, storageAccount.identity.principalId);
+            assert.ok(assignment.roleDefinitionId.endsWith(ROLE_DEFINITIONS['Key Vault Crypto Service Encryption User']));
+            assert.strictEqual((await keyVaultProperties()).keyVersion, result.keyVersion);
+            assert.ok(result.keyVersion);
+        });
+
+        it('treats an existing role assignment (RoleAssignmentExists) as granted', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            const ledger = ResourceLedger.createLedger();
+            await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+
+            await Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ ledger: ledger }, options));
+
+            assert.strictEqual(Object.keys(fakes.state.roleAssignments).length, 1);
+            assert.strictEqual(fakes.called('authorization.roleAssignments.create').length, 2);
+            assert.deepStrictEqual(ledger.entries.map((entry) => entry.type), ['encryption']);
+        });
+
+        it('fails on other role assignment conflicts', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            fakes.fail('authorization.roleAssignments.create', restError(409, 'RoleAssignmentUpdateNotPermitted', 'Tenant ID, application ID, principal ID, and scope are not allowed to be updated.'));
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, options), (e) => Resilience.errorCode(e) === 'RoleAssignmentUpdateNotPermitted');
+            assert.deepStrictEqual(fakes.state.roleAssignments, {});
+        });
+
+        it('waits for a new identity to reach Azure AD (PrincipalNotFound)', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            fakes.fail('authorization.roleAssignments.create', restError(400, 'PrincipalNotFound', 'Principal does not exist in the directory.'));
+
+            await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+
+            assert.strictEqual(fakes.called('authorization.roleAssignments.create').length, 2);
+            assert.ok(logs.some((line) => /^Waiting until principal/.test(line)));
+        });
+
+        it('does not wait when the operator may not assign roles (AuthorizationFailed)', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            fakes.fail('authorization.roleAssignments.create', restError(403, 'AuthorizationFailed', 'The client does not have authorization.'));
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, options), (e) => Resilience.errorCode(e) === 'AuthorizationFailed');
+            assert.strictEqual(fakes.called('authorization.roleAssignments.create').length, 1);
+            assert.strictEqual((await account()).encryption.keySource, 'Microsoft.Storage');
+        });
+
+        it('retries the switch until a new access policy has propagated', async () => {
+            fakes = createFakes({ propagationDelay: 1 });
+            options.clients = fakes.clients;
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+
+            await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+
+            assert.strictEqual(fakes.called('storage.storageAccounts.update').length, 2);
+            assert.strictEqual((await account()).encryption.keySource, 'Microsoft.Keyvault');
+        });
+
+        it('gives up when the grant does not propagate in time', async () => {
+            fakes = createFakes({ propagationDelay: 1000 });
+            options.clients = fakes.clients;
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, options), (e) =>
+                e instanceof Resilience.ReadinessTimeoutError && Resilience.errorCode(e.cause) === 'KeyVaultAuthenticationFailure');
+        });
+
+        it('refuses a key that cannot wrap keys', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            await fakes.clients.keys(vault.properties.vaultUri).createRsaKey('key1', { keyOps: ['sign', 'verify'] });
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, options), CmkLifecycle.KeyNotUsableError);
+            assert.strictEqual((await account()).encryption.keySource, 'Microsoft.Storage');
+        });
+
+        it('refuses an existing key of another type or size than requested', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            await fakes.clients.keys(vault.properties.vaultUri).createRsaKey('key1', { keySize: 2048, keyOps: ['wrapKey', 'unwrapKey'] });
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ key: { keySize: 4096 } }, options)),
+                (e) => e instanceof CmkLifecycle.KeyNotUsableError && /its size is 2048 bits, not 4096/.test(e.message));
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ key: { keyType: 'RSA-HSM' } }, options)),
+                /its type is RSA, not RSA-HSM/);
+            assert.strictEqual((await account()).encryption.keySource, 'Microsoft.Storage');
+
+            await Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ key: { keySize: '2048' } }, options));
+            assert.strictEqual((await account()).encryption.keySource, 'Microsoft.Keyvault');
+        });
+
+        it('adds a user-assigned identity and encrypts through it', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+
+            await Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ identity: { userAssignedIdentity: IDENTITY_ID } }, options));
+
+            const updated = await account();
+            assert.strictEqual(updated.identity.type, 'SystemAssigned,UserAssigned');
+            assert.deepStrictEqual(updated.encryption.encryptionIdentity, { encryptionUserAssignedIdentity: IDENTITY_ID });
+            const policy = fakes.state.vaults[vault.id.toLowerCase()].properties.accessPolicies[0];
+            assert.strictEqual(policy.objectId, updated.identity.userAssignedIdentities[IDENTITY_ID].principalId);
+        });
+
+        it('rejects invalid identity options', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            fakes.calls.length = 0;
+
+            await assert.rejects(Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ identity: { userAssignedIdentity: 'cmk' } }, options)),
+                /is not a user-assigned identity resource ID/);
+            assert.deepStrictEqual(fakes.called('storage'), []);
+        });
+    });
+
+    describe('rotateCustomerManagedKey and pinKeyVersion', () => {
+        it('re-points a pinned account at the new key version', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            const attached = await Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ versioning: CmkLifecycle.VERSIONING_PINNED }, options));
+
+            const rotated = await Sample.rotateCustomerManagedKey(await account(), vault, options);
+
+            assert.notStrictEqual(rotated.keyVersion, attached.keyVersion);
+            assert.strictEqual((await keyVaultProperties()).keyVersion, rotated.keyVersion);
+        });
+
+        it('leaves an auto-following account alone', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+            const updates = fakes.called('storage.storageAccounts.update').length;
+
+            const rotated = await Sample.rotateCustomerManagedKey(await account(), vault, options);
+
+            assert.strictEqual(rotated.versioning, CmkLifecycle.VERSIONING_AUTO);
+            assert.strictEqual(fakes.called('storage.storageAccounts.update').length, updates);
+        });
+
+        it('fails for a key that does not exist', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+
+            await assert.rejects(Sample.rotateCustomerManagedKey(storageAccount, vault, options), (e) => e.code === 'KeyNotFound');
+        });
+
+        it('pins an account to a given key version', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+            const keyClient = fakes.clients.keys(vault.properties.vaultUri);
+            const key = await keyClient.rotateKey('key1');
+
+            await Sample.pinKeyVersion(await account(), vault.properties.vaultUri, key, options);
+
+            assert.strictEqual((await keyVaultProperties()).keyVersion, key.properties.version);
+        });
+    });
+
+    describe('encryption scopes and containers', () => {
+        let vault;
+        let storageAccount;
+
+        beforeEach(async () => {
+            vault = fakes.addVault(GROUP, 'kv1');
+            storageAccount = await fakes.addAccount(GROUP, 'acct1');
+        });
+
+        it('creates a scope with its own key, named after the scope', async () => {
+            const ledger = ResourceLedger.createLedger();
+
+            const result = await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', Object.assign({ ledger: ledger }, options));
+
+            assert.deepStrictEqual(result, {
+                storageAccount: 'acct1', encryptionScope: 'tenant-a', state: 'Enabled', source: 'Microsoft.KeyVault',
+                keyUri: 'https://kv1.vault.azure.net/keys/tenant-a'
+            });
+            assert.deepStrictEqual(ledger.entries.map((entry) => entry.type), ['key', 'accessPolicy', 'encryptionScope']);
+            assert.strictEqual(ledger.entries[2].previous, null);
+        });
+
+        it('rejects an invalid scope name before calling Azure', async () => {
+            fakes.calls.length = 0;
+            await assert.rejects(Sample.addEncryptionScope(storageAccount, vault, 'Tenant_A', options), /encryptionScope/);
+            assert.deepStrictEqual(fakes.called(), []);
+        });
+
+        it('rotates a pinned scope to the new key version and keeps it disabled', async () => {
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', Object.assign({ versioning: CmkLifecycle.VERSIONING_PINNED }, options));
+            await Sample.setEncryptionScopeState(storageAccount, 'tenant-a', false, options);
+
+            const rotated = await Sample.rotateEncryptionScopeKey(storageAccount, 'tenant-a', options);
+
+            const scope = await fakes.clients.storage.encryptionScopes.get(GROUP, 'acct1', 'tenant-a');
+            assert.strictEqual(scope.keyVaultProperties.keyUri, rotated.keyUri);
+            assert.match(rotated.keyUri, /\/keys\/tenant-a\/[0-9a-f]{32}$/);
+            assert.strictEqual(scope.state, 'Disabled');
+        });
+
+        it('refuses to rotate a scope with Microsoft-managed keys', async () => {
+            await fakes.clients.storage.encryptionScopes.put(GROUP, 'acct1', 'platform', { source: 'Microsoft.Storage' });
+
+            await assert.rejects(Sample.rotateEncryptionScopeKey(storageAccount, 'platform', options), /has no key to rotate/);
+        });
+
+        it('lists, disables and enables scopes', async () => {
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', options);
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-b', options);
+
+            await Sample.setEncryptionScopeState(storageAccount, 'tenant-b', false, options);
+            assert.deepStrictEqual((await Sample.listEncryptionScopes(storageAccount, options)).map((scope) => scope.encryptionScope + ' ' + scope.state),
+                ['tenant-a Enabled', 'tenant-b Disabled']);
+
+            await Sample.setEncryptionScopeState(storageAccount, 'tenant-b', true, options);
+            assert.strictEqual((await fakes.clients.storage.encryptionScopes.get(GROUP, 'acct1', 'tenant-b')).state, 'Enabled');
+        });
+
+        it('creates containers that default to a scope', async () => {
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', options);
+
+            const result = await Sample.createContainer(storageAccount, 'data', Object.assign({ encryptionScope: 'tenant-a' }, options));
+
+            assert.deepStrictEqual(result, { storageAccount: 'acct1', container: 'data', encryptionScope: 'tenant-a', denyEncryptionScopeOverride: true });
+        });
+
+        it('fails to create a container with a scope that does not exist', async () => {
+            await assert.rejects(Sample.createContainer(storageAccount, 'data', Object.assign({ encryptionScope: 'missing' }, options)),
+                (e) => e.code === 'EncryptionScopeNotFound');
+        });
+
+        it('disables a new scope and restores a changed one when the run is torn down', async () => {
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', Object.assign({ versioning: CmkLifecycle.VERSIONING_PINNED }, options));
+            const pinned = (await fakes.clients.storage.encryptionScopes.get(GROUP, 'acct1', 'tenant-a')).keyVaultProperties.keyUri;
+            const ledger = ResourceLedger.createLedger();
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', Object.assign({ ledger: ledger }, options));
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-b', Object.assign({ ledger: ledger }, options));
+
+            const summary = await Sample.teardown(ledger.runId, options);
+
+            assert.deepStrictEqual(summary.results.filter((result) => /^encryption scope/.test(result.resource)).map((result) => [result.resource, result.note]), [
+                ['encryption scope tenant-b on acct1', 'disabled; encryption scopes cannot be deleted'],
+                ['encryption scope tenant-a on acct1', undefined]
+            ]);
+            assert.strictEqual((await fakes.clients.storage.encryptionScopes.get(GROUP, 'acct1', 'tenant-b')).state, 'Disabled');
+            const restored = await fakes.clients.storage.encryptionScopes.get(GROUP, 'acct1', 'tenant-a');
+            assert.deepStrictEqual([restored.state, restored.keyVaultProperties.keyUri], ['Enabled', pinned]);
+        });
+    });
+
+    describe('account keys and SAS', () => {
+        let storageAccount;
+
+        beforeEach(async () => {
+            storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            fakes.calls.length = 0;
+        });
+
+        it('regenerates an account key', async () => {
+            const before = (await fakes.clients.storage.storageAccounts.listKeys(GROUP, 'acct1')).keys;
+
+            const result = await Sample.regenerateStorageAccountKey(storageAccount, Object.assign({ keyName: 'key2' }, options));
+
+            const after = (await fakes.clients.storage.storageAccounts.listKeys(GROUP, 'acct1')).keys;
+            assert.deepStrictEqual(result, { storageAccount: 'acct1', keyName: 'key2' });
+            assert.strictEqual(after[0].value, before[0].value);
+            assert.notStrictEqual(after[1].value, before[1].value);
+        });
+
+        it('issues account and service SAS tokens from presets', async () => {
+            const accountSas = await Sample.issueAccountSas(storageAccount, options);
+            const serviceSas = await Sample.issueServiceSas(storageAccount, 'data', 'blob1', Object.assign({ sas: { permissions: 'r', lifetime: '1h' } }, options));
+
+            assert.strictEqual(accountSas.kind, 'account');
+            assert.ok(accountSas.sasToken.includes('sp=' + accountSas.permissions + '&'));
+            assert.strictEqual(serviceSas.resource, '/blob/acct1/data/blob1');
+            assert.match(serviceSas.sasToken, /sr=b&/);
+        });
+
+        it('issues blob SAS tokens from the default preset without the list permission', async () => {
+            const serviceSas = await Sample.issueServiceSas(storageAccount, 'data', 'blob1', options);
+            const delegationSas = await Sample.issueUserDelegationSas(storageAccount, 'data', 'blob1', options);
+            const containerSas = await Sample.issueServiceSas(storageAccount, 'data', undefined, options);
+
+            assert.deepStrictEqual([serviceSas.permissions, delegationSas.permissions, containerSas.permissions], ['r', 'r', 'rl']);
+            assert.match(delegationSas.sasToken, /sp=r&/);
+            assert.throws(() => SasBuilder.buildSasPolicy({ preset: 'blob-read', permissions: 'rl', kind: 'blob' }), SasBuilder.SasPolicyError);
+        });
+
+        it('only issues the presets an account allows', async () => {
+            storageAccount.tags = { [SasBuilder.PRESETS_TAG]: 'blob-read' };
+
+            await assert.rejects(Sample.issueAccountSas(storageAccount, Object.assign({ sas: { preset: 'blob-write' } }, options)), SasBuilder.SasPolicyError);
+            assert.deepStrictEqual(fakes.called('storage'), []);
+        });
+
+        it('reports that shared key access is disabled', async () => {
+            await fakes.clients.storage.storageAccounts.update(GROUP, 'acct1', { allowSharedKeyAccess: false });
+
+            await assert.rejects(Sample.issueAccountSas(storageAccount, options), (e) => e.code === 'KeyBasedAuthenticationNotPermitted');
+        });
+
+        it('signs user delegation SAS tokens without account keys', async () => {
+            const result = await Sample.issueUserDelegationSas(storageAccount, 'data', undefined, options);
+
+            assert.match(result.sasToken, /skoid=[0-9a-f-]+/);
+            assert.match(result.sasToken, /sig=/);
+            assert.deepStrictEqual(fakes.called('storage'), []);
+        });
+
+        it('writes a sample blob with an account SAS', async () => {
+            const ledger = ResourceLedger.createLedger();
+
+            await Sample.createAccountSASDefinition(storageAccount, Object.assign({ ledger: ledger }, options));
+
+            assert.deepStrictEqual(fakes.called('containerClient').concat(fakes.called('blockBlobClient')),
+                ['containerClient.create', 'containerClient.getBlockBlobClient', 'blockBlobClient.upload']);
+            assert.deepStrictEqual(ledger.entries.map((entry) => entry.name), ['sample-container']);
+        });
+    });
+
+    describe('client-side encrypted blobs', () => {
+        let vault;
+        let storageAccount;
+
+        beforeEach(async () => {
+            vault = fakes.addVault(GROUP, 'kv1');
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct1'), vault, options);
+            storageAccount = await account();
+        });
+
+        const stored = (blobName) => fakes.state.blobs['acct1/data/' + blobName];
+
+        it('uploads only ciphertext and the wrapped content key, and decrypts it again', async () => {
+            const data = crypto.randomBytes(40 * 1024);
+
+            const uploaded = await Sample.uploadEncryptedBlob(storageAccount, 'data', 'blob1', data, Object.assign({ segmentSize: 16 * 1024 }, options));
+
+            const key = await fakes.clients.keys(vault.properties.vaultUri).getKey('key1');
+            assert.deepStrictEqual([uploaded.keyId, uploaded.segments, uploaded.size], [key.id, 3, data.length]);
+            assert.strictEqual(stored('blob1').metadata[EnvelopeEncryption.METADATA.keyId], key.id);
+            assert.ok(!stored('blob1').content.includes(data.subarray(0, 64)));
+
+            const downloaded = await Sample.downloadEncryptedBlob(storageAccount, 'data', 'blob1', options);
+            assert.ok(downloaded.content.equals(data));
+        });
+
+        it('keeps decrypting blobs wrapped by a key version that has since been rotated', async () => {
+            await Sample.uploadEncryptedBlob(storageAccount, 'data', 'old', 'before rotation', options);
+            await Sample.rotateCustomerManagedKey(storageAccount, vault, options);
+            const uploaded = await Sample.uploadEncryptedBlob(storageAccount, 'data', 'new', 'after rotation', options);
+
+            const old = await Sample.downloadEncryptedBlob(storageAccount, 'data', 'old', options);
+
+            assert.strictEqual(old.content.toString(), 'before rotation');
+            assert.notStrictEqual(old.keyId, uploaded.keyId);
+            assert.strictEqual((await Sample.downloadEncryptedBlob(storageAccount, 'data', 'new', options)).content.toString(), 'after rotation');
+        });
+
+        it('writes the plaintext to a file only once the whole blob is authenticated', async () => {
+            const file = path.join(stateDir, 'blob1.out');
+            fs.rmSync(file, { force: true });
+            await Sample.uploadEncryptedBlob(storageAccount, 'data', 'blob1', fs.createReadStream(__filename), options);
+            const blob = stored('blob1');
+
+            const result = await Sample.downloadEncryptedBlob(storageAccount, 'data', 'blob1', Object.assign({ file: file }, options));
+            assert.ok(fs.readFileSync(file).equals(fs.readFileSync(__filename)));
+            assert.strictEqual(result.size, fs.statSync(__filename).size);
+
+            fs.rmSync(file);
+            blob.content[blob.content.length - 1] ^= 1;
+            await assert.rejects(Sample.downloadEncryptedBlob(storageAccount, 'data', 'blob1', Object.assign({ file: file }, options)),
+                EnvelopeEncryption.EnvelopeError);
+            assert.ok(!fs.existsSync(file) && !fs.existsSync(file + '.partial'));
+        });
+
+        it('needs a key for an account without a customer-managed key', async () => {
+            const plain = await fakes.addAccount(GROUP, 'acct2');
+            await assert.rejects(Sample.uploadEncryptedBlob(plain, 'data', 'blob1', 'x', options), /acct2 does not use a customer-managed key/);
+
+            const key = await fakes.clients.keys(vault.properties.vaultUri).getKey('key1');
+            const uploaded = await Sample.uploadEncryptedBlob(plain, 'data', 'blob1', 'x', Object.assign({ keyId: vault.properties.vaultUri + 'keys/key1' }, options));
+            assert.strictEqual(uploaded.keyId, key.id);
+        });
+
+        it('refuses a blob that is not client-side encrypted', async () => {
+            await Sample.createAccountSASDefinition(storageAccount, options);
+
+            await assert.rejects(Sample.downloadEncryptedBlob(storageAccount, 'sample-container', 'blob1', options), /not client-side encrypted/);
+        });
+
+        it('encrypts the sample blob on request', async () => {
+            await Sample.createAccountSASDefinition(storageAccount, Object.assign({ clientSideEncryption: true }, options));
+
+            assert.ok(!fakes.state.blobs['acct1/sample-container/blob1'].content.includes('test data'));
+            const downloaded = await Sample.downloadEncryptedBlob(storageAccount, 'sample-container', 'blob1', options);
+            assert.strictEqual(downloaded.content.toString(), 'test data');
+        });
+    });
+
+    describe('detachCustomerManagedKey and teardown', () => {
+        it('switches the account back to Microsoft-managed keys', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1');
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            await Sample.attachCustomerManagedKey(storageAccount, vault, options);
+
+            await Sample.detachCustomerManagedKey(storageAccount, options);
+
+            assert.strictEqual((await account()).encryption.keySource, 'Microsoft.Storage');
+        });
+
+        it('removes everything a run created', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const ledger = ResourceLedger.createLedger();
+            await Sample.addStorageAccount(vault, Object.assign({ accountName: 'acct1', ledger: ledger }, options));
+
+            const summary = await Sample.teardown(ledger.runId, options);
+
+            assert.strictEqual(summary.failed, 0);
+            assert.deepStrictEqual(fakes.state.storageAccounts, {});
+            assert.deepStrictEqual(fakes.state.roleAssignments, {});
+            await assert.rejects(fakes.clients.keys(vault.properties.vaultUri).getKey('key1'), (e) => e.code === 'KeyNotFound');
+        });
+
+        it('keeps a key that another account was attached to since', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            const ledger = ResourceLedger.createLedger();
+            const storageAccount = await fakes.addAccount(GROUP, 'acct1');
+            await Sample.attachCustomerManagedKey(storageAccount, vault, Object.assign({ ledger: ledger }, options));
+            await Sample.addEncryptionScope(storageAccount, vault, 'tenant-a', Object.assign({ keyName: 'key1', ledger: ledger }, options));
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct2'), vault, options);
+
+            const summary = await Sample.teardown(ledger.runId, options);
+
+            assert.strictEqual(summary.failed, 1);
+            assert.match(summary.results.find((result) => result.status === 'failed').note, /^the key is still used by storage account acct2$/);
+            assert.ok(await fakes.clients.keys(vault.properties.vaultUri).getKey('key1'));
+        });
+
+        it('only lists the encryption scopes of the run\'s accounts and of accounts using the same vault', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct0'), vault, Object.assign({ keyName: 'key0' }, options));
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct9'), fakes.addVault(GROUP, 'kv2', { rbac: true }), options);
+            await fakes.addAccount(GROUP, 'acct8');
+            const ledger = ResourceLedger.createLedger();
+            await Sample.attachCustomerManagedKey(await fakes.addAccount(GROUP, 'acct1'), vault, Object.assign({ ledger: ledger }, options));
+            // Listing fails on acct0, which the run did not touch.
+            fakes.fail('storage.encryptionScopes.list', restError(403, 'AuthorizationFailed'));
+            const before = fakes.calls.length;
+
+            const summary = await Sample.teardown(ledger.runId, options);
+
+            assert.strictEqual(summary.failed, 0);
+            assert.deepStrictEqual(fakes.calls.slice(before).filter((call) => call.operation === 'storage.encryptionScopes.list')
+                .map((call) => call.args[1]), ['acct0', 'acct1']);
+            await assert.rejects(fakes.clients.keys(vault.properties.vaultUri).getKey('key1'), (e) => e.code === 'KeyNotFound');
+        });
+
+        it('fails for an unknown run', async () => {
+            await assert.rejects(Sample.teardown('no-such-run', options), /no ledger found for run no-such-run/);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { describe, it, beforeEach } = require('node:test');
+const VaultAccess = require('../vault_access');
+const { createFakes, restError, TENANT_ID, ROLE_DEFINITIONS } = require('./fakes');
+
+const GROUP = 'rg';
+const OTHER_TENANT = '00000000-0000-0000-0000-00000000cccc';
+
+describe('vault access', () => {
+    describe('rolesForAccessPolicy', () => {
+        const roles = (permissions) => VaultAccess.rolesForAccessPolicy({ tenantId: TENANT_ID, objectId: 'p1', permissions: permissions }).roles;
+
+        it('maps key permissions to the narrowest crypto role', () => {
+            assert.deepStrictEqual(roles({ keys: ['Get', 'WrapKey', 'UnwrapKey'] }), ['Key Vault Crypto Service Encryption User']);
+            assert.deepStrictEqual(roles({ keys: ['get', 'list', 'encrypt', 'decrypt'] }), ['Key Vault Crypto User']);
+            assert.deepStrictEqual(roles({ keys: ['get', 'create'] }), ['Key Vault Crypto Officer']);
+            assert.deepStrictEqual(roles({ keys: ['all'] }), ['Key Vault Crypto Officer']);
+        });
+
+        it('maps secret permissions to Secrets User or Secrets Officer', () => {
+            assert.deepStrictEqual(roles({ secrets: ['get', 'list'] }), ['Key Vault Secrets User']);
+            assert.deepStrictEqual(roles({ secrets: ['get', 'set'] }), ['Key Vault Secrets Officer']);
+        });
+
+        it('maps read-only certificate permissions to Certificate User', () => {
+            assert.deepStrictEqual(roles({ certificates: ['Get', 'List', 'GetIssuers', 'ListIssuers'] }), ['Key Vault Certificate User']);
+            assert.deepStrictEqual(roles({ certificates: ['get', 'import'] }), ['Key Vault Certificates Officer']);
+        });
+
+        it('combines the roles and reports storage permissions as unmapped', () => {
+            const result = VaultAccess.rolesForAccessPolicy({ tenantId: TENANT_ID, objectId: 'p1', permissions: VaultAccess.SAMPLE_PERMISSIONS });
+
+            assert.deepStrictEqual(result.roles, ['Key Vault Crypto Officer', 'Key Vault Secrets Officer']);
+            assert.deepStrictEqual(result.unmapped, VaultAccess.SAMPLE_PERMISSIONS.storage.map((p) => 'storage/' + p));
+        });
+    });
+
+    describe('migrateToRbac', () => {
+        let fakes;
+        let logs;
+        let options;
+        let user;
+        let app;
+
+        const policy = (objectId, permissions, extra) => Object.assign({ tenantId: TENANT_ID, objectId: objectId, permissions: permissions }, extra);
+        const vaultState = (vault) => fakes.state.vaults[vault.id.toLowerCase()];
+        const assignments = () => Object.values(fakes.state.roleAssignments)
+            .map((assignment) => [assignment.principalId, assignment.roleDefinitionId.split('/').pop(), assignment.principalType]);
+
+        beforeEach(() => {
+            user = crypto.randomUUID();
+            app = crypto.randomUUID();
+            fakes = createFakes({ principals: [user, app] });
+            fakes.state.principalTypes[user] = 'user';
+            logs = [];
+            options = { groupName: GROUP, log: (message) => logs.push(message) };
+        });
+
+        it('plans the role assignments of each access policy without changing the vault', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { accessPolicies: [
+                policy(user, { keys: ['get', 'wrapKey', 'unwrapKey'], certificates: ['get'] }),
+                policy(app, { secrets: ['get'] })
+            ] });
+
+            const result = await VaultAccess.migrateToRbac(fakes.clients, vault, options);
+
+            assert.strictEqual(result.applied, false);
+            assert.deepStrictEqual(result.assignments.map((entry) => [entry.principalId, entry.principalType, entry.roles, entry.notMigrated]), [
+                [user, 'User', ['Key Vault Crypto Service Encryption User', 'Key Vault Certificate User'], undefined],
+                [app, 'ServicePrincipal', ['Key Vault Secrets User'], undefined]
+            ]);
+            assert.deepStrictEqual(fakes.called('authorization.roleAssignments.create'), []);
+            assert.strictEqual(vaultState(vault).properties.enableRbacAuthorization, false);
+        });
+
+        it('assigns the roles with their principal types and switches the vault to RBAC', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { accessPolicies: [
+                policy(user, { keys: ['get', 'wrapKey', 'unwrapKey'] }),
+                policy(app, { secrets: ['get', 'set'] })
+            ] });
+
+            const result = await VaultAccess.migrateToRbac(fakes.clients, vault, Object.assign({ apply: true }, options));
+
+            assert.strictEqual(result.applied, true);
+            assert.deepStrictEqual(assignments(), [
+                [user, ROLE_DEFINITIONS['Key Vault Crypto Service Encryption User'], 'User'],
+                [app, ROLE_DEFINITIONS['Key Vault Secrets Officer'], 'ServicePrincipal']
+            ]);
+            assert.strictEqual(vaultState(vault).properties.enableRbacAuthorization, true);
+            assert.strictEqual(vaultState(vault).properties.accessPolicies.length, 2);
+        });
+
+        it('reports compound identities, other tenants and deleted principals as not migrated', async () => {
+            const deleted = crypto.randomUUID();
+            const vault = fakes.addVault(GROUP, 'kv1', { accessPolicies: [
+                policy(user, { keys: ['get'] }, { applicationId: app }),
+                policy(app, { keys: ['get'] }, { tenantId: OTHER_TENANT }),
+                policy(deleted, { keys: ['get'] }),
+                policy(app, { secrets: ['get'] })
+            ] });
+
+            const result = await VaultAccess.migrateToRbac(fakes.clients, vault, Object.assign({ apply: true }, options));
+
+            assert.deepStrictEqual(result.assignments.map((entry) => entry.notMigrated), [
+                'compound identity: the access only applies through application ' + app + ', which role assignments cannot express',
+                'the principal is in tenant ' + OTHER_TENANT + ', not in the vault\'s tenant ' + TENANT_ID,
+                'the principal no longer exists in the directory',
+                undefined
+            ]);
+            assert.strictEqual(logs.filter((message) => /^warning: the access policy of .* is not migrated: /.test(message)).length, 3);
+            assert.deepStrictEqual(assignments(), [[app, ROLE_DEFINITIONS['Key Vault Secrets User'], 'ServicePrincipal']]);
+        });
+
+        it('assigns roles without a principal type when the directory cannot be read', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { accessPolicies: [policy(user, { secrets: ['get'] })] });
+            fakes.fail('directory.get', restError(403, 'Authorization_RequestDenied', 'Insufficient privileges to complete the operation.'));
+
+            await VaultAccess.migrateToRbac(fakes.clients, vault, Object.assign({ apply: true }, options));
+
+            assert.ok(logs.indexOf('warning: could not look up the type of principal ' + user + ': Insufficient privileges to complete the operation.') >= 0);
+            assert.deepStrictEqual(assignments(), [[user, ROLE_DEFINITIONS['Key Vault Secrets User'], undefined]]);
+        });
+
+        it('leaves RBAC vaults alone', async () => {
+            const vault = fakes.addVault(GROUP, 'kv1', { rbac: true });
+
+            assert.deepStrictEqual(await VaultAccess.migrateToRbac(fakes.clients, vault, options), { vault: 'kv1', alreadyRbac: true, assignments: [] });
+        });
+    });
+});
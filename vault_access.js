@@ -0,0 +1,351 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License. See LICENSE in the project root for
+ * license information.
+ */
+'use strict';
+
+const util = require('util');
+const uuidv4 = require('uuid/v4');
+const { bearerTokenAuthenticationPolicy, createDefaultHttpClient, createPipelineFromOptions, createPipelineRequest, RestError } = require('@azure/core-rest-pipeline');
+const Resilience = require('./resilience');
+
+// Grants principals access to a key vault, either through vault access policies or, for vaults
+// created with `enableRbacAuthorization`, through Azure role assignments on the vault or key.
+
+const ROLES = {
+    cryptoOfficer: 'Key Vault Crypto Officer',
+    cryptoServiceEncryptionUser: 'Key Vault Crypto Service Encryption User',
+    cryptoUser: 'Key Vault Crypto User',
+    secretsOfficer: 'Key Vault Secrets Officer',
+    secretsUser: 'Key Vault Secrets User',
+    certificatesOfficer: 'Key Vault Certificates Officer',
+    certificateUser: 'Key Vault Certificate User'
+};
+
+const GRAPH_ENDPOINT = 'https://graph.microsoft.com';
+
+// The principal types of role assignments, by Microsoft Graph object type.
+const PRINCIPAL_TYPES = {
+    '#microsoft.graph.user': 'User',
+    '#microsoft.graph.group': 'Group',
+    '#microsoft.graph.servicePrincipal': 'ServicePrincipal'
+};
+
+// The access policy the sample grants to principals on access-policy vaults.
+const SAMPLE_PERMISSIONS = {
+    keys: ['all'],
+    secrets: ['get', 'list', 'set', 'delete', 'backup', 'restore', 'recover', 'purge'],
+    storage: ['get', 'list', 'delete', 'set', 'update', 'regeneratekey', 'recover', 'purge', 'backup', 'restore', 'setsas', 'listsas', 'getsas', 'deletesas']
+};
+
+function isRbacVault(vault) {
+    return !!(vault.properties && vault.properties.enableRbacAuthorization);
+}
+
+// Extract the resource group name from an ARM resource ID.
+function resourceGroupOf(resource) {
+    const match = /\/resourceGroups\/([^/]+)/i.exec(resource.id || '');
+    return match ? match[1] : undefined;
+}
+
+// Reads directory objects from Microsoft Graph, e.g. to learn whether the principal of an access policy is a user,
+// a group or a service principal. `options.httpClient` replaces the default HTTP client, as for the SDK clients.
+class DirectoryClient {
+    constructor(credential, options) {
+        this._pipeline = createPipelineFromOptions({});
+        this._pipeline.addPolicy(bearerTokenAuthenticationPolicy({ credential: credential, scopes: GRAPH_ENDPOINT + '/.default' }));
+        this._httpClient = (options && options.httpClient) || createDefaultHttpClient();
+    }
+
+    // The directory object `objectId`, with its type in '@odata.type'.
+    async get(objectId) {
+        const request = createPipelineRequest({ url: util.format('%s/v1.0/directoryObjects/%s', GRAPH_ENDPOINT, encodeURIComponent(objectId)), method: 'GET' });
+        const response = await this._pipeline.sendRequest(this._httpClient, request);
+        const body = response.bodyAsText ? JSON.parse(response.bodyAsText) : {};
+        if(response.status !== 200) {
+            const error = body.error || {};
+            throw new RestError(error.message || util.format('reading directory object %s failed with status %d', objectId, response.status),
+                { statusCode: response.status, code: error.code, request: request, response: response });
+        }
+        return body;
+    }
+}
+
+// The principal type ('User', 'Group' or 'ServicePrincipal') of a directory object, for its role assignments.
+// Undefined without a directory client or for other object types; Azure then works the type out itself.
+async function principalTypeOf(clients, objectId) {
+    if(!clients.directory) {
+        return undefined;
+    }
+    const object = await clients.directory.get(objectId);
+    return PRINCIPAL_TYPES[object['@odata.type']];
+}
+
+// Look up the ID of a built-in role definition by name.
+async function findRoleDefinitionId(authorizationClient, roleName) {
+    const roleList = await authorizationClient.roleDefinitions.list('/', {
+        'filter': util.format("roleName eq '%s'", roleName)
+    });
+    if(!roleList || roleList.length === 0) {
+        throw new Error(util.format('role definition "%s" not found', roleName));
+    }
+    return roleList[0].id;
+}
+
+// Only a principal that Azure AD has not replicated yet (e.g. a just-created managed identity) is worth waiting for;
+// other authorization failures when assigning roles mean the operator lacks the rights to do so.
+function _classifyAssignmentError(e) {
+    if(Resilience.errorCode(e) === 'PrincipalNotFound') {
+        return Resilience.PROPAGATION_PENDING;
+    }
+    const kind = Resilience.classifyError(e);
+    return kind === Resilience.PROPAGATION_PENDING ? Resilience.FATAL : kind;
+}
+
+// Assign `roleName` to `principalId` at `scope` and return the new assignment.
+// An existing identical assignment is not an error; undefined is returned for it.
+// options.timeout  how long to wait for a new principal to become known to Azure AD (default 5m)
+async function assignRole(authorizationClient, scope, roleName, principalId, principalType, options) {
+    const roleAssignmentParams = {
+        roleDefinitionId: await findRoleDefinitionId(authorizationClient, roleName),
+        principalId: principalId
+    };
+    if(principalType) {
+        roleAssignmentParams.principalType = principalType;
+    }
+    const roleAssignmentName = uuidv4(); // UUID for the name of the role assignment
+
+    let assignment;
+    try {
+        await Resilience.waitUntilReady(util.format('principal %s can be assigned "%s"', principalId, roleName), async () => {
+            assignment = await authorizationClient.roleAssignments.create(scope, roleAssignmentName, roleAssignmentParams);
+            return true;
+        }, Object.assign({ classify: _classifyAssignmentError }, options));
+    } catch(e) {
+        // Other conflicts, such as a lock on the scope or an assignment that cannot be updated, are real failures.
+        if(Resilience.errorCode(e) !== 'RoleAssignmentExists') {
+            throw e;
+        }
+    }
+    return assignment;
+}
+
+// The permissions of `permissions` that the vault's access policy for `principalId` does not grant yet, or undefined if it grants them all.
+function missingAccessPolicyPermissions(vault, principalId, permissions) {
+    const existing = (vault.properties.accessPolicies || []).find((entry) =>
+        entry.objectId === principalId && entry.tenantId === vault.properties.tenantId);
+    const missing = {};
+    Object.keys(permissions).forEach((kind) => {
+        const granted = _lower(existing && existing.permissions[kind]);
+        const needed = _lower(permissions[kind]).filter((p) => granted.indexOf('all') < 0 && granted.indexOf(p) < 0);
+        if(needed.length > 0) {
+            missing[kind] = needed;
+        }
+    });
+    return Object.keys(missing).length > 0 ? missing : undefined;
+}
+
+// Add an access policy for `principalId` (in the vault's tenant) to the vault, merging with any policy it already has.
+// Returns the permissions added, or undefined when the principal already has them all.
+async function grantAccessPolicy(keyVaultClient, vault, principalId, permissions, groupName) {
+    const missing = missingAccessPolicyPermissions(vault, principalId, permissions || SAMPLE_PERMISSIONS);
+    if(!missing) {
+        return undefined;
+    }
+    const accessPolicyEntry = {
+        tenantId: vault.properties.tenantId,
+        objectId: principalId,
+        permissions: missing
+    };
+    // The "add" operation merges the permissions into the principal's existing entry instead of adding a second one.
+    await keyVaultClient.vaults.updateAccessPolicy(resourceGroupOf(vault) || groupName, vault.name, 'add', {
+        properties: { accessPolicies: [accessPolicyEntry] }
+    });
+    vault.properties.accessPolicies = vault.properties.accessPolicies || [];
+    vault.properties.accessPolicies.push(accessPolicyEntry);
+    return accessPolicyEntry;
+}
+
+// Let a storage account identity use `keyName` for encryption: through an access policy, or on
+// RBAC vaults through the "Key Vault Crypto Service Encryption User" role scoped to the key.
+// Returns what was granted: { mode: 'rbac', role, scope, assignment } or { mode: 'accessPolicy', entry }, where
+// `assignment` and `entry` are undefined if the identity already had access.
+// `options` is passed on to assignRole.
+async function grantStorageKeyAccess(clients, vault, principalId, keyName, groupName, options) {
+    if(isRbacVault(vault)) {
+        const scope = `${vault.id}/keys/${keyName}`;
+        const assignment = await assignRole(clients.authorization, scope, ROLES.cryptoServiceEncryptionUser, principalId, 'ServicePrincipal', options);
+        return { mode: 'rbac', role: ROLES.cryptoServiceEncryptionUser, scope: scope, assignment: assignment };
+    }
+    const entry = await grantAccessPolicy(clients.keyVault, vault, principalId, SAMPLE_PERMISSIONS, groupName);
+    return { mode: 'accessPolicy', entry: entry };
+}
+
+// Roles that let a storage account identity wrap and unwrap with a key.
+const KEY_ENCRYPTION_ROLES = [ROLES.cryptoServiceEncryptionUser, ROLES.cryptoUser, ROLES.cryptoOfficer];
+
+// The GUID at the end of a role definition ID, which is the same at every scope the definition is referenced from.
+function _roleGuid(roleDefinitionId) {
+    return String(roleDefinitionId || '').split('/').pop().toLowerCase();
+}
+
+// Whether `principalId` can already use `keyName` the way grantStorageKeyAccess would let it: through its access
+// policy, or on RBAC vaults through a key encryption role assigned on the key or any scope above it.
+async function hasStorageKeyAccess(clients, vault, principalId, keyName) {
+    if(!isRbacVault(vault)) {
+        return !missingAccessPolicyPermissions(vault, principalId, SAMPLE_PERMISSIONS);
+    }
+    const scope = `${vault.id}/keys/${keyName}`.toLowerCase();
+    const roleGuids = [];
+    for(const role of KEY_ENCRYPTION_ROLES) {
+        roleGuids.push(_roleGuid(await findRoleDefinitionId(clients.authorization, role)));
+    }
+    const assignments = await clients.authorization.roleAssignments.listForScope(scope, {
+        'filter': util.format("principalId eq '%s'", principalId)
+    });
+    return (assignments || []).some((assignment) => roleGuids.indexOf(_roleGuid(assignment.roleDefinitionId)) >= 0 &&
+        (scope + '/').startsWith(String(assignment.scope).toLowerCase().replace(/\/?$/, '/')));
+}
+
+// Let the operator running the sample manage keys (and the secrets written by key rotation) on an RBAC vault.
+// Returns the new role assignments.
+async function grantOperatorAccess(authorizationClient, vault, operatorObjectId) {
+    const assignments = [
+        await assignRole(authorizationClient, vault.id, ROLES.cryptoOfficer, operatorObjectId),
+        await assignRole(authorizationClient, vault.id, ROLES.secretsOfficer, operatorObjectId)
+    ];
+    return assignments.filter((assignment) => assignment);
+}
+
+const KEY_MANAGEMENT = ['all', 'create', 'delete', 'import', 'update', 'recover', 'restore', 'backup', 'purge', 'rotate', 'setrotationpolicy', 'release'];
+const KEY_SERVICE_ENCRYPTION = ['get', 'wrapkey', 'unwrapkey'];
+const SECRET_WRITE = ['all', 'set', 'delete', 'recover', 'restore', 'backup', 'purge'];
+const CERTIFICATE_READ = ['get', 'list', 'getissuers', 'listissuers'];
+
+function _lower(list) {
+    return (list || []).map((p) => p.toLowerCase());
+}
+
+function _any(permissions, candidates) {
+    return permissions.some((p) => candidates.indexOf(p) >= 0);
+}
+
+// Map one access policy entry to the narrowest built-in roles that cover its permissions.
+// Permissions without an RBAC equivalent (managed storage account permissions) are reported as unmapped.
+function rolesForAccessPolicy(entry) {
+    const keys = _lower(entry.permissions.keys);
+    const secrets = _lower(entry.permissions.secrets);
+    const certificates = _lower(entry.permissions.certificates);
+    const storage = _lower(entry.permissions.storage);
+    const roles = [];
+
+    if(_any(keys, KEY_MANAGEMENT)) {
+        roles.push(ROLES.cryptoOfficer);
+    } else if(keys.length > 0 && keys.every((p) => KEY_SERVICE_ENCRYPTION.indexOf(p) >= 0)) {
+        roles.push(ROLES.cryptoServiceEncryptionUser);
+    } else if(keys.length > 0) {
+        // Cryptographic operations, and reading keys (get/list), are covered by Crypto User.
+        roles.push(ROLES.cryptoUser);
+    }
+
+    if(_any(secrets, SECRET_WRITE)) {
+        roles.push(ROLES.secretsOfficer);
+    } else if(secrets.length > 0) {
+        roles.push(ROLES.secretsUser);
+    }
+
+    if(certificates.some((p) => CERTIFICATE_READ.indexOf(p) < 0)) {
+        roles.push(ROLES.certificatesOfficer);
+    } else if(certificates.length > 0) {
+        roles.push(ROLES.certificateUser);
+    }
+
+    return {
+        principalId: entry.objectId,
+        tenantId: entry.tenantId,
+        applicationId: entry.applicationId,
+        roles: roles,
+        unmapped: storage.length > 0 ? storage.map((p) => 'storage/' + p) : []
+    };
+}
+
+// Why an access policy entry (see rolesForAccessPolicy) cannot become role assignments on the vault, if it cannot.
+function _migrationBlocker(vault, entry) {
+    if(entry.applicationId) {
+        return util.format('compound identity: the access only applies through application %s, which role assignments cannot express', entry.applicationId);
+    }
+    if(entry.tenantId && String(entry.tenantId).toLowerCase() !== String(vault.properties.tenantId).toLowerCase()) {
+        return util.format('the principal is in tenant %s, not in the vault\'s tenant %s', entry.tenantId, vault.properties.tenantId);
+    }
+    return undefined;
+}
+
+// Plan (and with `apply`, perform) the migration of an access-policy vault to RBAC authorization:
+// every access policy becomes equivalent role assignments on the vault, then the vault is switched over.
+// Access policies that role assignments cannot express (compound identities, principals of other tenants or no
+// longer in the directory) are reported with `notMigrated` and left out.
+// The access policies are left in place so the vault can be switched back if needed.
+async function migrateToRbac(clients, vault, options) {
+    options = options || {};
+    const log = options.log || console.log;
+    const groupName = resourceGroupOf(vault) || options.groupName;
+
+    if(isRbacVault(vault)) {
+        return { vault: vault.name, alreadyRbac: true, assignments: [] };
+    }
+
+    const plan = [];
+    for(const policy of vault.properties.accessPolicies || []) {
+        const entry = rolesForAccessPolicy(policy);
+        entry.notMigrated = _migrationBlocker(vault, entry);
+        if(!entry.notMigrated) {
+            try {
+                entry.principalType = await principalTypeOf(clients, entry.principalId);
+            } catch(e) {
+                if(e.statusCode === 404) {
+                    entry.notMigrated = 'the principal no longer exists in the directory';
+                } else {
+                    log(util.format('warning: could not look up the type of principal %s: %s', entry.principalId, e.message));
+                }
+            }
+        }
+        if(entry.notMigrated) {
+            log(util.format('warning: the access policy of %s is not migrated: %s', entry.principalId, entry.notMigrated));
+        } else if(entry.unmapped.length > 0) {
+            log(util.format('warning: %s has permissions with no RBAC equivalent: %s', entry.principalId, entry.unmapped.join(', ')));
+        }
+        plan.push(entry);
+    }
+
+    if(options.apply) {
+        for(const entry of plan.filter((item) => !item.notMigrated)) {
+            for(const role of entry.roles) {
+                await assignRole(clients.authorization, vault.id, role, entry.principalId, entry.principalType);
+                log(util.format('Assigned "%s" to %s on vault %s', role, entry.principalId, vault.name));
+            }
+        }
+        await clients.keyVault.vaults.update(groupName, vault.name, { properties: { enableRbacAuthorization: true } });
+        log(util.format('Switched vault %s to RBAC authorization', vault.name));
+    }
+
+    return { vault: vault.name, applied: !!options.apply, assignments: plan };
+}
+
+module.exports = {
+    ROLES: ROLES,
+    SAMPLE_PERMISSIONS: SAMPLE_PERMISSIONS,
+    DirectoryClient: DirectoryClient,
+    isRbacVault: isRbacVault,
+    resourceGroupOf: resourceGroupOf,
+    principalTypeOf: principalTypeOf,
+    findRoleDefinitionId: findRoleDefinitionId,
+    assignRole: assignRole,
+    missingAccessPolicyPermissions: missingAccessPolicyPermissions,
+    grantAccessPolicy: grantAccessPolicy,
+    grantStorageKeyAccess: grantStorageKeyAccess,
+    hasStorageKeyAccess: hasStorageKeyAccess,
+    grantOperatorAccess: grantOperatorAccess,
+    rolesForAccessPolicy: rolesForAccessPolicy,
+    migrateToRbac: migrateToRbac,
+};